@@ -0,0 +1,177 @@
+/**
+ * CSV Search Webapp - User Accounts
+ *
+ * Users and their roles are kept in a local JSON file (data/users.json by default),
+ * which server.js reads to check logins and scripts/add-user.js writes:
+ *
+ *   { "users": [{ "username": "alice", "role": "editor", "passwordHash": "scrypt:16384:8:1:<salt>:<hash>" }] }
+ *
+ * Passwords are never stored, only their scrypt hash with a random salt per user.
+ *
+ * Roles build on each other:
+ * - viewer: browse and search the datasets in the library
+ * - editor: also upload datasets, choose the default dataset and delete their own uploads
+ * - admin: also delete any uploaded dataset and read the bot attempt log
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+// The user file; DATA_DIR is shared with the dataset library
+const USERS_FILE = process.env.USERS_FILE ||
+    path.join(process.env.DATA_DIR || path.join(__dirname, 'data'), 'users.json');
+
+// Roles from least to most privileged; each role may do everything the ones before it may
+const ROLES = ['viewer', 'editor', 'admin'];
+
+// scrypt cost parameters for new hashes (stored with each hash, so they can be raised later)
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
+// Usernames are short and plain so they can't be confused with each other in logs and the UI
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{0,31}$/;
+
+// Shortest password add-user.js accepts
+const MIN_PASSWORD_LENGTH = 10;
+
+// The parsed user file and its modification time, so edits are picked up without a restart
+let usersCache = null;
+
+/**
+ * Derive a key from a password with scrypt
+ *
+ * @param {string} password - The password
+ * @param {Buffer} salt - The salt
+ * @param {{N: number, r: number, p: number}} params - The scrypt cost parameters
+ * @returns {Promise<Buffer>} The derived key
+ */
+function deriveKey(password, salt, params) {
+    return new Promise((resolve, reject) => {
+        // scrypt needs 128 * N * r bytes of memory; allow twice that
+        const maxmem = 256 * params.N * params.r;
+        crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, { ...params, maxmem }, (error, key) => {
+            if (error) reject(error);
+            else resolve(key);
+        });
+    });
+}
+
+/**
+ * Hash a password for the user file
+ *
+ * @param {string} password - The password
+ * @returns {Promise<string>} The hash, with its parameters and salt: "scrypt:N:r:p:salt:hash"
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await deriveKey(password, salt, SCRYPT_PARAMS);
+    const { N, r, p } = SCRYPT_PARAMS;
+    return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join(':');
+}
+
+/**
+ * Check a password against a hash from the user file
+ * The keys are compared in constant time, so the comparison doesn't leak how much of it matched.
+ *
+ * @param {string} password - The password to check
+ * @param {string} storedHash - The hash from hashPassword()
+ * @returns {Promise<boolean>} True if the password is right
+ */
+async function verifyPassword(password, storedHash) {
+    const parts = String(storedHash || '').split(':');
+    if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+
+    const [N, r, p] = parts.slice(1, 4).map(Number);
+    const salt = Buffer.from(parts[4], 'base64');
+    const expected = Buffer.from(parts[5], 'base64');
+    const key = await deriveKey(password, salt, { N, r, p });
+    return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+/**
+ * Read the users from the user file
+ * The file is read again only when it changes on disk.
+ *
+ * @returns {Promise<Array<{username: string, role: string, passwordHash: string}>>} The users;
+ *     none if the file doesn't exist yet
+ */
+async function loadUsers() {
+    let stats;
+    try {
+        stats = await fs.promises.stat(USERS_FILE);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    if (!usersCache || usersCache.mtimeMs !== stats.mtimeMs) {
+        const content = JSON.parse(await fs.promises.readFile(USERS_FILE, 'utf8'));
+        const users = Array.isArray(content.users) ? content.users : [];
+        usersCache = {
+            mtimeMs: stats.mtimeMs,
+            users: users.filter(user => user && typeof user.username === 'string' && ROLES.includes(user.role))
+        };
+    }
+    return usersCache.users;
+}
+
+/**
+ * Find a user by name
+ *
+ * @param {string} username - The username (case-insensitive)
+ * @returns {Promise<Object|null>} The user, or null if there is none with that name
+ */
+async function findUser(username) {
+    const name = String(username || '').trim().toLowerCase();
+    return (await loadUsers()).find(user => user.username === name) || null;
+}
+
+/**
+ * Add a user to the user file, or change the password and role of an existing one
+ *
+ * @param {string} username - The username
+ * @param {string} password - The password
+ * @param {string} role - One of ROLES
+ * @returns {Promise<boolean>} True if the user was added, false if an existing user was updated
+ */
+async function saveUser(username, password, role) {
+    const users = (await loadUsers()).slice();
+    const passwordHash = await hashPassword(password);
+    const index = users.findIndex(user => user.username === username);
+    if (index === -1) {
+        users.push({ username, role, passwordHash });
+    } else {
+        users[index] = { ...users[index], role, passwordHash };
+    }
+
+    // Only the server and the administrator need to read the file
+    await fs.promises.mkdir(path.dirname(USERS_FILE), { recursive: true });
+    await fs.promises.writeFile(USERS_FILE, JSON.stringify({ users }, null, 2) + '\n', { mode: 0o600 });
+    usersCache = null;
+    return index === -1;
+}
+
+/**
+ * Check whether a role may do what another role may
+ *
+ * @param {string} role - The user's role
+ * @param {string} required - The least privileged role that is allowed
+ * @returns {boolean} True if the role is the required one or a more privileged one
+ */
+function hasRole(role, required) {
+    return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+module.exports = {
+    USERS_FILE,
+    ROLES,
+    USERNAME_PATTERN,
+    MIN_PASSWORD_LENGTH,
+    hashPassword,
+    verifyPassword,
+    loadUsers,
+    findUser,
+    saveUser,
+    hasRole
+};
@@ -0,0 +1,348 @@
+/**
+ * CSV Search Webapp - Charts
+ *
+ * Draws bar, column, line and pie charts as SVG documents, and turns them into PNG
+ * images for downloads. The charts are drawn here rather than by a library from a
+ * CDN, so the chart panel keeps working offline.
+ *
+ * Every chart is drawn from a list of points, { label, value }; script.js works out
+ * the points from the rows matching the current search (see updateChart()).
+ */
+
+/**
+ * Width of every chart, in pixels
+ * Bar charts grow taller with the number of bars; the other charts have a fixed height.
+ * @type {number}
+ */
+const CHART_WIDTH = 800;
+
+/**
+ * Height of column, line and pie charts, in pixels
+ * @type {number}
+ */
+const CHART_HEIGHT = 400;
+
+/**
+ * Space above the plot for the chart title, in pixels
+ * @type {number}
+ */
+const CHART_TITLE_HEIGHT = 44;
+
+/**
+ * Colours of the bars, lines and slices, taken from Bootstrap's palette
+ * @type {Array<string>}
+ */
+const CHART_COLORS = ['#0d6efd', '#198754', '#fd7e14', '#6f42c1', '#dc3545', '#20c997', '#ffc107', '#0dcaf0', '#d63384', '#6c757d'];
+
+/**
+ * Draw a chart as an SVG document
+ *
+ * @param {string} type - The chart type: 'bar' (horizontal bars), 'column' (vertical bars), 'line' or 'pie'
+ * @param {Array<{label: string, value: number, axisLabel: (string|undefined)}>} points - The values to draw,
+ *     in the order to draw them; axisLabel is a shorter label for under a column, e.g. the start of a range
+ * @param {Object} [options] - Chart options
+ * @param {string} [options.title] - Title shown above the chart
+ * @param {function(number): string} [options.formatValue] - Formats values for the axis and labels
+ * @param {boolean} [options.gapless] - Draw columns without gaps between them, as in a histogram
+ * @returns {{svg: string, width: number, height: number}} The SVG markup and its size
+ */
+function drawChart(type, points, options = {}) {
+    const format = options.formatValue || (value => value.toLocaleString(undefined, { maximumFractionDigits: 2 }));
+    let chart;
+
+    if (points.length === 0) {
+        chart = {
+            width: CHART_WIDTH,
+            height: CHART_HEIGHT,
+            body: `<text x="${CHART_WIDTH / 2}" y="${CHART_HEIGHT / 2}" text-anchor="middle" fill="#6c757d">No rows to chart</text>`
+        };
+    } else {
+        switch (type) {
+            case 'bar':
+                chart = drawBarChart(points, format);
+                break;
+            case 'column':
+                chart = drawColumnChart(points, format, Boolean(options.gapless));
+                break;
+            case 'line':
+                chart = drawLineChart(points, format);
+                break;
+            case 'pie':
+                chart = drawPieChart(points, format);
+                break;
+            default:
+                throw new Error(`Unknown chart type: ${type}`);
+        }
+    }
+
+    const title = options.title
+        ? `<text x="${chart.width / 2}" y="26" text-anchor="middle" font-size="15" font-weight="600">${escapeXml(options.title)}</text>`
+        : '';
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${chart.width}" height="${chart.height}" ` +
+        `viewBox="0 0 ${chart.width} ${chart.height}" font-family="system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif" ` +
+        `font-size="12" fill="#212529">` +
+        `<rect width="100%" height="100%" fill="#fff"/>${title}${chart.body}</svg>`;
+    return { svg: svg, width: chart.width, height: chart.height };
+}
+
+/**
+ * Draw horizontal bars, one per point, with the labels on the left
+ * Suits long labels such as item names.
+ *
+ * @param {Array<{label: string, value: number}>} points - The bars
+ * @param {function(number): string} format - Formats values
+ * @returns {{body: string, width: number, height: number}} The chart
+ */
+function drawBarChart(points, format) {
+    const left = 220;
+    const right = 90;
+    const rowHeight = 22;
+    const top = CHART_TITLE_HEIGHT;
+    const plotHeight = points.length * rowHeight;
+    const height = top + plotHeight + 30;
+    const scale = getValueScale(points.map(point => point.value), CHART_WIDTH - left - right);
+    const zero = left + scale.position(0);
+
+    const grid = scale.ticks.map(tick => {
+        const x = left + scale.position(tick);
+        return `<line x1="${x}" y1="${top}" x2="${x}" y2="${top + plotHeight}" stroke="#e9ecef"/>` +
+            `<text x="${x}" y="${top + plotHeight + 18}" text-anchor="middle" fill="#6c757d">${escapeXml(format(tick))}</text>`;
+    }).join('');
+
+    const bars = points.map((point, index) => {
+        const y = top + index * rowHeight;
+        const end = left + scale.position(point.value);
+        return `<g><title>${escapeXml(`${point.label}: ${format(point.value)}`)}</title>` +
+            `<text x="${left - 8}" y="${y + rowHeight / 2 + 4}" text-anchor="end">${escapeXml(truncateLabel(point.label, 28))}</text>` +
+            `<rect x="${Math.min(zero, end)}" y="${y + 3}" width="${Math.abs(end - zero)}" height="${rowHeight - 6}" fill="${CHART_COLORS[0]}"/>` +
+            `<text x="${Math.max(zero, end) + 4}" y="${y + rowHeight / 2 + 4}" fill="#495057">${escapeXml(format(point.value))}</text></g>`;
+    }).join('');
+
+    return {
+        body: `${grid}<line x1="${zero}" y1="${top}" x2="${zero}" y2="${top + plotHeight}" stroke="#adb5bd"/>${bars}`,
+        width: CHART_WIDTH,
+        height: height
+    };
+}
+
+/**
+ * Draw vertical bars, one per point, with the labels under them
+ *
+ * @param {Array<{label: string, value: number}>} points - The columns
+ * @param {function(number): string} format - Formats values
+ * @param {boolean} gapless - Whether the columns touch, as in a histogram
+ * @returns {{body: string, width: number, height: number}} The chart
+ */
+function drawColumnChart(points, format, gapless) {
+    const axes = drawCategoryAxes(points, format);
+    const { band, scale, left, top, plotHeight } = axes;
+    const gap = gapless ? 1 : band * 0.2;
+    const zero = top + plotHeight - scale.position(0);
+
+    const columns = points.map((point, index) => {
+        const end = top + plotHeight - scale.position(point.value);
+        return `<rect x="${left + index * band + gap / 2}" y="${Math.min(zero, end)}" width="${Math.max(band - gap, 1)}" ` +
+            `height="${Math.abs(zero - end)}" fill="${CHART_COLORS[0]}">` +
+            `<title>${escapeXml(`${point.label}: ${format(point.value)}`)}</title></rect>`;
+    }).join('');
+
+    return { body: axes.body + columns, width: CHART_WIDTH, height: CHART_HEIGHT };
+}
+
+/**
+ * Draw a line through the points, from left to right
+ *
+ * @param {Array<{label: string, value: number}>} points - The points
+ * @param {function(number): string} format - Formats values
+ * @returns {{body: string, width: number, height: number}} The chart
+ */
+function drawLineChart(points, format) {
+    const axes = drawCategoryAxes(points, format);
+    const { band, scale, left, top, plotHeight } = axes;
+    const coordinates = points.map((point, index) => [
+        left + index * band + band / 2,
+        top + plotHeight - scale.position(point.value)
+    ]);
+
+    const line = `<polyline points="${coordinates.map(([x, y]) => `${x},${y}`).join(' ')}" fill="none" stroke="${CHART_COLORS[0]}" stroke-width="2"/>`;
+    // Markers would hide the line when there are many points
+    const markers = points.length > 100 ? '' : points.map((point, index) =>
+        `<circle cx="${coordinates[index][0]}" cy="${coordinates[index][1]}" r="3.5" fill="${CHART_COLORS[0]}">` +
+        `<title>${escapeXml(`${point.label}: ${format(point.value)}`)}</title></circle>`).join('');
+
+    return { body: axes.body + line + markers, width: CHART_WIDTH, height: CHART_HEIGHT };
+}
+
+/**
+ * Draw the value axis, grid lines and category labels shared by column and line charts
+ * Category labels are slanted so long labels fit; with many categories only some are labelled.
+ *
+ * @param {Array<{label: string, value: number}>} points - The points
+ * @param {function(number): string} format - Formats values
+ * @returns {{body: string, band: number, scale: Object, left: number, top: number, plotHeight: number}}
+ *     The axes and the geometry the points are drawn in
+ */
+function drawCategoryAxes(points, format) {
+    const left = 80;
+    const right = 20;
+    const bottom = 90;
+    const top = CHART_TITLE_HEIGHT;
+    const plotWidth = CHART_WIDTH - left - right;
+    const plotHeight = CHART_HEIGHT - top - bottom;
+    const band = plotWidth / points.length;
+    const scale = getValueScale(points.map(point => point.value), plotHeight);
+    const labelEvery = Math.ceil(points.length / 30);
+
+    const grid = scale.ticks.map(tick => {
+        const y = top + plotHeight - scale.position(tick);
+        return `<line x1="${left}" y1="${y}" x2="${left + plotWidth}" y2="${y}" stroke="${tick === 0 ? '#adb5bd' : '#e9ecef'}"/>` +
+            `<text x="${left - 8}" y="${y + 4}" text-anchor="end" fill="#6c757d">${escapeXml(format(tick))}</text>`;
+    }).join('');
+
+    const labels = points.map((point, index) => {
+        if (index % labelEvery !== 0) return '';
+        const x = left + index * band + band / 2;
+        const y = top + plotHeight + 14;
+        return `<text x="${x}" y="${y}" text-anchor="end" transform="rotate(-35 ${x} ${y})">${escapeXml(truncateLabel(point.axisLabel || point.label, 18))}</text>`;
+    }).join('');
+
+    return { body: grid + labels, band: band, scale: scale, left: left, top: top, plotHeight: plotHeight };
+}
+
+/**
+ * Draw a pie chart with a legend
+ * Only positive values can be drawn as slices; points without one are left out.
+ *
+ * @param {Array<{label: string, value: number}>} points - The slices
+ * @param {function(number): string} format - Formats values
+ * @returns {{body: string, width: number, height: number}} The chart
+ */
+function drawPieChart(points, format) {
+    const slices = points.filter(point => point.value > 0);
+    const total = slices.reduce((sum, point) => sum + point.value, 0);
+    const top = CHART_TITLE_HEIGHT;
+    const radius = (CHART_HEIGHT - top - 20) / 2;
+    const cx = 40 + radius;
+    const cy = top + radius;
+    const legendX = cx + radius + 40;
+    const legendRow = Math.min(22, (CHART_HEIGHT - top - 10) / Math.max(slices.length, 1));
+
+    let angle = -Math.PI / 2;
+    const paths = slices.map((point, index) => {
+        const color = CHART_COLORS[index % CHART_COLORS.length];
+        const share = point.value / total;
+        const tooltip = `<title>${escapeXml(`${point.label}: ${format(point.value)} (${(share * 100).toFixed(1)}%)`)}</title>`;
+        if (share >= 1) {
+            return `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="${color}">${tooltip}</circle>`;
+        }
+
+        const start = angle;
+        angle += share * 2 * Math.PI;
+        const [x1, y1] = [cx + radius * Math.cos(start), cy + radius * Math.sin(start)];
+        const [x2, y2] = [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+        return `<path d="M${cx},${cy} L${x1},${y1} A${radius},${radius} 0 ${share > 0.5 ? 1 : 0} 1 ${x2},${y2} Z" ` +
+            `fill="${color}" stroke="#fff" stroke-width="1">${tooltip}</path>`;
+    }).join('');
+
+    const legend = slices.map((point, index) => {
+        const y = top + index * legendRow;
+        return `<rect x="${legendX}" y="${y}" width="12" height="12" fill="${CHART_COLORS[index % CHART_COLORS.length]}"/>` +
+            `<text x="${legendX + 18}" y="${y + 10}">${escapeXml(`${truncateLabel(point.label, 34)}: ${format(point.value)} ` +
+            `(${(point.value / total * 100).toFixed(1)}%)`)}</text>`;
+    }).join('');
+
+    return { body: paths + legend, width: CHART_WIDTH, height: CHART_HEIGHT };
+}
+
+/**
+ * Work out the value axis of a chart: round tick values covering every value and zero
+ *
+ * @param {Array<number>} values - The values drawn
+ * @param {number} length - Length of the axis, in pixels
+ * @returns {{ticks: Array<number>, position: function(number): number}} The tick values, and
+ *     a function giving the distance of a value from the start of the axis
+ */
+function getValueScale(values, length) {
+    let min = values.reduce((a, b) => Math.min(a, b), 0);
+    let max = values.reduce((a, b) => Math.max(a, b), 0);
+    if (min === max) max = min + 1;
+
+    const step = getTickStep((max - min) / 5);
+    min = Math.floor(min / step) * step;
+    max = Math.ceil(max / step) * step;
+
+    const ticks = [];
+    for (let tick = min; tick <= max + step / 2; tick += step) {
+        // Avoid values like 0.30000000000000004 from adding up steps
+        ticks.push(Number(tick.toPrecision(12)));
+    }
+    return { ticks: ticks, position: value => (value - min) / (max - min) * length };
+}
+
+/**
+ * Round a step between ticks up to 1, 2 or 5 times a power of ten
+ *
+ * @param {number} rough - The step that would give the wanted number of ticks
+ * @returns {number} The rounded step
+ */
+function getTickStep(rough) {
+    const power = Math.pow(10, Math.floor(Math.log10(rough)));
+    const fraction = rough / power;
+    return (fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10) * power;
+}
+
+/**
+ * Shorten a label to fit next to a bar or under a column
+ *
+ * @param {string} label - The label
+ * @param {number} maxLength - The maximum number of characters
+ * @returns {string} The label, ending in "…" if it was shortened
+ */
+function truncateLabel(label, maxLength) {
+    const text = String(label);
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Escape text for use in SVG markup
+ *
+ * @param {*} value - The text
+ * @returns {string} The escaped text
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Turn a chart drawn by drawChart() into a PNG image
+ * The image is drawn at twice the chart size so it stays sharp on high-resolution screens.
+ *
+ * @param {{svg: string, width: number, height: number}} chart - The chart
+ * @returns {Promise<Blob>} The PNG image
+ */
+function chartToPng(chart) {
+    const scale = 2;
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(new Blob([chart.svg], { type: 'image/svg+xml' }));
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            const canvas = document.createElement('canvas');
+            canvas.width = chart.width * scale;
+            canvas.height = chart.height * scale;
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, chart.width, chart.height);
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The chart could not be turned into an image'))), 'image/png');
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('The chart could not be turned into an image'));
+        };
+        image.src = url;
+    });
+}
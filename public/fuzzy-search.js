@@ -0,0 +1,246 @@
+/**
+ * CSV Search Webapp - Fuzzy Search Index
+ *
+ * Finds rows by the words in their cells, tolerating typos and word order:
+ * "carry bagg" finds "Bauer Carry Bag", and "elite true" finds "TRUE ELITE".
+ * The index is built once per dataset, so each search only looks at the words
+ * that match the search terms instead of scanning every cell.
+ *
+ * Each search term matches index words that are:
+ * - the same word (score 1)
+ * - longer words starting with the term, since the last word is often still being typed
+ * - words one or two typing mistakes away, found through their trigrams; terms with
+ *   digits, like UPCs and sizes, and terms shorter than 4 letters must match exactly
+ *
+ * A row matches when every term matches one of its words, and scores the sum of
+ * the best match of each term.
+ *
+ * index.html loads this file as a normal script for client-side tables, and server.js
+ * requires it for datasets that are searched by the server.
+ */
+
+/**
+ * Letters and digits that make up a word; everything else separates words
+ * @type {RegExp}
+ */
+const SEARCH_WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Score of a word that starts with the search term, before the bonus for
+ * how much of the word the term covers
+ * @type {number}
+ */
+const PREFIX_MATCH_SCORE = 0.6;
+
+/**
+ * Score of a word one typing mistake away from the search term;
+ * each further mistake takes off another 0.2
+ * @type {number}
+ */
+const TYPO_MATCH_SCORE = 0.6;
+
+/**
+ * Split text into lowercase words
+ *
+ * @param {*} text - The text, e.g. a cell value or the search box text
+ * @returns {Array<string>} The words
+ */
+function tokenizeSearchText(text) {
+    return String(text ?? '').toLowerCase().match(SEARCH_WORD_PATTERN) || [];
+}
+
+/**
+ * Build the search index of a set of rows
+ *
+ * @param {Array<Array<*>>} rows - The rows, each an array of cell values
+ * @returns {Object} The index: the distinct words, the rows each word appears in,
+ *     the words each trigram appears in, and the words in alphabetical order for prefix lookups
+ */
+function buildSearchIndex(rows) {
+    const wordIds = new Map();
+    const words = [];
+    const postings = [];
+
+    rows.forEach((row, rowIndex) => {
+        const seen = new Set();
+        row.forEach(cell => {
+            tokenizeSearchText(cell).forEach(word => {
+                let id = wordIds.get(word);
+                if (id === undefined) {
+                    id = words.length;
+                    wordIds.set(word, id);
+                    words.push(word);
+                    postings.push([]);
+                }
+                if (!seen.has(id)) {
+                    seen.add(id);
+                    postings[id].push(rowIndex);
+                }
+            });
+        });
+    });
+
+    const trigrams = new Map();
+    words.forEach((word, id) => {
+        getTrigrams(word).forEach(trigram => {
+            if (!trigrams.has(trigram)) trigrams.set(trigram, []);
+            trigrams.get(trigram).push(id);
+        });
+    });
+
+    const sortedWordIds = words.map((word, id) => id).sort((a, b) => (words[a] < words[b] ? -1 : 1));
+    return { rowCount: rows.length, words, wordIds, postings, trigrams, sortedWordIds };
+}
+
+/**
+ * Search the index for rows matching every word of the search text
+ *
+ * @param {Object} index - The index from buildSearchIndex()
+ * @param {string} text - The search text
+ * @returns {{matches: Array<{row: number, score: number}>, words: Array<string>}} The matching rows,
+ *     best first (ties keep the row order), and the index words the terms matched, for highlighting
+ */
+function searchIndex(index, text) {
+    const terms = Array.from(new Set(tokenizeSearchText(text)));
+    const words = new Set();
+    let totals = null;
+
+    for (const term of terms) {
+        const termMatches = matchSearchTerm(index, term);
+        if (termMatches.size === 0) {
+            return { matches: [], words: [] };
+        }
+
+        const best = new Float64Array(index.rowCount);
+        termMatches.forEach((score, id) => {
+            words.add(index.words[id]);
+            index.postings[id].forEach(row => {
+                if (score > best[row]) best[row] = score;
+            });
+        });
+
+        // A row that misses a term is out, whatever its other scores
+        if (totals === null) {
+            totals = best;
+        } else {
+            for (let row = 0; row < totals.length; row++) {
+                totals[row] = totals[row] > 0 && best[row] > 0 ? totals[row] + best[row] : 0;
+            }
+        }
+    }
+
+    const matches = [];
+    if (totals !== null) {
+        totals.forEach((score, row) => {
+            if (score > 0) matches.push({ row, score });
+        });
+        matches.sort((a, b) => b.score - a.score || a.row - b.row);
+    }
+    return { matches, words: Array.from(words) };
+}
+
+/**
+ * Find the index words that match one search term, with their scores
+ *
+ * @param {Object} index - The index from buildSearchIndex()
+ * @param {string} term - The lowercase search term
+ * @returns {Map<number, number>} The score of each matching word, by word id
+ */
+function matchSearchTerm(index, term) {
+    const matches = new Map();
+    const exact = index.wordIds.get(term);
+    if (exact !== undefined) {
+        matches.set(exact, 1);
+    }
+
+    // Words starting with the term sit together in the sorted list
+    let low = 0;
+    let high = index.sortedWordIds.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (index.words[index.sortedWordIds[middle]] < term) low = middle + 1;
+        else high = middle;
+    }
+    for (let i = low; i < index.sortedWordIds.length; i++) {
+        const id = index.sortedWordIds[i];
+        const word = index.words[id];
+        if (!word.startsWith(term)) break;
+        if (id !== exact) {
+            matches.set(id, PREFIX_MATCH_SCORE + 0.3 * term.length / word.length);
+        }
+    }
+
+    // A typo in a code or a size usually means a different item, so those must match exactly
+    const maxEdits = /\d/.test(term) ? 0 : term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+    if (maxEdits === 0) return matches;
+
+    // Each edit changes at most three trigrams, so a close word shares all but 3 per edit
+    const termTrigrams = getTrigrams(term);
+    const shared = new Map();
+    termTrigrams.forEach(trigram => {
+        (index.trigrams.get(trigram) || []).forEach(id => shared.set(id, (shared.get(id) || 0) + 1));
+    });
+    const needed = Math.max(1, termTrigrams.length - 3 * maxEdits);
+    shared.forEach((count, id) => {
+        if (count < needed || matches.has(id)) return;
+        const word = index.words[id];
+        if (Math.abs(word.length - term.length) > maxEdits) return;
+        const distance = getEditDistance(term, word, maxEdits);
+        if (distance <= maxEdits) {
+            matches.set(id, TYPO_MATCH_SCORE - 0.2 * (distance - 1));
+        }
+    });
+    return matches;
+}
+
+/**
+ * Get the distinct trigrams of a word, padded so its first and last letters
+ * are in as many trigrams as the others
+ *
+ * @param {string} word - The word
+ * @returns {Array<string>} The trigrams
+ */
+function getTrigrams(word) {
+    const padded = `$${word}$`;
+    const trigrams = new Set();
+    for (let i = 0; i < padded.length - 2; i++) {
+        trigrams.add(padded.slice(i, i + 3));
+    }
+    return Array.from(trigrams);
+}
+
+/**
+ * Count the typing mistakes between two words: letters added, removed, changed or swapped
+ * Stops counting once the limit is passed.
+ *
+ * @param {string} a - The first word
+ * @param {string} b - The second word
+ * @param {number} limit - The most mistakes of interest
+ * @returns {number} The number of mistakes, or limit + 1 if there are more
+ */
+function getEditDistance(a, b, limit) {
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMinimum = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distance = Math.min(distance, previousRow[j - 2] + 1);
+            }
+            nextRow.push(distance);
+            rowMinimum = Math.min(rowMinimum, distance);
+        }
+        if (rowMinimum > limit) return limit + 1;
+        previousRow = row;
+        row = nextRow;
+    }
+    return Math.min(row[b.length], limit + 1);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { tokenizeSearchText, buildSearchIndex, searchIndex };
+}
@@ -0,0 +1,70 @@
+/**
+ * CSV Search Webapp - Login
+ *
+ * Sends the login form to the server and, once the login is accepted, goes on to the page
+ * the user was sent here from (the "next" parameter), keeping the view in its URL hash.
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+    document.getElementById('loginForm').addEventListener('submit', handleLoginSubmit);
+});
+
+/**
+ * Log in with the username and password of the form
+ *
+ * @param {Event} event - The submit event
+ */
+async function handleLoginSubmit(event) {
+    event.preventDefault();
+    const button = document.getElementById('loginBtn');
+    const username = document.getElementById('loginUsername').value.trim();
+    const password = document.getElementById('loginPassword').value;
+    if (!username || !password) {
+        showLoginError('Enter your username and password.');
+        return;
+    }
+
+    button.disabled = true;
+    try {
+        const response = await fetch('/api/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error(response.status === 429 ?
+                'Too many attempts. Wait a minute and try again.' :
+                result.error || `${response.status} ${response.statusText}`);
+        }
+
+        // The hash isn't sent to the server, so the shared view it holds is still here
+        window.location.href = getNextPage() + window.location.hash;
+    } catch (error) {
+        showLoginError(error.message);
+        document.getElementById('loginPassword').select();
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Get the page to go to after logging in
+ * Only paths on this server are followed, with the same check as the server (see safe-redirect.js).
+ *
+ * @returns {string} The path
+ */
+function getNextPage() {
+    return getSafeRedirect(new URLSearchParams(window.location.search).get('next'), window.location.origin);
+}
+
+/**
+ * Show why the login failed
+ *
+ * @param {string} message - The message
+ */
+function showLoginError(message) {
+    const error = document.getElementById('loginError');
+    error.textContent = message;
+    error.classList.remove('d-none');
+}
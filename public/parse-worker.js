@@ -0,0 +1,298 @@
+/**
+ * CSV Search Webapp - CSV Parsing Worker
+ *
+ * Parses CSV files off the main thread, so the page stays responsive while files
+ * close to the 50MB upload limit are read. Rows are sent back in batches so the
+ * table can show them while the rest of the file is parsed.
+ *
+ * Messages received:
+ * - { file: File|Blob, options } - Parse the file with the import options
+ *   chosen in the upload modal (see parseCsvFile)
+ * - { type: 'workbook', file: File } - Turn each worksheet of an Excel file into CSV text
+ *   (see convertWorkbook); workbooks from suppliers can be as big as CSV files
+ *
+ * Messages sent:
+ * - { type: 'chunk', rows, fields, cursor, rowCount } - A batch of parsed rows;
+ *   cursor is how far into the file parsing has got
+ * - { type: 'complete', rowCount, fields, errors, badRows } - The whole file has been parsed;
+ *   each error has the row it was found in, its type and the raw text of that row, and
+ *   badRows lists every row with errors, including those past the last error reported
+ * - { type: 'workbook', sheetNames, sheets } - The worksheets of an Excel file, in order,
+ *   and the CSV text of each, keyed by worksheet name
+ * - { type: 'error', message } - The file could not be read
+ *
+ * Parsing is cancelled by terminating the worker.
+ *
+ * index.html also loads this file as a normal script, so the page can call
+ * parseCsvFile() itself where Web Workers aren't available.
+ */
+
+if (typeof importScripts === 'function') {
+    importScripts('https://cdnjs.cloudflare.com/ajax/libs/PapaParse/5.3.0/papaparse.min.js');
+}
+
+/**
+ * SheetJS, which reads Excel files; the worker only loads it for Excel files
+ * @type {string}
+ */
+const XLSX_SCRIPT_URL = 'vendor/xlsx.full.min.js';
+
+/**
+ * Size of the pieces the file is read in
+ * @type {number}
+ */
+const PARSE_CHUNK_SIZE = 1024 * 1024; // 1MB
+
+/**
+ * Number of rows sent back in each 'chunk' message
+ * @type {number}
+ */
+const PARSE_BATCH_SIZE = 5000;
+
+/**
+ * Maximum number of parse errors reported
+ * A badly broken file can have an error on every row. The rows with errors
+ * are all counted, so they can still be skipped when not all are reported.
+ * @type {number}
+ */
+const MAX_PARSE_ERRORS = 1000;
+
+/**
+ * Parse a CSV file row by row, reporting batches of rows and the errors found
+ *
+ * Rows are parsed as arrays so rows above the header can be skipped and columns
+ * renamed or dropped; each row is then turned into an object keyed by column name.
+ *
+ * @param {File|Blob} file - The CSV file
+ * @param {function(Object): void} post - Called with each message (see the list above)
+ * @param {Object} [options] - Import options
+ * @param {string} [options.delimiter] - Field delimiter; detected from the file when empty
+ * @param {string} [options.encoding] - Text encoding of the file; UTF-8 when empty
+ * @param {number} [options.skipRows] - Number of rows above the header row to ignore
+ * @param {boolean} [options.hasHeader] - Whether the first row after the skipped rows holds the column names
+ * @param {Array<{index: number, name: string}>} [options.columns] - The columns to keep, by position
+ *     in the file, with their new names; every column is kept under its header when omitted
+ */
+function parseCsvFile(file, post, options = {}) {
+    const skipRows = options.skipRows || 0;
+    const hasHeader = options.hasHeader !== false;
+    const errors = [];
+    const badRows = [];
+    const errorRanges = new Map(); // Row index -> [start, end] of the row in the file text
+    let rows = [];
+    let rowCount = 0;
+    let fields = [];
+    let columns = null;
+    let fieldCount = 0;
+    let rowsSeen = 0;
+    let rowStart = 0;
+
+    const sendRows = (cursor) => {
+        post({ type: 'chunk', rows: rows, fields: fields, cursor: cursor, rowCount: rowCount });
+        rows = [];
+    };
+
+    Papa.parse(file, {
+        delimiter: options.delimiter || '',  // Detect the delimiter unless one was chosen
+        encoding: options.encoding || '',    // Read the file as UTF-8 unless another encoding was chosen
+        dynamicTyping: false,      // Keep values as strings; column types are detected afterwards
+        skipEmptyLines: true,      // Skip empty lines in the CSV
+        chunkSize: PARSE_CHUNK_SIZE,
+        step: function(results) {
+            // The cursor is where this row ends, so the row starts where the previous one ended
+            const cursor = results.meta.cursor;
+            const values = results.data;
+
+            if (rowsSeen < skipRows) {
+                rowsSeen++;
+                rowStart = cursor;
+                return;
+            }
+
+            if (!columns) {
+                // The first row after the skipped ones decides the columns
+                fieldCount = values.length;
+                columns = getImportColumns(values, { hasHeader: hasHeader, columns: options.columns });
+                fields = columns.map(column => column.name);
+                if (hasHeader) {
+                    rowsSeen++;
+                    rowStart = cursor;
+                    return;
+                }
+            }
+
+            // Rows with a different number of fields than the header are reported the way
+            // PapaParse reports them in header mode
+            const rowErrors = results.errors.slice();
+            if (values.length !== fieldCount) {
+                const code = values.length < fieldCount ? 'TooFewFields' : 'TooManyFields';
+                rowErrors.push({
+                    type: 'FieldMismatch',
+                    code: code,
+                    message: `${code === 'TooFewFields' ? 'Too few' : 'Too many'} fields: expected ${fieldCount} fields but parsed ${values.length}`
+                });
+            }
+
+            if (rowErrors.length > 0) {
+                badRows.push(rowCount);
+            }
+            if (rowErrors.length > 0 && errors.length < MAX_PARSE_ERRORS) {
+                rowErrors.forEach(error => {
+                    // PapaParse can report the same problem several times for one row
+                    if (!errors.some(seen => seen.row === rowCount && seen.code === error.code)) {
+                        errors.push({ row: rowCount, type: error.type, code: error.code, message: error.message });
+                    }
+                });
+                errorRanges.set(rowCount, [rowStart, cursor]);
+            }
+
+            const row = {};
+            columns.forEach(column => {
+                if (column.index < values.length) {
+                    row[column.name] = values[column.index];
+                }
+            });
+            rows.push(row);
+            rowCount++;
+            rowsSeen++;
+            rowStart = cursor;
+
+            if (rows.length >= PARSE_BATCH_SIZE) {
+                sendRows(cursor);
+            }
+        },
+        complete: function() {
+            if (rows.length > 0) {
+                sendRows(rowStart);
+            }
+            if (errors.length === 0) {
+                post({ type: 'complete', rowCount: rowCount, fields: fields, errors: errors, badRows: badRows });
+                return;
+            }
+
+            // Read the file once more to show the raw text of the rows with errors
+            readFileText(file, options.encoding)
+                .then(text => {
+                    errors.forEach(error => {
+                        const [start, end] = errorRanges.get(error.row);
+                        // The range can start with empty lines skipped before the row
+                        error.raw = text.slice(start, end).replace(/^(\r?\n)+/, '').replace(/\r?\n$/, '');
+                    });
+                })
+                .catch(() => {
+                    // The report still lists the rows and error types without the raw text
+                })
+                .then(() => post({ type: 'complete', rowCount: rowCount, fields: fields, errors: errors, badRows: badRows }));
+        },
+        error: function(error) {
+            post({ type: 'error', message: error.message || String(error) });
+        }
+    });
+}
+
+/**
+ * Decide the columns of a file from its header row
+ * Used by parseCsvFile() and by the upload modal's preview, so both name columns the same way.
+ *
+ * @param {Array<string>} headerRow - The first row after the skipped rows
+ * @param {Object} [options] - Import options
+ * @param {boolean} [options.hasHeader] - Whether headerRow holds the column names;
+ *     columns are named "Column 1", "Column 2" and so on when it doesn't
+ * @param {Array<{index: number, name: string}>} [options.columns] - The columns chosen in the upload modal
+ * @returns {Array<{index: number, name: string}>} The columns to keep, with their position in each row
+ */
+function getImportColumns(headerRow, options = {}) {
+    if (options.columns) {
+        return options.columns;
+    }
+    return headerRow.map((header, index) => ({
+        index: index,
+        // Clean up header names by trimming whitespace
+        name: options.hasHeader === false ? `Column ${index + 1}` : String(header).trim()
+    }));
+}
+
+/**
+ * Turn each worksheet of an Excel file into CSV text
+ *
+ * @param {File|Blob} file - The Excel file
+ * @param {function(Object): void} post - Called with the 'workbook' message, or an 'error' message
+ */
+function convertWorkbook(file, post) {
+    if (typeof XLSX === 'undefined') {
+        importScripts(XLSX_SCRIPT_URL);
+    }
+    readFileBytes(file)
+        .then(bytes => {
+            // cellNF keeps each cell's number format, which worksheetToCsv() needs
+            const workbook = XLSX.read(bytes, { type: 'array', cellNF: true });
+            const sheets = {};
+            workbook.SheetNames.forEach(name => {
+                sheets[name] = worksheetToCsv(workbook.Sheets[name]);
+            });
+            post({ type: 'workbook', sheetNames: workbook.SheetNames, sheets: sheets });
+        })
+        .catch(error => post({ type: 'error', message: error.message || String(error) }));
+}
+
+/**
+ * Write an Excel worksheet as CSV text
+ * Cells are written as Excel shows them, so currency and dates keep their formatting.
+ * Whole numbers in the General format are written in full instead: UPC and EAN codes are
+ * usually stored as numbers, and General would show 681489079420 as 6.81489E+11.
+ *
+ * @param {Object} sheet - The SheetJS worksheet, read with cellNF
+ * @returns {string} The CSV text
+ */
+function worksheetToCsv(sheet) {
+    Object.keys(sheet).forEach(address => {
+        const cell = sheet[address];
+        if (address[0] !== '!' && cell.t === 'n' && Number.isInteger(cell.v) && (!cell.z || cell.z === 'General')) {
+            cell.w = String(cell.v);
+        }
+    });
+    return XLSX.utils.sheet_to_csv(sheet, { blankrows: false });
+}
+
+/**
+ * Read a file as bytes
+ *
+ * @param {File|Blob} file - The file
+ * @returns {Promise<ArrayBuffer>} The file's contents
+ */
+function readFileBytes(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(file);
+    });
+}
+
+/**
+ * Read a file as text, the same way PapaParse reads it
+ *
+ * @param {File|Blob} file - The file
+ * @param {string} [encoding] - Text encoding of the file; UTF-8 when empty
+ * @returns {Promise<string>} The file's text
+ */
+function readFileText(file, encoding) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file, encoding || undefined);
+    });
+}
+
+// When running as a worker, parse the files posted by the page
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.onmessage = function(event) {
+        const post = message => self.postMessage(message);
+        if (event.data.type === 'workbook') {
+            convertWorkbook(event.data.file, post);
+        } else {
+            parseCsvFile(event.data.file, post, event.data.options);
+        }
+    };
+}
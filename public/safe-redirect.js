@@ -0,0 +1,35 @@
+/**
+ * CSV Search Webapp - Safe Redirects
+ *
+ * Checks where to go after logging in, so the login page's "next" parameter
+ * can't be used to send users to another site.
+ *
+ * login.html loads this file as a normal script, and server.js requires it for
+ * users who open the login page while they are logged in already.
+ */
+
+/**
+ * Get the page to go to after logging in, from the login page's "next" parameter
+ * The path is resolved the way the browser would resolve it, so tricks like "//host",
+ * "/\host" and "/<tab>/host" (browsers drop tabs and newlines from URLs) stay on this site.
+ *
+ * @param {*} next - The "next" parameter
+ * @param {string} [origin='http://localhost'] - The site's origin; any origin works on the server,
+ *     where only whether the path leaves it matters
+ * @returns {string} The path and query on this site, '/' if the parameter points anywhere else
+ */
+function getSafeRedirect(next, origin = 'http://localhost') {
+    if (typeof next !== 'string' || !next.startsWith('/') || /[\x00-\x1f\\]/.test(next)) return '/';
+
+    let url;
+    try {
+        url = new URL(next, origin);
+    } catch (error) {
+        return '/';
+    }
+    return url.origin === origin ? url.pathname + url.search : '/';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { getSafeRedirect };
+}
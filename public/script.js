@@ -0,0 +1,8613 @@
+/**
+ * CSV Search Webapp - Main JavaScript
+ *
+ * This file contains the core functionality for the CSV Search Webapp.
+ * It handles loading CSV data, displaying it in a searchable table,
+ * and providing export functionality.
+ *
+ * The application uses the following libraries:
+ * - PapaParse: For parsing CSV files
+ * - DataTables: For displaying and interacting with tabular data
+ * - Bootstrap: For UI components and styling
+ *
+ * Security Features:
+ * - Honeypot fields to detect and block bots
+ * - Timing validation to prevent automated form submissions
+ * - Bot detection logging
+ * - File validation for uploads
+ *
+ * User Experience Features:
+ * - Column visibility controls
+ * - User preference saving
+ * - Support for large datasets (up to 2,000 entries per page)
+ * - Responsive design for all devices
+ *
+ * @author Nicholas G
+ * @version 1.1.0
+ */
+
+//=============================================================================
+// GLOBAL VARIABLES AND CONSTANTS
+//=============================================================================
+
+/**
+ * Stores the parsed CSV data as an array of objects
+ * @type {Array}
+ */
+let csvData = [];
+
+/**
+ * Reference to the DataTable instance
+ * @type {DataTable|null}
+ */
+let dataTable = null;
+
+/**
+ * Dataset ID that the server resolves to the current default dataset
+ * The default dataset is loaded on startup and can be changed from the dataset picker
+ * @type {string}
+ */
+const DEFAULT_DATASET_ID = 'default';
+
+/**
+ * Maximum size of an uploaded CSV file (must match MAX_UPLOAD_BYTES in server.js)
+ * @type {number}
+ */
+const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
+
+/**
+ * Script that parses uploaded files off the main thread
+ * @type {string}
+ */
+const PARSE_WORKER_URL = 'parse-worker.js';
+
+/**
+ * How often rows from a file being parsed are added to the table, in milliseconds
+ * Each addition redraws the table, so rows are collected in between
+ * @type {number}
+ */
+const UPLOAD_DRAW_INTERVAL = 500;
+
+/**
+ * The upload in progress, if any
+ * @type {{done: Promise<Object>, cancel: function(): void}|null}
+ */
+let currentUpload = null;
+
+/**
+ * Number of rows shown in the upload modal's preview
+ * @type {number}
+ */
+const IMPORT_PREVIEW_ROWS = 50;
+
+/**
+ * Preview of the file selected in the upload modal
+ * columns holds every column of the file, with the name it will be imported under
+ * and whether it is imported at all
+ * @type {{file: File, delimiter: string, columns: Array<{index: number, original: string, name: string, include: boolean}>}|null}
+ */
+let importPreview = null;
+
+/**
+ * The Excel or JSON file selected in the upload modal, turned into CSV
+ * Kept so the file is only read once while the import options are changed.
+ * csvFiles holds the CSV version of each worksheet, or of the JSON records under ''.
+ * @type {{file: File, sheetNames: (Array<string>|null), csvFiles: Map<string, File>}|null}
+ */
+let importSource = null;
+
+/**
+ * Counts the previews started, so a slow preview can't replace a newer one
+ * @type {number}
+ */
+let importPreviewCount = 0;
+
+/**
+ * The parse report waiting for the user to decide what to do with rows that have errors
+ * @type {{errors: Array<Object>, fields: Array<string>, sourceName: string, resolve: function(string): void}|null}
+ */
+let currentParseReport = null;
+
+/**
+ * Descriptions of PapaParse's error codes and types for the parse report
+ * @type {Object<string, string>}
+ */
+const PARSE_ERROR_LABELS = {
+    Quotes: 'Quotes',
+    Delimiter: 'Delimiter',
+    TooManyFields: 'Too many fields',
+    TooFewFields: 'Too few fields'
+};
+
+/**
+ * The dataset currently shown in the table
+ * @type {{id: string, name: string}|null}
+ */
+let currentDataset = null;
+
+/**
+ * Datasets with more rows than this are paged, sorted and searched on the server
+ * instead of being downloaded and parsed in the browser
+ * @type {number}
+ */
+const SERVER_SIDE_ROW_THRESHOLD = 10000;
+
+/**
+ * Options for the server-side mode of the current table, or null in client-side mode
+ * @type {{datasetId: string, url: string}|null}
+ */
+let serverSideOptions = null;
+
+/**
+ * Whether the table scrolls through all matching rows instead of showing them a page at a time
+ * Only the rows in view are drawn, so long tables stay fast. Saved by savePreferences().
+ * @type {boolean}
+ */
+let virtualScrolling = false;
+
+/**
+ * Where the virtual scrolling choice is kept; it applies to every table, whatever its columns
+ * @type {string}
+ */
+const VIRTUAL_SCROLLING_STORAGE_KEY = 'csvWebappVirtualScrolling';
+
+/**
+ * Height of the scrolling table body in virtual scrolling mode, or when the header row is frozen
+ * @type {string}
+ */
+const TABLE_SCROLL_HEIGHT = '65vh';
+
+/**
+ * Rows per page for classic pagination
+ * Kept while virtual scrolling is on, since the page length DataTables reports then is the number of rows drawn.
+ * @type {number}
+ */
+let classicPageLength = 25;
+
+/**
+ * Headers of the columns in the current table, in column order
+ * @type {Array<string>}
+ */
+let currentHeaders = [];
+
+/**
+ * Type of each column of the current table (see COLUMN_TYPES)
+ * Decides how the column is sorted and rendered, and which operators its filter offers
+ * @type {Array<string>}
+ */
+let columnTypes = [];
+
+/**
+ * Type of each column of the current table as detected from its values
+ * @type {Array<string>}
+ */
+let detectedColumnTypes = [];
+
+/**
+ * Column types chosen by the user in the column modal, keyed by column header
+ * These replace the detected type of the column
+ * @type {Object<string, string>}
+ */
+let columnTypeOverrides = {};
+
+/**
+ * How the user arranged the columns of the current table, saved per header signature by savePreferences()
+ * order lists the headers in the order they are shown in, widths the width in pixels of each resized
+ * column and pinned the side ('left' or 'right') each pinned column stays at while the table scrolls
+ * sideways. frozenHeader keeps the column titles in view while the rows scroll under them.
+ * Columns are referred to by header, so the layout still fits when columns are added to the file or moved in it.
+ * @type {{order: Array<string>, widths: Object<string, number>, pinned: Object<string, string>, frozenHeader: boolean}}
+ */
+let columnLayout = createColumnLayout();
+
+/**
+ * Narrowest width in pixels a column can be resized to
+ * @type {number}
+ */
+const MIN_COLUMN_WIDTH = 60;
+
+/**
+ * The column title whose edge is being dragged, with where the drag started
+ * Kept until the click that ends the drag has passed, so the click doesn't sort the column.
+ * @type {{header: string, startX: number, startWidth: number}|null}
+ */
+let columnResize = null;
+
+/**
+ * The column being dragged to a new place in the column modal's list
+ * @type {HTMLElement|null}
+ */
+let draggedColumnItem = null;
+
+/**
+ * Column types that can be detected or chosen, with their labels in the column modal
+ * @type {Object<string, string>}
+ */
+const COLUMN_TYPES = {
+    identifier: 'Identifier / barcode',
+    integer: 'Integer',
+    decimal: 'Decimal',
+    currency: 'Currency',
+    date: 'Date',
+    boolean: 'Boolean',
+    text: 'Text'
+};
+
+/**
+ * Column types that hold numbers and are sorted and filtered numerically
+ * @type {Array<string>}
+ */
+const NUMERIC_COLUMN_TYPES = ['integer', 'decimal', 'currency'];
+
+/**
+ * Active column filters from the filter row, keyed by column header
+ * Each filter looks like { operator: 'between', value: '', min: '1', max: '5' }
+ * @type {Object<string, Object>}
+ */
+let columnFilters = {};
+
+/**
+ * The parsed query from the search box, or null when the search box holds plain text
+ * Plain text is searched by DataTables itself; parsed queries are evaluated by querySearch()
+ * @type {Object|null}
+ */
+let activeSearchQuery = null;
+
+/**
+ * How the search box matches rows: 'exact' for DataTables' own search and the query language,
+ * 'fuzzy' for the typo-tolerant word search of fuzzy-search.js
+ * @type {string}
+ */
+let searchMode = 'exact';
+
+/**
+ * Word index of the table's rows for fuzzy searches
+ * Built by the first fuzzy search and dropped whenever the rows change.
+ * @type {{rows: Array<Object>, index: Object}|null}
+ */
+let fuzzyIndex = null;
+
+/**
+ * The current fuzzy search: the rank of each matching row, best first, and the words to highlight
+ * ranks is null for tables searched by the server, which ranks the rows and sends the words itself.
+ * @type {{ranks: (Map<Object, number>|null), words: Set<string>}|null}
+ */
+let fuzzySearchResult = null;
+
+/**
+ * The sort order from before a fuzzy search started ranking the rows, put back when it ends
+ * @type {Array|null}
+ */
+let orderBeforeFuzzySearch = null;
+
+/**
+ * View state from the URL hash waiting for the next table to be displayed
+ * Set when a shared link names a dataset that still has to be loaded
+ * @type {Object|null}
+ */
+let pendingUrlState = null;
+
+/**
+ * The view state last written to or read from the URL hash
+ * Used to tell search-only changes (which replace the history entry) from other changes
+ * @type {Object|null}
+ */
+let lastUrlState = null;
+
+/**
+ * True while a view state is being applied, so the draws it causes
+ * don't add history entries or save preferences of their own
+ * @type {boolean}
+ */
+let restoringViewState = false;
+
+/**
+ * localStorage key for the saved views and preferences of each header signature
+ * @type {string}
+ */
+const VIEWS_STORAGE_KEY = 'csvWebappViews';
+
+/**
+ * localStorage key of the preferences kept before views: one object for every CSV file
+ * They are moved to the last view of the first table they fit (see migrateLegacyPreferences).
+ * @type {string}
+ */
+const LEGACY_PREFERENCES_STORAGE_KEY = 'csvWebappPreferences';
+
+/**
+ * The saved view last applied from the views menu, shown in the navigation bar
+ * @type {{signature: string, name: string}|null}
+ */
+let activeView = null;
+
+/**
+ * Cell edits made in the current table, and rows removed by merging duplicates
+ * changes maps each edited row to the original values of its changed cells, by column header;
+ * removed maps each removed row to the position it had in csvData.
+ * undo and redo hold steps of edits, each a list of cell edits { row, header, oldValue, newValue }
+ * and row removals { row, oldRemoved, newRemoved }.
+ * @type {{changes: Map<Object, Map<string, string>>, removed: Map<Object, number>, undo: Array<Array<Object>>, redo: Array<Array<Object>>}}
+ */
+let editState = createEditState();
+
+/**
+ * The cell being edited, if any
+ * @type {{td: HTMLElement, input: HTMLInputElement, row: Object, header: string, type: string, value: string}|null}
+ */
+let activeCellEditor = null;
+
+/**
+ * Most changed cells listed in the changes panel
+ * The diff file download always has all of them
+ * @type {number}
+ */
+const MAX_LISTED_CHANGES = 200;
+
+/**
+ * Header of the column that says how each row changed in compare mode
+ * @type {string}
+ */
+const COMPARE_CHANGE_COLUMN = 'Change';
+
+/**
+ * Change types found when comparing two snapshots, with their labels in the Change column
+ * @type {Object<string, string>}
+ */
+const COMPARE_CHANGE_TYPES = {
+    added: 'Added',
+    removed: 'Removed',
+    changed: 'Changed',
+    unchanged: 'Unchanged'
+};
+
+/**
+ * The comparison shown in the table, or null outside compare mode
+ * changes holds the change type of each compared row and the old values of its changed cells;
+ * previous is what the table showed before, put back when compare mode is left.
+ * @type {Object|null}
+ */
+let compareState = null;
+
+/**
+ * Functions offered in the totals panel, with their labels
+ * Count counts rows and distinct count counts the different values of any column;
+ * the others work on numeric columns.
+ * @type {Object<string, string>}
+ */
+const AGGREGATE_FUNCTIONS = {
+    count: 'Count',
+    sum: 'Sum',
+    avg: 'Average',
+    min: 'Min',
+    max: 'Max',
+    distinct: 'Distinct count'
+};
+
+/**
+ * Totals panel functions that need a numeric column
+ * @type {Array<string>}
+ */
+const NUMERIC_AGGREGATE_FUNCTIONS = ['sum', 'avg', 'min', 'max'];
+
+/**
+ * Group-by columns and values of the totals panel
+ * Each value is { fn, column, times }: times is an optional second numeric column the
+ * first is multiplied by, e.g. Remaining × Sale Price for the stock value.
+ * @type {{groupBy: Array<string>, measures: Array<{fn: string, column: string, times: string}>}}
+ */
+let aggregateConfig = { groupBy: [], measures: [] };
+
+/**
+ * Whether the totals panel is shown; it stays open when another dataset is loaded
+ * @type {boolean}
+ */
+let aggregatePanelOpen = false;
+
+/**
+ * DataTable showing the totals
+ * @type {Object|null}
+ */
+let aggregateTable = null;
+
+/**
+ * The totals last shown, used by "Download CSV"
+ * @type {Object|null}
+ */
+let aggregateResult = null;
+
+/**
+ * Timer of the pending totals update, so a burst of draws updates the totals once
+ * @type {number|null}
+ */
+let aggregateTimer = null;
+
+/**
+ * Number of totals updates started, so a slow server answer doesn't replace newer totals
+ * @type {number}
+ */
+let aggregateUpdateCount = 0;
+
+/**
+ * Rows last fetched from the server for the totals, with the search they were fetched for
+ * Paging through the table doesn't change the totals, so they aren't fetched again.
+ * @type {{key: string, rows: Array<Array>}|null}
+ */
+let aggregateServerRows = null;
+
+/**
+ * Chart types offered in the chart panel, with their labels
+ * Bar charts are drawn with horizontal bars so long labels like item names fit.
+ * @type {Object<string, string>}
+ */
+const CHART_TYPES = {
+    bar: 'Bar',
+    line: 'Line',
+    pie: 'Pie',
+    histogram: 'Histogram'
+};
+
+/**
+ * What the chart panel draws: the chart type, the column the labels come from, the value
+ * worked out for each label (as in the totals panel), how many labels to show and their order
+ * @type {{type: string, label: string, fn: string, column: string, times: string, limit: number, sort: string}|null}
+ */
+let chartConfig = null;
+
+/**
+ * Whether the chart panel is shown; it stays open when another dataset is loaded
+ * @type {boolean}
+ */
+let chartPanelOpen = false;
+
+/**
+ * The chart last drawn, used by the PNG and SVG downloads
+ * @type {{svg: string, width: number, height: number}|null}
+ */
+let currentChart = null;
+
+/**
+ * Timer of the pending chart update
+ * @type {number|null}
+ */
+let chartTimer = null;
+
+/**
+ * Number of chart updates started, so a slow server answer doesn't replace a newer chart
+ * @type {number}
+ */
+let chartUpdateCount = 0;
+
+/**
+ * localStorage key for the scan history, which is kept across page loads and datasets
+ * @type {string}
+ */
+const SCAN_HISTORY_STORAGE_KEY = 'csvWebappScanHistory';
+
+/**
+ * Number of scans kept in the scan history; the oldest are dropped first
+ * @type {number}
+ */
+const MAX_SCAN_HISTORY = 1000;
+
+/**
+ * Number of scans listed in the scan panel; the download has all of them
+ * @type {number}
+ */
+const MAX_LISTED_SCANS = 50;
+
+/**
+ * Longest gap in milliseconds between the keys of a barcode scanner
+ * Scanners type a whole code in a few milliseconds per digit; people can't type that fast.
+ * @type {number}
+ */
+const SCAN_KEY_INTERVAL = 50;
+
+/**
+ * Fewest digits typed in a burst that count as a scan
+ * @type {number}
+ */
+const MIN_SCAN_LENGTH = 8;
+
+/**
+ * Whether scan mode is on, which is while the scan panel is shown
+ * @type {boolean}
+ */
+let scanModeOn = false;
+
+/**
+ * Digits typed in quick succession, with the time of the last one and the text
+ * the focused input had before the first one, so it can be put back after a scan
+ * @type {{keys: string, last: number, target: (EventTarget|null), value: (string|null)}}
+ */
+let scanBuffer = { keys: '', last: 0, target: null, value: null };
+
+/**
+ * Rows by barcode, without leading zeros, for the dataset they were read from
+ * Built by the first lookup and dropped whenever the rows change.
+ * @type {{source: (Array<Object>|string), rows: Map<string, Array<{row: Object, header: string}>>}|null}
+ */
+let scanIndex = null;
+
+/**
+ * Every scan, newest first: when it was made, the barcode and its format, the result,
+ * the number of matching rows and the values of the first one
+ * @type {Array<{time: string, code: string, format: string, result: string, matches: number, row: (Object|null)}>}
+ */
+let scanHistory = [];
+
+/**
+ * Number of repeated values listed in a column profile
+ * @type {number}
+ */
+const MAX_PROFILE_DUPLICATES = 20;
+
+/**
+ * Number of bars in a column profile's histogram
+ * @type {number}
+ */
+const PROFILE_HISTOGRAM_BINS = 12;
+
+/**
+ * Every row of a server-side dataset, fetched the first time one of its columns is profiled
+ * or a barcode is looked up (see getAllServerRows)
+ * @type {{datasetId: string, rows: Array<Array>}|null}
+ */
+let allServerRows = null;
+
+/**
+ * Groups of rows found by the duplicate finder, waiting to be merged or skipped
+ * keep is the position in rows of the row that stays, choices the position of the row whose value
+ * is kept for each column whose values differ, and reasons describe why the rows were grouped.
+ * @type {Array<{rows: Array<Object>, keep: number, choices: Object<string, number>, reasons: Array<string>}>}
+ */
+let duplicateGroups = [];
+
+/**
+ * Number of duplicate groups shown at once in the duplicates modal
+ * @type {number}
+ */
+const MAX_DUPLICATE_GROUPS = 100;
+
+/**
+ * The logged-in user, from the server's /api/session endpoint
+ * The role decides which controls are shown; the server checks it again for every request.
+ * @type {{username: string, role: string}|null}
+ */
+let currentUser = null;
+
+/**
+ * Roles from least to most privileged, as in the server's auth.js
+ * @type {Array<string>}
+ */
+const USER_ROLES = ['viewer', 'editor', 'admin'];
+
+/**
+ * Rows selected by clicking them in the table, for exporting just those rows
+ * Client-side rows are kept by the row object; server-side rows, which are new arrays on every draw,
+ * by their values (see getRowSelectionKey).
+ * @type {Map<(Object|string), (Object|Array)>}
+ */
+let selectedRows = new Map();
+
+/**
+ * Position on the current page of the row clicked last, where a shift-click selection starts
+ * @type {number|null}
+ */
+let lastClickedRowPosition = null;
+
+/**
+ * The table information text from DataTables ("Showing 1 to 25 of..."), before the selection count
+ * @type {string}
+ */
+let tableInfoText = '';
+
+/**
+ * File formats of the export dialog: the label in the dialog, the file extension and the MIME type
+ * @type {Object<string, {label: string, extension: string, type: string}>}
+ */
+const EXPORT_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', type: 'text/csv' },
+    tsv: { label: 'TSV (tab-separated)', extension: 'tsv', type: 'text/tab-separated-values' },
+    json: { label: 'JSON', extension: 'json', type: 'application/json' },
+    ndjson: { label: 'NDJSON (one JSON object per line)', extension: 'ndjson', type: 'application/x-ndjson' },
+    markdown: { label: 'Markdown table', extension: 'md', type: 'text/markdown' },
+    sql: { label: 'SQL INSERT statements', extension: 'sql', type: 'application/sql' },
+    xlsx: { label: 'Excel workbook (XLSX)', extension: 'xlsx', type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+/**
+ * Text encodings of the export dialog, with their labels
+ * Excel only reads a CSV file as UTF-8 when it starts with a byte order mark (BOM).
+ * @type {Object<string, string>}
+ */
+const EXPORT_ENCODINGS = {
+    'utf-8': 'UTF-8',
+    'utf-8-bom': 'UTF-8 with BOM (for Excel)',
+    'windows-1252': 'Windows-1252 (Western European)',
+    'utf-16le': 'UTF-16 (Unicode text)'
+};
+
+/**
+ * localStorage key for the choices last made in the export dialog
+ * @type {string}
+ */
+const EXPORT_SETTINGS_STORAGE_KEY = 'csvWebappExportSettings';
+
+/**
+ * Choices of the export dialog before the user changes any
+ * The file name template can use {dataset}, {scope}, {date} and {time}.
+ * @type {{scope: string, format: string, delimiter: string, encoding: string, header: boolean, tableName: string, fileName: string}}
+ */
+const DEFAULT_EXPORT_SETTINGS = {
+    scope: 'filtered',
+    format: 'csv',
+    delimiter: ',',
+    encoding: 'utf-8',
+    header: true,
+    tableName: '',
+    fileName: '{dataset}-{scope}-{date}'
+};
+
+/**
+ * exportOptions of the DataTables export buttons, matching the export dialog's "Filtered rows":
+ * the visible columns in table order and the rows matching the search in sort order,
+ * with the values as they are in the file ('export' gets the raw value from createColumnRenderer)
+ * @type {Object}
+ */
+const BUTTON_EXPORT_OPTIONS = {
+    columns: ':visible',
+    orthogonal: 'export',
+    modifier: { search: 'applied', order: 'applied' }
+};
+
+/**
+ * Windows-1252 byte of each character it can encode, built the first time a file is exported in it
+ * @type {Map<string, number>|null}
+ */
+let windows1252Bytes = null;
+
+/**
+ * Stream of dataset change events from the server (see connectDatasetEvents)
+ * @type {EventSource|null}
+ */
+let datasetEvents = null;
+
+/**
+ * How long to wait before opening the event stream again after the server refused it
+ * @type {number}
+ */
+const DATASET_EVENTS_RETRY_MS = 30 * 1000;
+
+/**
+ * True while the current dataset is being loaded again after a change on the server
+ * @type {boolean}
+ */
+let reloadingDataset = false;
+
+/**
+ * Change to the current dataset that hasn't been loaded yet, because the table has edits,
+ * shows a comparison or was still loading the previous change
+ * @type {{id: string, modifiedAt: string, added: (number|null), removed: (number|null)}|null}
+ */
+let pendingDatasetChange = null;
+
+/**
+ * Whole numbers, with or without thousands separators
+ * @type {RegExp}
+ */
+const INTEGER_PATTERN = /^-?(\d{1,3}(,\d{3})+|\d+)$/;
+
+/**
+ * Operators available in the filter row
+ * inputs is the number of value inputs the operator needs
+ * @type {Object<string, {label: string, inputs: number}>}
+ */
+const FILTER_OPERATORS = {
+    contains: { label: 'Contains', inputs: 1 },
+    exact: { label: 'Equals', inputs: 1 },
+    prefix: { label: 'Starts with', inputs: 1 },
+    between: { label: 'Range', inputs: 2 },
+    empty: { label: 'Is empty', inputs: 0 },
+    notEmpty: { label: 'Not empty', inputs: 0 }
+};
+
+/**
+ * Operators offered for each column type, the first one being the default
+ * @type {Object<string, Array<string>>}
+ */
+const FILTER_OPERATORS_BY_TYPE = {
+    identifier: ['exact', 'prefix', 'empty', 'notEmpty'],
+    integer: ['between', 'exact', 'empty', 'notEmpty'],
+    decimal: ['between', 'exact', 'empty', 'notEmpty'],
+    currency: ['between', 'exact', 'empty', 'notEmpty'],
+    date: ['between', 'exact', 'empty', 'notEmpty'],
+    boolean: ['exact', 'empty', 'notEmpty'],
+    text: ['contains', 'exact', 'prefix', 'empty', 'notEmpty']
+};
+
+/**
+ * Column types used for each column kind reported by the server's dataset API
+ * @type {Object<string, string>}
+ */
+const SERVER_COLUMN_KIND_TYPES = {
+    currency: 'currency',
+    identifier: 'identifier',
+    number: 'decimal',
+    text: 'text'
+};
+
+//=============================================================================
+// INITIALIZATION
+//=============================================================================
+
+/**
+ * Initialize the application when the DOM is fully loaded
+ * Sets up event listeners and loads the default CSV file
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    // Set up event listeners for UI interactions
+    document.getElementById('uploadBtn').addEventListener('click', handleFileUpload);
+    document.getElementById('cancelUploadBtn').addEventListener('click', cancelFileUpload);
+    document.getElementById('parseReport').addEventListener('click', handleParseReportClick);
+    document.getElementById('exportModal').addEventListener('show.bs.modal', populateExportModal);
+    document.getElementById('exportModal').addEventListener('change', updateExportOptions);
+    document.getElementById('exportModal').addEventListener('input', updateExportOptions);
+    document.getElementById('exportModal').addEventListener('click', handleExportModalClick);
+    document.getElementById('exportDownloadBtn').addEventListener('click', exportData);
+
+    // Set up event listener for column visibility modal
+    document.getElementById('columnModal').addEventListener('show.bs.modal', populateColumnToggleList);
+
+    // Set up event listeners for select/deselect all columns buttons
+    document.getElementById('selectAllColumns').addEventListener('click', function() {
+        toggleAllColumns(true);
+    });
+
+    document.getElementById('deselectAllColumns').addEventListener('click', function() {
+        toggleAllColumns(false);
+    });
+
+    // Set up the column layout controls: dragging columns in the list, the frozen header row and the reset
+    const columnToggleList = document.getElementById('columnToggleList');
+    columnToggleList.addEventListener('dragstart', handleColumnDragStart);
+    columnToggleList.addEventListener('dragover', handleColumnDragOver);
+    columnToggleList.addEventListener('drop', (event) => event.preventDefault());
+    columnToggleList.addEventListener('dragend', handleColumnDragEnd);
+    document.getElementById('frozenHeaderToggle').addEventListener('change', function() {
+        setFrozenHeader(this.checked);
+    });
+    document.getElementById('resetColumnLayout').addEventListener('click', function() {
+        resetColumnLayout();
+        populateColumnToggleList();
+    });
+
+    // Set up event listener to set timestamp when upload modal is shown
+    // This timestamp is used to detect if the form is submitted too quickly (bot behavior)
+    document.getElementById('uploadModal').addEventListener('show.bs.modal', function() {
+        const timestampField = document.getElementById('formTimestamp');
+        if (timestampField) {
+            // Store the current timestamp in milliseconds since epoch
+            timestampField.value = Date.now().toString();
+        }
+    });
+
+    // Set up event listener to clear honeypot field when upload modal is closed
+    // This prevents accidental filling of the honeypot by legitimate users
+    document.getElementById('uploadModal').addEventListener('hidden.bs.modal', function() {
+        const honeypotField = document.getElementById('website');
+        if (honeypotField) {
+            // Reset the honeypot field to empty
+            honeypotField.value = '';
+        }
+    });
+
+    // Set up the import options, which preview the selected file again whenever they change
+    ['csvFileInput', 'importSheet', 'importDelimiter', 'importEncoding', 'importSkipRows', 'importHasHeader'].forEach(id => {
+        document.getElementById(id).addEventListener('change', previewImportFile);
+    });
+    document.getElementById('importPreview').addEventListener('input', handleImportPreviewInput);
+    document.getElementById('importPreview').addEventListener('change', handleImportPreviewInput);
+
+    // Set up the column filters
+    // Client-side filtering is done by a DataTables search function that runs on every draw
+    $.fn.dataTable.ext.search.push(columnFilterSearch);
+
+    // Set up the search query language and the column name suggestions
+    $.fn.dataTable.ext.search.push(querySearch);
+    $.fn.dataTable.ext.search.push(fuzzySearchFilter);
+    document.querySelectorAll('input[name="searchMode"]').forEach(input => {
+        input.addEventListener('change', () => setSearchMode(input.value));
+    });
+    document.getElementById('searchInput').addEventListener('keydown', handleSearchKeydown);
+    document.getElementById('searchInput').addEventListener('blur', () => {
+        // Wait for a click on a suggestion to register before hiding the list
+        setTimeout(hideSearchSuggestions, 150);
+    });
+    document.getElementById('searchSuggestions').addEventListener('mousedown', handleSuggestionClick);
+    document.getElementById('filterChips').addEventListener('click', handleFilterChipClick);
+
+    // Set up the dataset picker in the navigation bar
+    // The list is refreshed every time the menu is opened
+    document.getElementById('datasetPicker').addEventListener('show.bs.dropdown', refreshDatasetMenu);
+    document.getElementById('datasetMenu').addEventListener('click', handleDatasetMenuClick);
+
+    // Set up the views menu in the navigation bar
+    document.getElementById('viewsPicker').addEventListener('show.bs.dropdown', refreshViewsMenu);
+    document.getElementById('viewsMenu').addEventListener('click', handleViewsMenuClick);
+    document.getElementById('viewsImportInput').addEventListener('change', importViews);
+
+    // Set up the switch between virtual scrolling and pages, which is rendered with the table
+    virtualScrolling = localStorage.getItem(VIRTUAL_SCROLLING_STORAGE_KEY) === 'true';
+    document.getElementById('virtualScrollToggle').checked = virtualScrolling;
+    document.getElementById('tableContainer').addEventListener('change', (event) => {
+        if (event.target.id === 'virtualScrollToggle') setVirtualScrolling(event.target.checked);
+    });
+
+    // Set up compare mode, which shows what changed between two snapshots of a dataset
+    document.getElementById('compareModal').addEventListener('show.bs.modal', populateCompareModal);
+    document.getElementById('compareDataset').addEventListener('change', handleCompareSourceChange);
+    document.getElementById('compareBtn').addEventListener('click', runCompare);
+    document.getElementById('comparePanel').addEventListener('click', handleComparePanelClick);
+
+    // Set up the duplicate finder, which groups rows by key or similar names and merges them
+    document.getElementById('duplicatesModal').addEventListener('show.bs.modal', populateDuplicatesModal);
+    document.getElementById('duplicateFuzzyColumn').addEventListener('change', handleDuplicateFuzzyChange);
+    document.getElementById('findDuplicatesBtn').addEventListener('click', findDuplicates);
+    document.getElementById('duplicatesResults').addEventListener('change', handleDuplicateChoiceChange);
+    document.getElementById('duplicatesResults').addEventListener('click', handleDuplicatesClick);
+
+    // Set up the column profiles, opened from the column titles and the column modal
+    // The capturing listener stops the click before DataTables sorts the column
+    ['click', 'keypress'].forEach(type => {
+        document.getElementById('tableContainer').addEventListener(type, (event) => {
+            const button = event.target.closest('.column-profile-btn');
+            if (!button) return;
+            event.stopPropagation();
+            if (type === 'click') {
+                openColumnProfile(parseInt(button.getAttribute('data-column'), 10));
+            }
+        }, true);
+    });
+    document.getElementById('profileColumn').addEventListener('change', function() {
+        renderColumnProfile(parseInt(this.value, 10));
+    });
+    document.getElementById('profileBody').addEventListener('click', handleProfileClick);
+
+    // Set up resizing columns by dragging the right edge of their titles
+    // The capturing listeners keep the drag from moving the column, and the click that ends it from sorting it
+    document.getElementById('tableContainer').addEventListener('mousedown', startColumnResize, true);
+    document.getElementById('tableContainer').addEventListener('click', (event) => {
+        if (columnResize) event.stopPropagation();
+    }, true);
+    document.getElementById('tableContainer').addEventListener('dblclick', resetColumnWidth);
+
+    // Set up the totals panel, which groups and totals the rows matching the search
+    document.getElementById('aggregateToggle').addEventListener('click', (event) => {
+        event.preventDefault();
+        toggleAggregatePanel();
+    });
+    document.getElementById('aggregatePanel').addEventListener('change', handleAggregateControlChange);
+    document.getElementById('aggregatePanel').addEventListener('click', handleAggregatePanelClick);
+
+    // Set up the chart panel, which draws charts of the rows matching the search
+    document.getElementById('chartToggle').addEventListener('click', (event) => {
+        event.preventDefault();
+        toggleChartPanel();
+    });
+    document.getElementById('chartPanel').addEventListener('change', handleChartControlChange);
+    document.getElementById('chartPanel').addEventListener('click', handleChartPanelClick);
+
+    // Set up scan mode: barcode scanners type the code quickly anywhere on the page
+    loadScanHistory();
+    document.getElementById('scanToggle').addEventListener('click', (event) => {
+        event.preventDefault();
+        toggleScanPanel();
+    });
+    document.addEventListener('keydown', handleScanKeydown, true);
+    document.getElementById('scanForm').addEventListener('submit', handleScanSubmit);
+    document.getElementById('scanPanel').addEventListener('click', handleScanPanelClick);
+
+    // Set up cell editing: double-click a cell to edit it, Ctrl+Z and Ctrl+Y undo and redo
+    document.getElementById('tableContainer').addEventListener('dblclick', handleCellDoubleClick);
+
+    document.getElementById('changesPanel').addEventListener('click', handleChangesPanelClick);
+    document.addEventListener('keydown', handleEditShortcut);
+
+    // Set up row selection: click rows to select them for exporting, shift-click to select a range
+    document.getElementById('tableContainer').addEventListener('click', handleRowClick);
+
+    // Edits only live in the page, so warn before leaving with changes that haven't been downloaded
+    window.addEventListener('beforeunload', (event) => {
+        if (editState.changes.size > 0 || editState.removed.size > 0) {
+            event.preventDefault();
+            event.returnValue = '';
+        }
+    });
+
+    // Restore the view when the back/forward buttons are used or the hash is edited
+    window.addEventListener('popstate', handleUrlStateChange);
+    window.addEventListener('hashchange', handleUrlStateChange);
+
+    // Show who is logged in and what they may do
+    loadCurrentUser();
+    document.getElementById('logoutBtn').addEventListener('click', logout);
+
+    // Automatically load the default CSV file when the page loads
+    loadDefaultCSV();
+
+    // Load the dataset again when its file changes on the server
+    document.getElementById('dataUpdateBanner').addEventListener('click', handleDataUpdateBannerClick);
+    connectDatasetEvents();
+});
+
+//=============================================================================
+// SESSION FUNCTIONS
+//=============================================================================
+
+/**
+ * Fetch from the server's API
+ * Works like fetch(), except that an ended session sends the user to the login page.
+ *
+ * @param {string} url - The URL
+ * @param {Object} [options] - fetch() options
+ * @returns {Promise<Response>} The response
+ */
+async function apiFetch(url, options) {
+    const response = await fetch(url, options);
+    if (response.status === 401) {
+        redirectToLogin();
+    }
+    return response;
+}
+
+/**
+ * Send the user to the login page, coming back to the current view after logging in
+ */
+function redirectToLogin() {
+    const next = window.location.pathname + window.location.search;
+    window.location.href = `/login?next=${encodeURIComponent(next)}${window.location.hash}`;
+}
+
+/**
+ * Find out who is logged in, show their name in the navigation bar, and show the controls their role allows
+ */
+async function loadCurrentUser() {
+    try {
+        const response = await apiFetch('/api/session');
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        currentUser = await response.json();
+    } catch (error) {
+        console.error('Error loading the session:', error);
+        currentUser = null;
+    }
+
+    document.getElementById('userMenuLabel').textContent = currentUser ? currentUser.username : 'Account';
+    document.getElementById('userMenuRole').textContent = currentUser ? `Logged in as ${currentUser.role}` : '';
+    document.querySelectorAll('[data-requires-role]').forEach(element => {
+        element.classList.toggle('d-none', !hasRole(element.getAttribute('data-requires-role')));
+    });
+}
+
+/**
+ * Check whether the logged-in user has a role or a more privileged one
+ *
+ * @param {string} role - The least privileged role that is allowed
+ * @returns {boolean} True if the user has the role
+ */
+function hasRole(role) {
+    return Boolean(currentUser) && USER_ROLES.indexOf(currentUser.role) >= USER_ROLES.indexOf(role);
+}
+
+/**
+ * Log out and go to the login page
+ *
+ * @param {Event} event - The click event
+ */
+async function logout(event) {
+    event.preventDefault();
+    if ((editState.changes.size > 0 || editState.removed.size > 0) &&
+        !confirm('Your edits haven\'t been downloaded. Log out anyway?')) {
+        return;
+    }
+
+    try {
+        await fetch('/api/logout', { method: 'POST' });
+    } catch (error) {
+        console.error('Error logging out:', error);
+    }
+    // The edits were just confirmed away, so don't ask again when leaving the page
+    editState = createEditState();
+    window.location.href = '/login';
+}
+
+//=============================================================================
+// FILE HANDLING FUNCTIONS
+//=============================================================================
+
+/**
+ * Handle the CSV file upload and parsing
+ * This function is called when the user clicks the "Load Data" button in the upload modal
+ * It reads the selected file, validates it, and parses it using PapaParse
+ *
+ * Security measures implemented:
+ * 1. Honeypot validation - detects if bots have filled hidden fields
+ * 2. Timing validation - detects if the form was submitted too quickly to be human
+ * 3. File validation - checks file size and type
+ */
+const handleFileUpload = async () => {
+    try {
+        // =====================================================================
+        // SECURITY CHECK 1: HONEYPOT VALIDATION
+        // =====================================================================
+        // Honeypot fields are invisible to humans but visible to bots
+        // If this field contains any value, it was likely filled by a bot
+        const honeypotField = document.getElementById('website');
+        if (honeypotField && honeypotField.value) {
+            // Log the bot attempt with details for analysis
+            logBotAttempt('honeypot', 'Honeypot field was filled', {
+                honeypotValue: honeypotField.value
+            });
+
+            // Important: Don't tell the bot it was detected
+            // Instead, return a generic error that looks like a normal failure
+            // This prevents bots from learning how to bypass our protection
+            showError('Upload failed: Invalid file format');
+            return;
+        }
+
+        // =====================================================================
+        // SECURITY CHECK 2: TIMING VALIDATION
+        // =====================================================================
+        // Check how quickly the form was submitted after being opened
+        // Humans take time to select a file and click submit
+        // Bots often submit forms instantly or very quickly
+        const timestampField = document.getElementById('formTimestamp');
+        if (timestampField && timestampField.value) {
+            // Calculate time elapsed since the form was opened
+            const formOpenTime = parseInt(timestampField.value, 10);
+            const currentTime = Date.now();
+            const timeDifference = currentTime - formOpenTime;
+
+            // Threshold of 1.5 seconds - adjust as needed for your use case
+            // Most humans take at least this long to select a file and submit
+            if (timeDifference < 1500) {
+                logBotAttempt('timing', 'Form submitted too quickly', {
+                    timeDifference: timeDifference,
+                    threshold: 1500
+                });
+
+                // Again, use a generic error message
+                showError('Upload failed: Please try again');
+                return;
+            }
+        }
+
+        // =====================================================================
+        // SECURITY CHECK 3: FILE VALIDATION
+        // =====================================================================
+        // Get the selected file from the file input
+        const file = document.getElementById('csvFileInput').files[0];
+        if (!file) throw new Error('No file selected');
+
+        // File size validation - prevent denial of service attacks with huge files
+        // 50MB is a generous limit for CSV files - adjust MAX_FILE_SIZE based on your needs
+        if (file.size > MAX_FILE_SIZE) {
+            throw new Error('File size exceeds 50MB limit');
+        }
+
+        // File type validation - ensure only CSV, other delimited text, Excel and JSON files are processed
+        // This helps prevent malicious file uploads and execution
+        if (!file.type && !/\.(csv|tsv|txt|xlsx|json|ndjson|jsonl)$/i.test(file.name)) {
+            throw new Error('Invalid file type. Please upload a CSV, Excel or JSON file');
+        }
+
+        // Excel and JSON files are turned into CSV first
+        const source = await getImportSource(file, document.getElementById('importSheet').value);
+
+        // Delimiter, encoding, header row and columns chosen in the upload modal
+        const importOptions = getImportOptions(file, source.converted);
+
+        // Show the progress bar and the Cancel button instead of the Load button
+        setUploadInProgress(true);
+
+        // Remember what the table showed, so it can be put back if the upload is cancelled
+        // Uploading a file leaves compare mode; Cancel puts back the dataset rather than the comparison
+        const previous = compareState ? compareState.previous : {
+            dataset: currentDataset,
+            data: csvData,
+            headers: currentHeaders.slice(),
+            serverSide: Boolean(serverSideOptions),
+            edits: editState
+        };
+        compareState = null;
+        renderComparePanel();
+
+        // Store the file in the server's dataset library so it's still available after a reload
+        // If this fails, the file is still shown, but only until the page is reloaded
+        const saveToLibrary = (fileToSave) => uploadDataset(fileToSave)
+            .catch(uploadError => {
+                showError(`The file could not be saved to the dataset library: ${escapeHtml(uploadError.message)}`);
+                return null;
+            });
+        const removeFromLibrary = (savedDataset) => {
+            if (!savedDataset) return;
+            apiFetch(`/api/datasets/${encodeURIComponent(savedDataset.id)}`, { method: 'DELETE' })
+                .catch(deleteError => console.error('Error removing uploaded file:', deleteError));
+        };
+
+        // Plain CSV files are uploaded while they are parsed. The server can't read files that
+        // need the import options, so those are saved as a CSV file of the loaded rows instead
+        const convertUpload = needsConvertedUpload(file, importOptions);
+        const upload = convertUpload ? Promise.resolve(null) : saveToLibrary(file);
+
+        // Parse the file and show its rows as they arrive
+        // Parse errors are shown in the parse report, which asks whether to keep the rows with errors
+        currentUpload = loadCsvIntoTable(source.file, file.name, {
+            importOptions: importOptions,
+            onProgress: (bytesDone, rowCount) => updateUploadProgress(bytesDone, source.file.size, rowCount),
+            onParsed: (hasErrors) => {
+                if (hasErrors) {
+                    // The parse report is shown on the page, so get the modal out of the way
+                    setUploadInProgress(false);
+                    hideUploadModal();
+                } else {
+                    updateUploadProgress(source.file.size, source.file.size, csvData.length, 'Saving to the dataset library...');
+                }
+            }
+        });
+        const result = await currentUpload.done;
+        currentUpload = null;
+
+        if (result.status !== 'loaded') {
+            setUploadInProgress(false);
+            hideUploadModal();
+            if (result.status === 'failed') {
+                showError(`Upload failed: ${escapeHtml(result.message)}`);
+            }
+            restoreTable(previous);
+
+            // The upload to the dataset library carries on (aborting it could still leave a copy
+            // on the server), so remove the saved copy once it is there
+            removeFromLibrary(await upload);
+            return;
+        }
+
+        // Wait for the dataset library, so the table can be linked to the saved copy
+        // The copy uploaded while parsing still has the skipped rows, so it is replaced with the loaded rows
+        const savedDataset = convertUpload || result.skippedRows ?
+            await saveToLibrary(createImportedCsvFile(file.name)) :
+            await upload;
+        if (result.skippedRows && !convertUpload) {
+            removeFromLibrary(await upload);
+        }
+        currentDataset = savedDataset ?
+            { id: savedDataset.id, name: savedDataset.name } :
+            { id: null, name: file.name };
+        updateDatasetPickerLabel();
+        setUploadInProgress(false);
+        hideUploadModal();
+        updateTableInfo(csvData.length, currentDataset.name, result.note);
+        updateUrlState(true);
+    } catch (error) {
+        hideUploadModal();
+        showError(`Upload failed: ${escapeHtml(error.message)}`);
+    }
+};
+
+/**
+ * Parse a CSV file and show its rows in the table as they arrive
+ *
+ * The first batch of rows creates the table (and decides the column types); later
+ * batches are added to it every UPLOAD_DRAW_INTERVAL milliseconds. If the file has
+ * parse errors, the parse report asks whether to keep or skip the rows with errors.
+ *
+ * @param {File|Blob} source - The CSV file
+ * @param {string} sourceName - Name of the file, shown above the table
+ * @param {Object} [options] - Import options and callbacks
+ * @param {Object} [options.importOptions] - Delimiter, encoding, header row and columns (see parseCsvFile in parse-worker.js)
+ * @param {function(number, number): void} [options.onProgress] - Called with the bytes and rows read so far
+ * @param {function(boolean): void} [options.onParsed] - Called when the whole file has been read,
+ *     with true if the parse report is about to be shown
+ * @returns {{done: Promise<{status: string, message: (string|undefined), note: (string|undefined), skippedRows: (boolean|undefined)}>, cancel: function(): void}}
+ *     done resolves with status 'loaded', 'cancelled' or 'failed', and skippedRows when rows with errors
+ *     were left out of csvData; cancel stops parsing
+ */
+function loadCsvIntoTable(source, sourceName, options = {}) {
+    const tableContainer = document.getElementById('tableContainer');
+    const loadingNote = ' Loading the rest of the file...';
+    let tableCreated = false;
+    let pendingRows = [];
+    let flushTimer = null;
+    let settled = false;
+    let resolveDone;
+    const done = new Promise(resolve => { resolveDone = resolve; });
+
+    const finish = (result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(flushTimer);
+        resolveDone(result);
+    };
+
+    const flushRows = () => {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        if (tableCreated && dataTable && pendingRows.length > 0) {
+            // draw(false) keeps the current page while rows are added
+            dataTable.rows.add(pendingRows).draw(false);
+            pendingRows = [];
+        }
+    };
+
+    const createTable = (fields) => {
+        tableCreated = true;
+        resetTable();
+        renderTableContainer(tableContainer, csvData.length, sourceName, loadingNote);
+        displayData(csvData.slice(), fields);
+    };
+
+    csvData = [];
+    const parser = parseFileInWorker(source, {
+        chunk: (message) => {
+            if (settled) return;
+            if (options.onProgress) options.onProgress(message.cursor, message.rowCount);
+            csvData.push(...message.rows);
+
+            if (!tableCreated) {
+                // Column types are detected from the rows of the first batch
+                if (csvData.length > 0) createTable(message.fields);
+                return;
+            }
+
+            pendingRows.push(...message.rows);
+            updateTableInfo(csvData.length, sourceName, loadingNote);
+            if (!flushTimer) {
+                flushTimer = setTimeout(flushRows, UPLOAD_DRAW_INTERVAL);
+            }
+        },
+        complete: async (message) => {
+            if (settled) return;
+            flushRows();
+
+            if (!tableCreated) {
+                finish({ status: 'failed', message: 'No data found in the CSV file.' });
+                return;
+            }
+
+            const hasErrors = message.errors.length > 0;
+            if (options.onParsed) options.onParsed(hasErrors);
+            if (!hasErrors) {
+                updateTableInfo(csvData.length, sourceName);
+                finish({ status: 'loaded' });
+                return;
+            }
+
+            // Let the user decide what to do with the rows that have errors
+            const badRows = new Set(message.badRows);
+            updateTableInfo(csvData.length, sourceName, ` ${badRows.size.toLocaleString()} rows have problems, see the parse report above.`);
+            const choice = await showParseReport(message.errors, message.fields, sourceName, badRows.size);
+            if (settled) return;
+
+            if (choice === 'cancel') {
+                finish({ status: 'cancelled' });
+                return;
+            }
+
+            let note = ` Kept ${badRows.size.toLocaleString()} rows with problems.`;
+            if (choice === 'skip') {
+                // Row indexes follow the order the rows were added in, which is the order of csvData
+                csvData = csvData.filter((row, index) => !badRows.has(index));
+                dataTable.rows(index => badRows.has(index)).remove().draw(false);
+                note = ` Skipped ${badRows.size.toLocaleString()} rows with problems.`;
+            }
+            updateTableInfo(csvData.length, sourceName, note);
+            finish({ status: 'loaded', note: note, skippedRows: choice === 'skip' });
+        },
+        error: (message) => {
+            flushRows();
+            finish({ status: 'failed', message: message });
+        }
+    }, options.importOptions);
+
+    return {
+        done: done,
+        cancel: () => {
+            parser.cancel();
+            hideParseReport();
+            finish({ status: 'cancelled' });
+        }
+    };
+}
+
+/**
+ * Parse a CSV file in a Web Worker (parse-worker.js), one batch of rows at a time
+ * Where workers aren't available, parse-worker.js is loaded as a normal script
+ * and the same parsing runs on the main thread.
+ *
+ * @param {File|Blob} file - The CSV file
+ * @param {Object} handlers - Callbacks for the worker's messages
+ * @param {function(Object): void} handlers.chunk - Called with { rows, fields, cursor, rowCount } for each batch
+ * @param {function(Object): void} handlers.complete - Called with { rowCount, fields, errors } at the end
+ * @param {function(string): void} handlers.error - Called with an error message if the file can't be read
+ * @param {Object} [importOptions] - Delimiter, encoding, header row and columns (see parseCsvFile in parse-worker.js)
+ * @returns {{cancel: function(): void}} An object to cancel parsing with
+ */
+function parseFileInWorker(file, handlers, importOptions = {}) {
+    let cancelled = false;
+    const dispatch = (message) => {
+        if (cancelled) return;
+        if (message.type === 'chunk') {
+            handlers.chunk(message);
+        } else if (message.type === 'complete') {
+            handlers.complete(message);
+        } else if (message.type === 'error') {
+            handlers.error(message.message);
+        }
+    };
+
+    if (!window.Worker) {
+        parseCsvFile(file, dispatch, importOptions);
+        return { cancel: () => { cancelled = true; } };
+    }
+
+    const worker = new Worker(PARSE_WORKER_URL);
+    worker.onmessage = (event) => {
+        if (event.data.type !== 'chunk') worker.terminate();
+        dispatch(event.data);
+    };
+    worker.onerror = (event) => {
+        event.preventDefault();
+        worker.terminate();
+        dispatch({ type: 'error', message: event.message || 'The CSV parser could not be started' });
+    };
+    worker.postMessage({ file, options: importOptions });
+    return {
+        cancel: () => {
+            cancelled = true;
+            worker.terminate();
+        }
+    };
+}
+
+/**
+ * Turn each worksheet of an Excel file into CSV text in a Web Worker (parse-worker.js)
+ * Reading a big workbook takes a while, so it is kept off the main thread like CSV parsing.
+ * Where workers aren't available it runs on the main thread.
+ *
+ * @param {File} file - The Excel file
+ * @returns {Promise<{sheetNames: Array<string>, sheets: Object<string, string>}>} The worksheet names
+ *     and the CSV text of each
+ * @throws {Error} If the file can't be read as an Excel workbook
+ */
+function convertWorkbookInWorker(file) {
+    return new Promise((resolve, reject) => {
+        const settle = (message) => {
+            if (message.type === 'workbook') {
+                resolve(message);
+            } else {
+                reject(new Error(message.message));
+            }
+        };
+
+        if (!window.Worker) {
+            convertWorkbook(file, settle);
+            return;
+        }
+
+        const worker = new Worker(PARSE_WORKER_URL);
+        worker.onmessage = (event) => {
+            worker.terminate();
+            settle(event.data);
+        };
+        worker.onerror = (event) => {
+            event.preventDefault();
+            worker.terminate();
+            settle({ type: 'error', message: event.message || 'The Excel file could not be read' });
+        };
+        worker.postMessage({ type: 'workbook', file });
+    });
+}
+
+/**
+ * Cancel the upload in progress, if any
+ */
+function cancelFileUpload() {
+    if (currentUpload) {
+        currentUpload.cancel();
+    }
+}
+
+/**
+ * Put the table back the way it was before an upload that was cancelled or failed
+ *
+ * @param {{dataset: Object, data: Array, headers: Array<string>, serverSide: boolean, edits: Object}} previous - What the table showed
+ */
+function restoreTable(previous) {
+    currentDataset = previous.dataset;
+    updateDatasetPickerLabel();
+
+    if (previous.dataset && previous.dataset.id && (previous.serverSide || previous.data.length === 0)) {
+        // Large datasets are paged by the server, so load them again
+        loadDataset(previous.dataset.id);
+    } else if (previous.headers.length > 0) {
+        csvData = previous.data;
+        editState = previous.edits;
+        resetTable();
+        renderTableContainer(document.getElementById('tableContainer'), csvData.length, previous.dataset ? previous.dataset.name : 'file');
+        displayData(csvData, previous.headers, { keepEdits: true });
+    } else {
+        loadDefaultCSV();
+    }
+}
+
+/**
+ * Switch the upload modal between choosing a file and showing the progress of an upload
+ *
+ * @param {boolean} inProgress - Whether an upload is in progress
+ */
+function setUploadInProgress(inProgress) {
+    document.getElementById('uploadProgress').classList.toggle('d-none', !inProgress);
+    document.getElementById('cancelUploadBtn').classList.toggle('d-none', !inProgress);
+    document.getElementById('uploadBtn').disabled = inProgress;
+    document.getElementById('csvFileInput').disabled = inProgress;
+    document.getElementById('importOptions').disabled = inProgress;
+    if (inProgress) {
+        updateUploadProgress(0, 1, 0, 'Starting...');
+    }
+}
+
+/**
+ * Update the progress bar in the upload modal
+ *
+ * @param {number} bytesDone - How far into the file parsing has got
+ * @param {number} totalBytes - The size of the file
+ * @param {number} rowCount - The number of rows parsed so far
+ * @param {string} [status] - Text to show instead of the byte and row counts
+ */
+function updateUploadProgress(bytesDone, totalBytes, rowCount, status) {
+    const percent = totalBytes > 0 ? Math.min(100, Math.round((bytesDone / totalBytes) * 100)) : 100;
+    const bar = document.getElementById('uploadProgressBar');
+    bar.style.width = `${percent}%`;
+    bar.setAttribute('aria-valuenow', percent);
+    bar.textContent = `${percent}%`;
+
+    document.getElementById('uploadProgressText').textContent = status ||
+        `${formatFileSize(Math.min(bytesDone, totalBytes))} of ${formatFileSize(totalBytes)} read, ${rowCount.toLocaleString()} rows`;
+}
+
+/**
+ * Close the upload modal, if it is open
+ */
+function hideUploadModal() {
+    const modal = bootstrap.Modal.getInstance(document.getElementById('uploadModal'));
+    if (modal) {
+        modal.hide();
+    }
+}
+
+/**
+ * Show the parse report for a file with errors and wait for the user to decide what to do
+ *
+ * The report lists each error with its row number, type and the raw text of the row.
+ * Its buttons load the file without the rows with errors, load it with them,
+ * download the rows with errors as a CSV file, or cancel loading the file.
+ *
+ * @param {Array<Object>} errors - The errors from parse-worker.js: { row, type, code, message, raw }
+ * @param {Array<string>} fields - The column headers of the file
+ * @param {string} sourceName - Name of the file
+ * @param {number} rowCount - Number of rows with errors, which can be more than the errors list when it was cut short
+ * @returns {Promise<string>} Resolves with 'skip', 'keep' or 'cancel'
+ */
+function showParseReport(errors, fields, sourceName, rowCount) {
+    const report = document.getElementById('parseReport');
+
+    // Only one report at a time; a report that is still open counts as cancelled
+    if (currentParseReport) {
+        currentParseReport.resolve('cancel');
+    }
+
+    const truncated = new Set(errors.map(error => error.row)).size < rowCount;
+    const rows = errors.map(error => `
+        <tr>
+            <td class="text-nowrap">${(error.row + 1).toLocaleString()}</td>
+            <td class="text-nowrap">${escapeHtml(getParseErrorLabel(error))}</td>
+            <td>${escapeHtml(error.message)}</td>
+            <td><code class="parse-report-raw" title="${escapeHtml(error.raw || '')}">${escapeHtml(truncateText(error.raw || '', 200))}</code></td>
+        </tr>
+    `).join('');
+
+    report.innerHTML = `
+        <div class="card-header bg-warning-subtle d-flex justify-content-between align-items-center">
+            <h5 class="mb-0"><i class="fas fa-exclamation-triangle me-2"></i>Problems found in ${escapeHtml(sourceName)}</h5>
+            <button type="button" class="btn-close" data-action="cancel" aria-label="Cancel"></button>
+        </div>
+        <div class="card-body">
+            <p>
+                ${truncated ? `Problems in ${rowCount.toLocaleString()} rows.` : `${errors.length.toLocaleString()} problem${errors.length === 1 ? '' : 's'} in ${rowCount.toLocaleString()} row${rowCount === 1 ? '' : 's'}.`}
+                ${truncated ? `Only the first ${MAX_PARSE_ERRORS.toLocaleString()} problems are listed and downloaded, but loading without these rows leaves out all ${rowCount.toLocaleString()} rows.` : ''}
+                Row numbers count data rows, starting after the header row.
+            </p>
+            <div class="parse-report-list table-responsive mb-3">
+                <table class="table table-sm table-striped mb-0">
+                    <thead><tr><th>Row</th><th>Type</th><th>Problem</th><th>Raw line</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            <div class="d-flex flex-wrap gap-2">
+                <button type="button" class="btn btn-primary" data-action="skip">Load without these rows</button>
+                <button type="button" class="btn btn-outline-primary" data-action="keep">Load all rows</button>
+                <button type="button" class="btn btn-outline-secondary" data-action="download">
+                    <i class="fas fa-download me-1"></i>Download rejected rows
+                </button>
+                <button type="button" class="btn btn-outline-danger ms-auto" data-action="cancel">Cancel</button>
+            </div>
+        </div>
+    `;
+    report.classList.remove('d-none');
+    report.scrollIntoView({ block: 'nearest' });
+
+    return new Promise(resolve => {
+        currentParseReport = { errors, fields, sourceName, resolve };
+    });
+}
+
+/**
+ * Handle the buttons of the parse report
+ *
+ * @param {Event} event - The click event
+ */
+function handleParseReportClick(event) {
+    const target = event.target.closest('[data-action]');
+    if (!target || !currentParseReport) return;
+
+    const action = target.getAttribute('data-action');
+    if (action === 'download') {
+        downloadRejectedRows(currentParseReport);
+        return;
+    }
+
+    const { resolve } = currentParseReport;
+    hideParseReport();
+    resolve(action);
+}
+
+/**
+ * Close the parse report without a decision
+ */
+function hideParseReport() {
+    const report = document.getElementById('parseReport');
+    if (report) {
+        report.classList.add('d-none');
+        report.innerHTML = '';
+    }
+    currentParseReport = null;
+}
+
+/**
+ * Download the rows with errors as a CSV file with the file's header row
+ * Rows are written as they appeared in the original file, so they can be fixed and uploaded again.
+ *
+ * @param {{errors: Array<Object>, fields: Array<string>, sourceName: string}} report - The open parse report
+ */
+function downloadRejectedRows(report) {
+    const seen = new Set();
+    const lines = [Papa.unparse([report.fields])];
+    report.errors.forEach(error => {
+        if (seen.has(error.row)) return;
+        seen.add(error.row);
+        lines.push(error.raw !== undefined ? error.raw : '');
+    });
+
+    const baseName = report.sourceName.replace(/\.[^.]+$/, '');
+    downloadFile(lines.join('\r\n') + '\r\n', `${baseName}-rejected-rows.csv`, 'text/csv;charset=utf-8;');
+}
+
+/**
+ * Describe the type of a parse error for the parse report
+ *
+ * @param {{type: string, code: string}} error - The error from PapaParse
+ * @returns {string} The description, e.g. "Too few fields"
+ */
+function getParseErrorLabel(error) {
+    return PARSE_ERROR_LABELS[error.code] || PARSE_ERROR_LABELS[error.type] || error.type;
+}
+
+/**
+ * Shorten text for display, adding an ellipsis when it is cut off
+ *
+ * @param {string} text - The text
+ * @param {number} maxLength - The maximum length
+ * @returns {string} The text, at most maxLength characters plus the ellipsis
+ */
+function truncateText(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+}
+
+
+/**
+ * Display an error message to the user
+ * @param {string} message - The error message to display
+ */
+const showError = (message) => {
+    const alertDiv = document.createElement('div');
+    alertDiv.className = 'alert alert-danger alert-dismissible fade show';
+    alertDiv.innerHTML = `
+        ${message}
+        <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+    `;
+    document.querySelector('.container').prepend(alertDiv);
+};
+
+/**
+ * Log a bot attempt to the console and to the server
+ * This function centralizes all bot detection logging for consistency and easier management
+ *
+ * Reports are sent to the server's /api/security/log-bot endpoint, which stores them
+ * in a rotating log so they can be reviewed later. If the report can't be delivered,
+ * it is kept in localStorage instead (last 10 attempts only).
+ *
+ * @param {string} type - The detection type, either 'honeypot' or 'timing'
+ * @param {string} reason - A human readable description of why the bot was detected
+ * @param {Object} data - Additional data about the bot attempt for analysis
+ */
+const logBotAttempt = (type, reason, data = {}) => {
+    // Create a comprehensive log data object with useful information for analysis
+    const logData = {
+        // ISO timestamp for standardized logging
+        timestamp: new Date().toISOString(),
+
+        // The detection type is used by the server to categorize bot attempts
+        type: type,
+
+        // The detection reason helps categorize bot attempts
+        reason: reason,
+
+        // User agent can help identify bot patterns
+        userAgent: navigator.userAgent,
+
+        // Page URL where the attempt occurred
+        url: window.location.href,
+
+        // Include any additional data passed to the function
+        ...data
+    };
+
+    // Log to console for development and testing
+    console.warn(`Bot detected: ${reason}`, logData);
+
+    // Send the report to the server
+    // keepalive lets the request finish even if the user navigates away
+    apiFetch('/api/security/log-bot', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(logData),
+        keepalive: true
+    })
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            }
+        })
+        .catch(err => {
+            console.error('Failed to log bot attempt:', err);
+
+            // Fall back to localStorage so the attempt isn't lost entirely
+            try {
+                const botAttempts = JSON.parse(localStorage.getItem('botAttempts') || '[]');
+                botAttempts.push(logData);
+                localStorage.setItem('botAttempts', JSON.stringify(botAttempts.slice(-10))); // Keep last 10
+            } catch (e) {
+                console.error('Failed to store bot attempt in localStorage', e);
+            }
+        });
+};
+
+//=============================================================================
+// IMPORT OPTION FUNCTIONS
+//=============================================================================
+
+/**
+ * Tell which kind of file was selected in the upload modal, from its extension
+ *
+ * @param {File} file - The selected file
+ * @returns {string} 'xlsx', 'json', 'ndjson' or 'csv' (which covers TSV and text files too)
+ */
+function getImportFileType(file) {
+    const extension = (file.name.match(/\.([^.]+)$/) || [])[1] || '';
+    switch (extension.toLowerCase()) {
+        case 'xlsx':
+            return 'xlsx';
+        case 'json':
+            return 'json';
+        case 'ndjson':
+        case 'jsonl':
+            return 'ndjson';
+        default:
+            return 'csv';
+    }
+}
+
+/**
+ * Get the CSV version of the file selected in the upload modal
+ * CSV files are used as they are. Excel worksheets and JSON records are turned into
+ * a CSV file with a header row, so they go through the same preview, parsing and
+ * dataset library as CSV files.
+ *
+ * @param {File} file - The selected file
+ * @param {string} [sheetName] - The worksheet to use from an Excel file; the first one if not found
+ * @returns {Promise<{file: File, converted: boolean, sheetNames: (Array<string>|null), sheetName: (string|null)}>}
+ *     The CSV file, whether it was converted, and the worksheets of an Excel file
+ * @throws {Error} If the file can't be read as the kind of file its extension says it is
+ */
+async function getImportSource(file, sheetName) {
+    const type = getImportFileType(file);
+    if (type === 'csv') {
+        return { file: file, converted: false, sheetNames: null, sheetName: null };
+    }
+
+    if (!importSource || importSource.file !== file) {
+        const source = { file: file, sheetNames: null, csvFiles: new Map() };
+        if (type === 'xlsx') {
+            const workbook = await convertWorkbookInWorker(file);
+            source.sheetNames = workbook.sheetNames;
+            workbook.sheetNames.forEach(name => source.csvFiles.set(name, createCsvFile(workbook.sheets[name], file.name)));
+        } else {
+            const records = parseJsonRecords(await readFileText(file), type);
+            source.csvFiles.set('', createCsvFile(jsonRecordsToCsv(records), file.name));
+        }
+        importSource = source;
+    }
+
+    if (type !== 'xlsx') {
+        return { file: importSource.csvFiles.get(''), converted: true, sheetNames: null, sheetName: null };
+    }
+
+    const sheetNames = importSource.sheetNames;
+    const usedSheet = sheetNames.includes(sheetName) ? sheetName : sheetNames[0];
+    return { file: importSource.csvFiles.get(usedSheet), converted: true, sheetNames: sheetNames, sheetName: usedSheet };
+}
+
+/**
+ * Read the records from a JSON file (an array of objects) or an NDJSON file (one object per line)
+ *
+ * @param {string} text - The file's text
+ * @param {string} type - 'json' or 'ndjson'
+ * @returns {Array<Object>} The records
+ * @throws {Error} If the text isn't valid JSON or doesn't hold objects
+ */
+function parseJsonRecords(text, type) {
+    let records;
+    if (type === 'ndjson') {
+        records = [];
+        text.split(/\r?\n/).forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                throw new Error(`Line ${index + 1} of the NDJSON file isn't valid JSON: ${error.message}`);
+            }
+        });
+    } else {
+        try {
+            records = JSON.parse(text.replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new Error(`The JSON file isn't valid JSON: ${error.message}`);
+        }
+    }
+
+    if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+        throw new Error(type === 'ndjson' ?
+            'Every line of the NDJSON file must be a JSON object' :
+            'The JSON file must hold an array of objects');
+    }
+    return records;
+}
+
+/**
+ * Write JSON records as CSV text
+ * The columns are every key found in the records, in the order they first appear.
+ * Nested objects and arrays are written as JSON; missing and null values are left empty.
+ *
+ * @param {Array<Object>} records - The records
+ * @returns {string} The CSV text, with a header row
+ */
+function jsonRecordsToCsv(records) {
+    const fields = [];
+    const seen = new Set();
+    records.forEach(record => {
+        Object.keys(record).forEach(key => {
+            if (!seen.has(key)) {
+                seen.add(key);
+                fields.push(key);
+            }
+        });
+    });
+
+    const data = records.map(record => fields.map(field => {
+        const value = record[field];
+        if (value === null || value === undefined) return '';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }));
+    return Papa.unparse({ fields: fields, data: data });
+}
+
+/**
+ * Show the worksheet picker in the upload modal for Excel files
+ *
+ * @param {Array<string>|null} sheetNames - The worksheets of the file, or null for other files
+ * @param {string|null} sheetName - The worksheet being shown
+ */
+function updateSheetPicker(sheetNames, sheetName) {
+    const select = document.getElementById('importSheet');
+    document.getElementById('importSheetGroup').classList.toggle('d-none', !sheetNames);
+    if (!sheetNames) return;
+
+    select.innerHTML = sheetNames.map(name => `
+        <option value="${escapeHtml(name)}" ${name === sheetName ? 'selected' : ''}>${escapeHtml(name)}</option>
+    `).join('');
+}
+
+/**
+ * Read the delimiter, encoding and header row options from the upload modal
+ *
+ * @param {boolean} [converted] - Whether the file was turned into CSV by getImportSource(),
+ *     in which case it is always comma separated UTF-8 text
+ * @returns {{delimiter: string, encoding: string, skipRows: number, hasHeader: boolean}} The options
+ */
+function readImportForm(converted = false) {
+    const delimiter = converted ? ',' : document.getElementById('importDelimiter').value;
+    const skipRows = parseInt(document.getElementById('importSkipRows').value, 10);
+    return {
+        delimiter: delimiter === 'tab' ? '\t' : delimiter,
+        encoding: converted ? '' : document.getElementById('importEncoding').value,
+        skipRows: Number.isFinite(skipRows) && skipRows > 0 ? skipRows : 0,
+        hasHeader: document.getElementById('importHasHeader').checked
+    };
+}
+
+/**
+ * Preview the file selected in the upload modal with the chosen import options
+ * This function is called when a file is selected and whenever an option changes.
+ * Only the first rows of the file are read.
+ */
+async function previewImportFile() {
+    const file = document.getElementById('csvFileInput').files[0];
+    const previewId = ++importPreviewCount;
+    document.getElementById('importOptions').classList.toggle('d-none', !file);
+    if (!file) {
+        importPreview = null;
+        return;
+    }
+
+    const info = document.getElementById('importPreviewInfo');
+    info.classList.remove('text-danger');
+    info.textContent = 'Reading the file...';
+
+    try {
+        const source = await getImportSource(file, document.getElementById('importSheet').value);
+        if (previewId !== importPreviewCount) return; // A newer preview has started
+
+        // The delimiter and encoding only apply to text files
+        updateSheetPicker(source.sheetNames, source.sheetName);
+        document.querySelectorAll('.import-text-option').forEach(group => group.classList.toggle('d-none', source.converted));
+
+        const options = readImportForm(source.converted);
+        const results = await new Promise((resolve, reject) => {
+            Papa.parse(source.file, {
+                delimiter: options.delimiter,
+                encoding: options.encoding,
+                skipEmptyLines: true,
+                preview: options.skipRows + 1 + IMPORT_PREVIEW_ROWS,
+                complete: resolve,
+                error: reject
+            });
+        });
+        if (previewId !== importPreviewCount) return; // A newer preview has started
+
+        const rows = results.data.slice(options.skipRows);
+        const headerRow = rows.length > 0 ? rows[0] : [];
+        const dataRows = options.hasHeader ? rows.slice(1) : rows.slice(0, IMPORT_PREVIEW_ROWS);
+
+        // Keep the names and choices made for columns that are still there
+        const previousColumns = importPreview && importPreview.file === file ? importPreview.columns : [];
+        const columns = getImportColumns(headerRow, { hasHeader: options.hasHeader }).map(column => {
+            const previous = previousColumns.find(other => other.index === column.index && other.original === column.name);
+            return previous || { index: column.index, original: column.name, name: column.name, include: true };
+        });
+
+        importPreview = { file: file, converted: source.converted, delimiter: results.meta.delimiter, columns: columns };
+        renderImportPreview(dataRows);
+    } catch (error) {
+        if (previewId !== importPreviewCount) return;
+        importPreview = null;
+        document.getElementById('importPreview').innerHTML = '';
+        info.classList.add('text-danger');
+        info.textContent = `The file could not be previewed: ${error.message || error}`;
+    }
+}
+
+/**
+ * Show the preview table in the upload modal
+ * The header cells hold a checkbox and a name box for each column.
+ *
+ * @param {Array<Array<string>>} rows - The first rows of the file after the header row
+ */
+function renderImportPreview(rows) {
+    const { columns, delimiter, converted } = importPreview;
+    const info = document.getElementById('importPreviewInfo');
+
+    if (columns.length === 0) {
+        document.getElementById('importPreview').innerHTML = '';
+        info.textContent = 'No rows found with these options.';
+        return;
+    }
+
+    const headerCells = columns.map(column => `
+        <th class="${column.include ? '' : 'import-dropped'}" data-preview-column="${column.index}">
+            <div class="d-flex align-items-center gap-1">
+                <input class="form-check-input mt-0" type="checkbox" data-column="${column.index}" data-field="include"
+                       ${column.include ? 'checked' : ''} aria-label="Import column ${column.index + 1}">
+                <input class="form-control form-control-sm" type="text" data-column="${column.index}" data-field="name"
+                       value="${escapeHtml(column.name)}" aria-label="Name of column ${column.index + 1}">
+            </div>
+        </th>
+    `).join('');
+
+    const bodyRows = rows.map(row => `
+        <tr>${columns.map(column => `
+            <td class="${column.include ? '' : 'import-dropped'}" data-preview-column="${column.index}">${escapeHtml(truncateText(row[column.index] || '', 60))}</td>
+        `).join('')}</tr>
+    `).join('');
+
+    document.getElementById('importPreview').innerHTML = `
+        <table class="table table-sm table-bordered mb-0">
+            <thead><tr>${headerCells}</tr></thead>
+            <tbody>${bodyRows}</tbody>
+        </table>
+    `;
+
+    const delimiterName = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' }[delimiter] || `"${delimiter}"`;
+    info.textContent = `Showing the first ${rows.length.toLocaleString()} rows and ${columns.length.toLocaleString()} columns` +
+        (converted ? '.' : `, separated by ${delimiterName}.`);
+}
+
+/**
+ * Handle the checkboxes and name boxes in the preview table
+ *
+ * @param {Event} event - The input or change event
+ */
+function handleImportPreviewInput(event) {
+    const target = event.target.closest('[data-field]');
+    if (!target || !importPreview) return;
+
+    const index = parseInt(target.getAttribute('data-column'), 10);
+    const column = importPreview.columns.find(other => other.index === index);
+    if (!column) return;
+
+    if (target.getAttribute('data-field') === 'include') {
+        column.include = target.checked;
+        document.querySelectorAll(`#importPreview [data-preview-column="${index}"]`).forEach(cell => {
+            cell.classList.toggle('import-dropped', !column.include);
+        });
+    } else {
+        column.name = target.value;
+    }
+}
+
+/**
+ * Get the import options for loading a file
+ * Checks the column names chosen in the preview.
+ *
+ * @param {File} file - The file being loaded
+ * @param {boolean} [converted] - Whether the file was turned into CSV by getImportSource()
+ * @returns {Object} The options for parseCsvFile() in parse-worker.js
+ * @throws {Error} If no column is imported or the column names are empty or repeated
+ */
+function getImportOptions(file, converted = false) {
+    const options = readImportForm(converted);
+    if (!importPreview || importPreview.file !== file) {
+        // The file hasn't been previewed; every column is loaded under its own name
+        return options;
+    }
+
+    // Use the delimiter the preview found, so the file is read the way the preview showed it
+    options.delimiter = options.delimiter || importPreview.delimiter;
+    options.columns = importPreview.columns
+        .filter(column => column.include)
+        .map(column => ({ index: column.index, name: column.name.trim() }));
+
+    if (options.columns.length === 0) {
+        throw new Error('Select at least one column to import');
+    }
+    if (options.columns.some(column => !column.name)) {
+        throw new Error('Every imported column needs a name');
+    }
+    const names = options.columns.map(column => column.name.toLowerCase());
+    const repeated = options.columns.find((column, index) => names.indexOf(names[index]) !== index);
+    if (repeated) {
+        throw new Error(`There is more than one column named "${repeated.name}"`);
+    }
+    return options;
+}
+
+/**
+ * Check whether a file has to be converted before the server can store it
+ * The server reads files as UTF-8 CSV files with the column names in the first row.
+ *
+ * Excel and JSON files always are, as they don't end in .csv.
+ *
+ * @param {File} file - The file being loaded
+ * @param {Object} options - The options from getImportOptions()
+ * @returns {boolean} True if the loaded rows should be saved instead of the file itself
+ */
+function needsConvertedUpload(file, options) {
+    const columnsChanged = Boolean(importPreview && importPreview.file === file &&
+        importPreview.columns.some(column => !column.include || column.name.trim() !== column.original));
+    return !/\.csv$/i.test(file.name) ||
+        Boolean(options.encoding) ||
+        (Boolean(options.delimiter) && options.delimiter !== ',') ||
+        options.skipRows > 0 ||
+        !options.hasHeader ||
+        columnsChanged;
+}
+
+/**
+ * Write the loaded rows to a CSV file for the dataset library
+ *
+ * @param {string} fileName - Name of the file the rows came from
+ * @returns {File} A UTF-8 CSV file with the current columns
+ */
+function createImportedCsvFile(fileName) {
+    return createCsvFile(Papa.unparse(csvData, { columns: currentHeaders }), fileName);
+}
+
+/**
+ * Wrap CSV text in a file named after the file it came from
+ *
+ * @param {string} csv - The CSV text
+ * @param {string} fileName - Name of the original file; its extension is replaced with .csv
+ * @returns {File} The CSV file
+ */
+function createCsvFile(csv, fileName) {
+    return new File([csv], `${fileName.replace(/\.[^.]+$/, '')}.csv`, { type: 'text/csv' });
+}
+
+//=============================================================================
+// DATA DISPLAY FUNCTIONS
+//=============================================================================
+
+/**
+ * Display the CSV data in a table using DataTables
+ * This function creates the table headers and initializes the DataTable with the CSV data
+ *
+ * In server-side mode the data isn't passed in. Instead, DataTables requests each page
+ * from the server's /api/datasets/:id/rows endpoint, which does the paging, sorting and searching.
+ *
+ * @param {Array|null} data - The CSV data as an array of objects (null in server-side mode)
+ * @param {Array} headers - The CSV headers as an array of strings
+ * @param {Object} [options] - Display options
+ * @param {string} [options.serverSideDataset] - ID of a server dataset to display in server-side mode
+ * @param {Array<string>} [options.columnTypes] - Type of each column (detected from the data if not given)
+ * @param {boolean} [options.keepEdits] - Keep the cell edits, when the same rows are displayed again
+ * @param {Object} [options.columnLayout] - Column layout to use instead of the one saved for the headers
+ */
+function displayData(data, headers, options = {}) {
+    const serverSideDataset = options.serverSideDataset || null;
+
+    // Validate that the data array is not empty
+    if (!serverSideDataset && data.length === 0) {
+        alert('No data found in the CSV file.');
+        return;
+    }
+
+    // Get the table header element
+    const tableHeader = document.getElementById('tableHeader');
+    if (!tableHeader) {
+        console.error('Table header element not found');
+        return;
+    }
+
+    // Remember the columns of the current table for sorting and filtering
+    // Types chosen by the user in the column modal replace the detected ones
+    currentHeaders = headers.slice();
+    columnTypeOverrides = getViewSettings(headers).columnTypes || {};
+    detectedColumnTypes = options.columnTypes || inferColumnTypes(data, headers);
+    columnTypes = headers.map((header, index) =>
+        (COLUMN_TYPES[columnTypeOverrides[header]] ? columnTypeOverrides[header] : detectedColumnTypes[index]));
+    columnFilters = {};
+
+    // The order, widths and pinning of the columns chosen for these headers
+    columnLayout = normalizeColumnLayout(options.columnLayout || getViewSettings(headers).columnLayout, headers);
+    applyColumnWidths();
+
+    // Edits belong to the rows they were made in, so a new dataset starts without any
+    activeCellEditor = null;
+    if (!options.keepEdits) {
+        editState = createEditState();
+    }
+    renderChangesPanel();
+    allServerRows = null;
+    duplicateGroups = [];
+    scanIndex = null;
+    selectedRows = new Map();
+    lastClickedRowPosition = null;
+    fuzzyIndex = null;
+    fuzzySearchResult = null;
+    orderBeforeFuzzySearch = null;
+
+    // If a DataTable already exists, destroy it before creating a new one
+    // Its listeners stay on the table element, so remove them first
+    // ColReorder puts the columns back in file order as the table is destroyed, so this comes before the new header
+    if (dataTable) {
+        dataTable.off('draw init column-visibility column-reorder column-sizing preDraw length search');
+        dataTable.destroy();
+    }
+
+    // Create table headers from the CSV headers
+    // The second header row holds the column filters
+    let headerRow = '<tr>';
+    headers.forEach((header, index) => {
+        headerRow += `<th>${formatColumnTitle(header, index)}</th>`;
+    });
+    headerRow += '</tr>';
+    tableHeader.innerHTML = headerRow + buildFilterRow(headers, columnTypes);
+
+    // Remember which mode the table is in so exports know where to get the data
+    serverSideOptions = serverSideDataset ? {
+        datasetId: serverSideDataset,
+        url: `/api/datasets/${encodeURIComponent(serverSideDataset)}/rows`
+    } : null;
+
+    // Where the rows come from: the data array, or the server one page at a time
+    const dataSource = serverSideOptions ? {
+        serverSide: true,                    // Let the server page, sort and search
+        processing: true,                    // Show a "Processing..." indicator during requests
+        ajax: {
+            url: serverSideOptions.url,      // Endpoint that answers DataTables requests
+            data: function(params, settings) {
+                // The server knows the columns by their place in the file, not where they were moved to
+                const api = new $.fn.dataTable.Api(settings);
+                const columns = [];
+                params.columns.forEach((column, index) => {
+                    columns[toHeaderIndex(index, api)] = column;
+                });
+                params.columns = columns;
+                params.order.forEach(item => {
+                    item.column = toHeaderIndex(item.column, api);
+                });
+
+                // Send the filter row's filters along with DataTables' own parameters
+                params.filters = JSON.stringify(getServerSideFilters());
+                if (searchMode === 'fuzzy') params.fuzzy = 1;
+            },
+            dataSrc: function(json) {
+                // Fuzzy searches come back with the words to highlight
+                if (fuzzySearchResult) fuzzySearchResult.words = new Set(json.searchWords || []);
+                return json.data;
+            },
+            statusCode: {
+                401: redirectToLogin         // The session ended
+            }
+        }
+    } : {
+        data: data                           // The CSV data
+    };
+
+    try {
+        // Initialize DataTable with the CSV data
+        dataTable = $('#csvDataTable').DataTable({
+            // Data configuration
+            ...dataSource,
+            columns: headers.map((header, index) => ({
+                title: formatColumnTitle(header, index),  // Column title with its profile button
+                data: function(row) {
+                    // Use array index access instead of property name to avoid issues with special characters
+                    // This is important for column names with spaces or special characters
+                    // Note: DataTables normally passes (row, type, set, meta) parameters, but we only need row
+                    // Server-side rows are arrays, which Object.values() handles the same way
+                    return Object.values(row)[index];
+                },
+                type: getDataTablesType(columnTypes[index]),  // Sort numbers, prices and dates numerically
+                render: createColumnRenderer(columnTypes[index]),
+                className: `column-${index}`               // Sized by applyColumnWidths() once resized
+            })),
+            rowCallback: function(rowNode, rowData) {
+                // Highlight the words a fuzzy search matched, the cells that have been edited,
+                // the selected rows and in compare mode what changed
+                markSearchMatches.call(this, rowNode, rowData);
+                markSelectedRow.call(this, rowNode, rowData);
+                markEditedCells.call(this, rowNode, rowData);
+                if (compareState) markComparedCells.call(this, rowNode, rowData);
+            },
+
+            // Table configuration
+            responsive: true,                    // Make table responsive to screen size
+            orderCellsTop: true,                 // Sort from the title row, not the filter row
+            pageLength: classicPageLength,       // Number of rows per page
+            lengthMenu: [
+                [10, 25, 50, 100, 250, 1000, 1500, 2000],  // Values
+                [10, 25, 50, 100, 250, '1,000', '1,500', '2,000']  // Display labels with commas for readability
+            ],
+
+            // Columns in the order the user arranged them; dragging a title moves its column
+            // Pinned columns are kept at the edges, where they can't be dragged from or to
+            colReorder: {
+                order: getColumnOrder(),
+                fixedColumnsLeft: getPinnedHeaders('left').length,
+                fixedColumnsRight: getPinnedHeaders('right').length,
+                realtime: false                  // Move the column once it's dropped, not on the way
+            },
+            fixedColumns: { left: 0, right: 0 }, // Set by updatePinnedColumns() once the hidden columns are known
+            scrollX: true,                       // Scroll sideways inside the table, past the pinned columns
+
+            // Virtual scrolling or a frozen header: the rows scroll under a fixed header
+            ...(virtualScrolling || columnLayout.frozenHeader ? {
+                scrollY: TABLE_SCROLL_HEIGHT,
+                scrollCollapse: true             // Shrink the body when only a few rows match
+            } : {}),
+
+            // Virtual scrolling only draws the rows in view
+            ...(virtualScrolling ? {
+                scroller: true,
+                deferRender: true                // Create the row elements when they are first drawn
+            } : {}),
+
+            // DOM structure for DataTables elements
+            // This defines where the length selector, filter, table, info, and pagination appear
+            // Virtual scrolling has no pages, so it leaves out the length selector and pagination
+            dom: `<"d-flex justify-content-between align-items-center mb-3"<"d-flex align-items-center"${virtualScrolling ? '' : 'l'}><"d-flex align-items-center"f>>rti${virtualScrolling ? '' : 'p'}`,
+
+            // Add the number of selected rows to the table information
+            infoCallback: function(settings, start, end, max, total, text) {
+                tableInfoText = text;
+                return text + getSelectionInfo();
+            },
+
+            // Export buttons configuration
+            // Like the export dialog, they export the visible columns in table order,
+            // the rows matching the search in sort order, and the values as they are in the file
+            buttons: [
+                // Copy button
+                {
+                    extend: 'copy',                                  // Button type
+                    className: 'btn btn-sm btn-outline-primary',      // Bootstrap styling
+                    text: '<i class="fas fa-copy me-1"></i> Copy',   // Button text with icon
+                    exportOptions: BUTTON_EXPORT_OPTIONS
+                },
+                // CSV export button
+                {
+                    extend: 'csv',
+                    className: 'btn btn-sm btn-outline-primary',
+                    text: '<i class="fas fa-file-csv me-1"></i> CSV',
+                    filename: () => buildExportFileName(DEFAULT_EXPORT_SETTINGS.fileName, 'filtered'),
+                    exportOptions: BUTTON_EXPORT_OPTIONS
+                },
+                // Excel export button
+                {
+                    extend: 'excel',
+                    className: 'btn btn-sm btn-outline-primary',
+                    text: '<i class="fas fa-file-excel me-1"></i> Excel',
+                    filename: () => buildExportFileName(DEFAULT_EXPORT_SETTINGS.fileName, 'filtered'),
+                    exportOptions: BUTTON_EXPORT_OPTIONS
+                },
+                // PDF export button
+                {
+                    extend: 'pdf',
+                    className: 'btn btn-sm btn-outline-primary',
+                    text: '<i class="fas fa-file-pdf me-1"></i> PDF',
+                    filename: () => buildExportFileName(DEFAULT_EXPORT_SETTINGS.fileName, 'filtered'),
+                    exportOptions: BUTTON_EXPORT_OPTIONS
+                },
+                // Print button
+                {
+                    extend: 'print',
+                    className: 'btn btn-sm btn-outline-primary',
+                    text: '<i class="fas fa-print me-1"></i> Print',
+                    exportOptions: BUTTON_EXPORT_OPTIONS
+                }
+            ],
+
+            // Custom language/text for DataTables elements
+            language: {
+                search: "<i class='fas fa-search'></i>",              // Search icon
+                searchPlaceholder: "Search records...",               // Search placeholder
+                lengthMenu: "Show _MENU_ entries",                    // Length menu text
+                info: "Showing _START_ to _END_ of _TOTAL_ entries", // Info text
+                infoEmpty: "Showing 0 to 0 of 0 entries",            // Empty info text
+                infoFiltered: "(filtered from _MAX_ total entries)"   // Filtered info text
+            }
+        });
+
+        // Set up search functionality with the global search input
+        // This connects the search box at the top of the page to the DataTable search
+        // Plain text goes straight to DataTables, queries like "Remaining < 5" are parsed first
+        // In server-side mode each search is a request, so wait until the user stops typing
+        const searchInput = document.getElementById('searchInput');
+        if (searchInput) {
+            let searchTimer = null;
+            searchInput.oninput = function() {
+                clearTimeout(searchTimer);
+                updateSearchSuggestions();
+                searchTimer = setTimeout(() => {
+                    applySearchQuery(this.value);
+                }, serverSideOptions ? 400 : 150);
+            };
+        }
+
+        // Connect the filter row controls to the table
+        setupFilterRow();
+
+        // Restore the view: a shared link wins over the user preferences saved for these columns
+        // (column visibility, page length, filters, etc.)
+        if (pendingUrlState) {
+            applyViewState(pendingUrlState, true);
+            pendingUrlState = null;
+        } else if (!loadPreferences()) {
+            // Apply whatever is already in the search box to the new table
+            if (searchInput && searchInput.value) {
+                applySearchQuery(searchInput.value);
+            }
+
+            // The first table replaces the entry the page was opened with
+            updateUrlState(!lastUrlState);
+        }
+
+        // Keep the URL and the saved preferences in sync with the table
+        // A draw follows every change of search, filters, sort order, page and page length
+        // The totals and chart panels follow the rows matching the search and filters
+        dataTable.on('draw column-visibility', () => {
+            updateUrlState();
+            savePreferences();
+            scheduleAggregateUpdate();
+            scheduleChartUpdate();
+        });
+        dataTable.on('preDraw', rankFuzzyMatches);
+
+        // Keep the pinned columns and the saved column layout in line with the table
+        updatePinnedColumns();
+        dataTable.on('init column-sizing', updatePinnedColumns);
+        dataTable.on('draw', syncPinnedFilterCells);
+        dataTable.on('column-reorder', handleColumnReorder);
+        dataTable.on('length', (event, settings, length) => {
+            if (!virtualScrolling) classicPageLength = length;
+        });
+        if (virtualScrolling) {
+            keepVirtualScrollPosition();
+        }
+        updateViewsPickerLabel();
+        setupAggregatePanel();
+        setupChartPanel();
+    } catch (error) {
+        // Handle any errors that occur during DataTable initialization
+        console.error('Error initializing DataTable:', error);
+        const tableContainer = document.getElementById('tableContainer');
+        if (tableContainer) {
+            tableContainer.innerHTML = `<div class="alert alert-danger" role="alert">Error initializing table: ${error.message}</div>`;
+        }
+    }
+}
+
+/**
+ * Destroy the current DataTable, if any
+ * This must happen before the table element is removed from the page
+ */
+function resetTable() {
+    if (dataTable) {
+        dataTable.destroy();
+        dataTable = null;
+    }
+}
+
+/**
+ * Build the current table again, for changes DataTables can only make to a new table
+ * The rows, edits, column types and column layout stay as they are.
+ *
+ * @param {Object} [state] - The view state to open the new table with (the current one if not given)
+ */
+function redisplayTable(state = getViewState()) {
+    pendingUrlState = state;
+    if (serverSideOptions) {
+        displayData(null, currentHeaders, {
+            serverSideDataset: serverSideOptions.datasetId,
+            columnTypes: detectedColumnTypes.slice(),
+            columnLayout: columnLayout
+        });
+        return;
+    }
+
+    displayData(csvData.slice(), currentHeaders, {
+        keepEdits: true,
+        columnTypes: detectedColumnTypes.slice(),
+        columnLayout: columnLayout
+    });
+}
+
+/**
+ * Recreate the table structure inside the table container
+ * This includes the table header, info message, and table element
+ *
+ * @param {HTMLElement} tableContainer - The table container element
+ * @param {number} recordCount - Number of records shown in the info message
+ * @param {string} sourceName - Name of the dataset or file the records came from
+ * @param {string} [note] - Extra text appended to the info message
+ */
+function renderTableContainer(tableContainer, recordCount, sourceName, note = '') {
+    tableContainer.innerHTML = `
+        <div class="card-header bg-light d-flex justify-content-between align-items-center">
+            <h5 class="mb-0"><i class="fas fa-table me-2"></i>Data Table</h5>
+            <div class="form-check form-switch mb-0">
+                <input class="form-check-input" type="checkbox" role="switch" id="virtualScrollToggle"${virtualScrolling ? ' checked' : ''}>
+                <label class="form-check-label" for="virtualScrollToggle">Virtual scrolling</label>
+            </div>
+        </div>
+        <div class="card-body table-responsive">
+            <div class="alert alert-info mt-3" id="tableInfo">
+                ${formatTableInfo(recordCount, sourceName, note)}
+            </div>
+            <table id="csvDataTable" class="table table-striped table-hover csv-table">
+                <thead id="tableHeader"></thead>
+                <tbody id="tableBody"></tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Update the info message above the table, e.g. while rows are still being loaded
+ *
+ * @param {number} recordCount - Number of records shown in the info message
+ * @param {string} sourceName - Name of the dataset or file the records came from
+ * @param {string} [note] - Extra text appended to the info message
+ */
+function updateTableInfo(recordCount, sourceName, note = '') {
+    const info = document.getElementById('tableInfo');
+    if (info) {
+        info.innerHTML = formatTableInfo(recordCount, sourceName, note);
+    }
+}
+
+/**
+ * Build the info message shown above the table
+ *
+ * @param {number} recordCount - Number of records
+ * @param {string} sourceName - Name of the dataset or file the records came from
+ * @param {string} [note] - Extra text appended to the message
+ * @returns {string} The message HTML
+ */
+function formatTableInfo(recordCount, sourceName, note = '') {
+    return `<i class="fas fa-info-circle me-2"></i>Loaded ${recordCount.toLocaleString()} records from ${escapeHtml(sourceName)}.${note}`;
+}
+
+/**
+ * Load the default dataset, or the dataset named in the URL hash
+ * This function is called automatically when the page loads
+ * The rest of the view state in the hash is applied once the table is displayed
+ */
+function loadDefaultCSV() {
+    pendingUrlState = readUrlState();
+    loadDataset(pendingUrlState && pendingUrlState.dataset ? pendingUrlState.dataset : DEFAULT_DATASET_ID);
+}
+
+/**
+ * Load a dataset from the server's dataset library and display it
+ *
+ * It first asks the server how large the dataset is. Large datasets are shown in
+ * server-side mode, where only the current page is downloaded. Smaller ones are
+ * fetched and parsed in the browser so that searching and sorting are instant.
+ *
+ * @param {string} datasetId - The dataset ID, or DEFAULT_DATASET_ID for the default dataset
+ */
+function loadDataset(datasetId) {
+    // Make sure the table container exists and is visible
+    const tableContainer = document.getElementById('tableContainer');
+    if (!tableContainer) {
+        console.error('Table container not found');
+        return;
+    }
+
+    // Remove the d-none class if it exists to make the container visible
+    tableContainer.classList.remove('d-none');
+
+    // Loading a dataset leaves compare mode, and loads any change announced for the old one
+    compareState = null;
+    renderComparePanel();
+    pendingDatasetChange = null;
+    hideDataUpdateBanner();
+
+    // Show loading indicator while the CSV file is being fetched and parsed
+    resetTable();
+    tableContainer.innerHTML = '<div class="text-center p-5"><div class="spinner-border" role="status"></div><p class="mt-3">Loading CSV data...</p></div>';
+
+    // Ask the server for the dataset's name, size and columns
+    apiFetch(`/api/datasets/${encodeURIComponent(datasetId)}`)
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`Failed to load dataset: ${response.status} ${response.statusText}`);
+            }
+            return response.json();
+        })
+        .then(info => {
+            currentDataset = { id: info.id, name: info.name };
+            updateDatasetPickerLabel();
+
+            if (info.rowCount > SERVER_SIDE_ROW_THRESHOLD) {
+                // Large dataset: let the server do the paging, sorting and searching
+                csvData = [];
+                renderTableContainer(tableContainer, info.rowCount, info.name, ' Paging, sorting and searching are handled by the server.');
+                displayData(null, info.fields, {
+                    serverSideDataset: info.id,
+                    columnTypes: (info.columnKinds || []).map(kind => SERVER_COLUMN_KIND_TYPES[kind] || 'text')
+                });
+                return;
+            }
+
+            return loadCSVInBrowser(tableContainer, info);
+        })
+        .catch(error => {
+            // Handle any errors that occur during fetch or parsing
+            console.error('Error loading CSV file:', error);
+            pendingUrlState = null;
+            tableContainer.innerHTML = `<div class="alert alert-danger" role="alert">Error loading CSV file: ${escapeHtml(error.message)}</div>`;
+        });
+}
+
+/**
+ * Fetch a dataset's CSV file and parse it in the browser
+ *
+ * @param {HTMLElement} tableContainer - The table container element
+ * @param {{id: string, name: string}} info - The dataset information from the server
+ * @returns {Promise<void>} Resolves once the file has been parsed and displayed
+ */
+function loadCSVInBrowser(tableContainer, info) {
+    // Fetch the CSV file using the Fetch API
+    return apiFetch(`/api/datasets/${encodeURIComponent(info.id)}/csv`)
+        .then(response => {
+            // Check if the fetch was successful
+            if (!response.ok) {
+                throw new Error(`Failed to load CSV file: ${response.status} ${response.statusText}`);
+            }
+            // Parse the file in the background, the same way as uploaded files
+            return response.blob();
+        })
+        .then(blob => loadCsvIntoTable(blob, info.name).done)
+        .then(result => {
+            if (result.status === 'failed') {
+                throw new Error(result.message);
+            }
+            if (result.status === 'cancelled') {
+                resetTable();
+                tableContainer.innerHTML = `<div class="alert alert-secondary m-3" role="alert">Loading ${escapeHtml(info.name)} was cancelled. Choose a dataset from the dataset menu to continue.</div>`;
+            }
+        });
+}
+
+//=============================================================================
+// COLUMN TYPE FUNCTIONS
+//=============================================================================
+
+/**
+ * Parse a value as a number, ignoring currency symbols, thousands separators and spaces
+ * This lets values like "$1,149.99" be compared as numbers.
+ *
+ * @param {*} value - The value to parse
+ * @returns {number} The number, or NaN if the value isn't numeric
+ */
+function parseNumericValue(value) {
+    if (typeof value === 'number') return value;
+    const text = String(value === null || value === undefined ? '' : value).replace(/[$\u20AC\u00A3\u00A5,\s]/g, '');
+    return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : NaN;
+}
+
+/**
+ * Get the currency symbol used in a column, so totals of prices can be shown in the same currency
+ *
+ * @param {Array} values - The values of the column
+ * @returns {string} The first currency symbol found, or "$" if none is
+ */
+function getCurrencySymbol(values) {
+    const sample = values.find(value => /[$\u20AC\u00A3\u00A5]/.test(value ?? ''));
+    return sample === undefined ? '$' : String(sample).match(/[$\u20AC\u00A3\u00A5]/)[0];
+}
+
+/**
+ * Parse a value as a date
+ * Only ISO dates (2024-03-31, optionally with a time) and US dates (3/31/2024) are recognised,
+ * so numbers and codes are never mistaken for dates.
+ *
+ * @param {*} value - The value to parse
+ * @returns {number} The date as milliseconds since the epoch, or NaN if the value isn't a date
+ */
+function parseDateValue(value) {
+    const text = String(value === null || value === undefined ? '' : value).trim();
+    if (!/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(text) &&
+        !/^\d{1,2}\/\d{1,2}\/\d{4}( \d{1,2}:\d{2}(:\d{2})?( ?[AP]M)?)?$/i.test(text)) {
+        return NaN;
+    }
+    return Date.parse(text);
+}
+
+/**
+ * Work out the type of a column from its header and values
+ * A type is only chosen if every non-empty value fits it:
+ * - identifier: barcodes, SKUs and other codes made of digits that must stay strings,
+ *   e.g. UPC and EAN codes (8 or more digits, leading zeros, or a header like "UPC" or "SKU")
+ * - boolean: true/false or yes/no
+ * - integer: whole numbers, e.g. "7" or "1,200"
+ * - decimal: numbers with a fractional part, e.g. "3.5"
+ * - currency: amounts with a currency symbol, e.g. "$149.99"
+ * - date: ISO or US dates, e.g. "2024-03-31" or "3/31/2024"
+ * - text: everything else
+ *
+ * The server's detectColumnKind() in server.js uses a simpler version of these rules.
+ *
+ * @param {string} header - The column header
+ * @param {Array} values - Every value in the column
+ * @returns {string} The column type
+ */
+function detectColumnType(header, values) {
+    const nonEmpty = values
+        .map(value => String(value === null || value === undefined ? '' : value).trim())
+        .filter(value => value !== '');
+    if (nonEmpty.length === 0) return 'text';
+
+    const allMatch = test => nonEmpty.every(test);
+    const looksLikeCodeHeader = /\b(upc|ean|gtin|isbn|sku|barcode|code|id|zip)\b/i.test(header);
+
+    if (allMatch(value => /^\d+$/.test(value)) &&
+        (looksLikeCodeHeader || nonEmpty.some(value => value.length >= 8 || (value.length > 1 && value[0] === '0')))) {
+        return 'identifier';
+    }
+    if (allMatch(value => /^(true|false|yes|no)$/i.test(value))) return 'boolean';
+    if (allMatch(value => INTEGER_PATTERN.test(value))) return 'integer';
+    if (allMatch(value => /^-?(\d{1,3}(,\d{3})+|\d*)\.\d+$|^-?(\d{1,3}(,\d{3})+|\d+)$/.test(value))) return 'decimal';
+    if (allMatch(value => /[$\u20AC\u00A3\u00A5]/.test(value) && !Number.isNaN(parseNumericValue(value)))) return 'currency';
+    if (allMatch(value => !Number.isNaN(parseDateValue(value)))) return 'date';
+    return 'text';
+}
+
+/**
+ * Detect the type of every column in a dataset
+ *
+ * @param {Array<Object>} data - The rows as parsed by PapaParse
+ * @param {Array<string>} headers - The column headers
+ * @returns {Array<string>} The type of each column
+ */
+function inferColumnTypes(data, headers) {
+    return headers.map((header, index) =>
+        detectColumnType(header, data.map(row => Object.values(row)[index])));
+}
+
+/**
+ * Get the DataTables column type used to sort a column of the given type
+ * Numeric types (and dates) are rendered as numbers for sorting, so DataTables sorts them numerically.
+ *
+ * @param {string} type - The column type
+ * @returns {string} The DataTables column type
+ */
+function getDataTablesType(type) {
+    return NUMERIC_COLUMN_TYPES.includes(type) || type === 'date' ? 'num' : 'string';
+}
+
+/**
+ * Get the value a cell is sorted by
+ * Empty and invalid cells sort before every number or date, like DataTables does for empty cells.
+ *
+ * @param {*} value - The cell value
+ * @param {string} type - The column type
+ * @returns {number|string} The sort value
+ */
+function getSortValue(value, type) {
+    if (NUMERIC_COLUMN_TYPES.includes(type) || type === 'date') {
+        const number = type === 'date' ? parseDateValue(value) : parseNumericValue(value);
+        return Number.isNaN(number) ? -Infinity : number;
+    }
+    return value === null || value === undefined ? '' : String(value);
+}
+
+/**
+ * Create the DataTables render function for a column of the given type
+ * Cells are displayed exactly as they appear in the CSV file (so barcodes keep their leading zeros
+ * and prices keep their currency symbol) but are sorted by their typed value.
+ * Datasets are shared between users, so the displayed text is escaped rather than written as HTML.
+ *
+ * @param {string} type - The column type
+ * @returns {Function} The DataTables render function
+ */
+function createColumnRenderer(type) {
+    return function(value, renderType) {
+        if (renderType === 'sort' || renderType === 'type') {
+            return getSortValue(value, type);
+        }
+        const text = value === null || value === undefined ? '' : value;
+        return renderType === 'display' ? escapeHtml(text) : text;
+    };
+}
+
+/**
+ * Change the type of a column from the column modal
+ * The table is rebuilt with the new type; page length, visibility, sort order
+ * and filters are restored from the saved preferences.
+ *
+ * @param {string} header - The column header
+ * @param {string} type - The new column type
+ */
+function setColumnType(header, type) {
+    // Choosing the detected type again removes the override
+    if (type === detectedColumnTypes[currentHeaders.indexOf(header)]) {
+        delete columnTypeOverrides[header];
+    } else {
+        columnTypeOverrides[header] = type;
+    }
+    savePreferences();
+
+    if (!serverSideOptions) {
+        displayData(csvData, currentHeaders, { keepEdits: true });
+    }
+}
+
+//=============================================================================
+// COLUMN FILTER FUNCTIONS
+//=============================================================================
+
+/**
+ * Build the filter row that sits under the column titles
+ * Each cell has an operator select and up to two value inputs
+ *
+ * @param {Array<string>} headers - The column headers
+ * @param {Array<string>} types - The type of each column
+ * @returns {string} The HTML of the filter row
+ */
+function buildFilterRow(headers, types) {
+    let filterRow = '<tr class="filter-row">';
+    headers.forEach((header, index) => {
+        const operators = FILTER_OPERATORS_BY_TYPE[types[index]] || FILTER_OPERATORS_BY_TYPE.text;
+        const numeric = NUMERIC_COLUMN_TYPES.includes(types[index]);
+
+        filterRow += `
+            <th class="filter-cell" data-column="${index}">
+                <div class="filter-group">
+                    <select class="form-select form-select-sm filter-operator" aria-label="Filter operator for ${escapeHtml(header)}">
+                        ${operators.map(operator => `<option value="${operator}">${FILTER_OPERATORS[operator].label}</option>`).join('')}
+                    </select>
+                    <input type="text" class="form-control form-control-sm filter-value" placeholder="${numeric ? 'Min' : 'Filter'}"
+                           inputmode="${numeric ? 'decimal' : 'text'}" aria-label="Filter value for ${escapeHtml(header)}">
+                    <input type="text" class="form-control form-control-sm filter-max" placeholder="Max"
+                           inputmode="decimal" aria-label="Maximum for ${escapeHtml(header)}">
+                </div>
+            </th>`;
+    });
+    return filterRow + '</tr>';
+}
+
+/**
+ * Connect the filter row controls to the table
+ * Typing in a filter waits briefly before redrawing so the table doesn't redraw on every key
+ */
+function setupFilterRow() {
+    let filterTimer = null;
+
+    getFilterCells().forEach(cell => {
+        updateFilterInputs(cell);
+
+        cell.querySelector('.filter-operator').addEventListener('change', () => {
+            updateFilterInputs(cell);
+            applyFilterFromCell(cell);
+        });
+
+        cell.querySelectorAll('input').forEach(input => {
+            input.addEventListener('input', () => {
+                clearTimeout(filterTimer);
+                filterTimer = setTimeout(() => applyFilterFromCell(cell), 300);
+            });
+        });
+    });
+
+    renderFilterChips();
+}
+
+/**
+ * Get the cells of the filter row
+ * With virtual scrolling DataTables moves the header into a table of its own above the
+ * scrolling rows, and leaves a hidden copy for sizing, so the header is found through DataTables.
+ *
+ * @returns {Array<HTMLElement>} The filter cells, in column order
+ */
+function getFilterCells() {
+    return dataTable ? Array.from(dataTable.table().header().querySelectorAll('.filter-cell')) : [];
+}
+
+/**
+ * Show only the value inputs the selected operator needs
+ * "Range" shows min and max, "Is empty" and "Not empty" show none
+ *
+ * @param {HTMLElement} cell - The filter cell
+ */
+function updateFilterInputs(cell) {
+    const operator = FILTER_OPERATORS[cell.querySelector('.filter-operator').value];
+    const valueInput = cell.querySelector('.filter-value');
+    const maxInput = cell.querySelector('.filter-max');
+
+    valueInput.classList.toggle('d-none', operator.inputs === 0);
+    maxInput.classList.toggle('d-none', operator.inputs < 2);
+    valueInput.placeholder = operator.inputs === 2 ? 'Min' : 'Filter';
+}
+
+/**
+ * Read a filter cell's controls into columnFilters and redraw the table
+ *
+ * @param {HTMLElement} cell - The filter cell
+ */
+function applyFilterFromCell(cell) {
+    const header = currentHeaders[parseInt(cell.getAttribute('data-column'), 10)];
+    const filter = {
+        operator: cell.querySelector('.filter-operator').value,
+        value: cell.querySelector('.filter-value').value.trim(),
+        min: cell.querySelector('.filter-value').value.trim(),
+        max: cell.querySelector('.filter-max').value.trim()
+    };
+
+    setColumnFilter(header, filter);
+}
+
+/**
+ * Set or clear the filter for a column, then redraw the table and save preferences
+ * Filters without a value (other than "Is empty" and "Not empty") are removed.
+ *
+ * @param {string} header - The column header
+ * @param {Object|null} filter - The filter, or null to remove it
+ */
+function setColumnFilter(header, filter) {
+    if (filter && isFilterActive(filter)) {
+        columnFilters[header] = {
+            operator: filter.operator,
+            value: filter.operator === 'between' ? '' : filter.value || '',
+            min: filter.operator === 'between' ? filter.min || '' : '',
+            max: filter.operator === 'between' ? filter.max || '' : ''
+        };
+    } else {
+        delete columnFilters[header];
+    }
+
+    renderFilterChips();
+    if (dataTable) {
+        dataTable.draw();
+    }
+    savePreferences();
+}
+
+/**
+ * Check whether a filter actually restricts anything
+ *
+ * @param {Object} filter - The filter
+ * @returns {boolean} True if the filter is active
+ */
+function isFilterActive(filter) {
+    const operator = FILTER_OPERATORS[filter.operator];
+    if (!operator) return false;
+    if (operator.inputs === 0) return true;
+    if (operator.inputs === 2) return Boolean(filter.min || filter.max);
+    return Boolean(filter.value);
+}
+
+/**
+ * Put the filter row controls back in line with columnFilters
+ * Used after filters are restored from saved preferences
+ */
+function syncFilterControls() {
+    getFilterCells().forEach(cell => {
+        const header = currentHeaders[parseInt(cell.getAttribute('data-column'), 10)];
+        const filter = columnFilters[header];
+        const select = cell.querySelector('.filter-operator');
+
+        // Use the saved operator if this column offers it, otherwise the default one
+        select.value = filter && select.querySelector(`option[value="${filter.operator}"]`) ? filter.operator : select.options[0].value;
+        cell.querySelector('.filter-value').value = filter ? (filter.operator === 'between' ? filter.min : filter.value) : '';
+        cell.querySelector('.filter-max').value = filter ? filter.max : '';
+        updateFilterInputs(cell);
+    });
+}
+
+/**
+ * Check a cell against a column filter
+ * The server applies the same rules in matchesColumnFilter() in server.js.
+ *
+ * @param {*} value - The cell value
+ * @param {Object} filter - The filter: { operator, value, min, max }
+ * @param {string} type - The column type
+ * @returns {boolean} True if the cell passes the filter
+ */
+function matchesColumnFilter(value, filter, type) {
+    const text = String(value === null || value === undefined ? '' : value).trim().toLowerCase();
+    const filterValue = String(filter.value || '').trim().toLowerCase();
+    const numeric = NUMERIC_COLUMN_TYPES.includes(type);
+
+    // Date columns compare dates, everything else compares numbers or text
+    const parse = type === 'date' ? parseDateValue : parseNumericValue;
+
+    switch (filter.operator) {
+        case 'empty':
+            return text === '';
+        case 'notEmpty':
+            return text !== '';
+        case 'between': {
+            const number = parse(value);
+            const min = parse(filter.min);
+            const max = parse(filter.max);
+            if (Number.isNaN(number)) return false;
+            return (Number.isNaN(min) || number >= min) && (Number.isNaN(max) || number <= max);
+        }
+        case 'exact':
+            // Numeric columns compare numbers, so "7" matches "7.00" and "$149.99" matches "149.99"
+            if ((numeric || type === 'date') && !Number.isNaN(parse(filter.value))) {
+                return parse(value) === parse(filter.value);
+            }
+            return text === filterValue;
+        case 'prefix':
+            return text.startsWith(filterValue);
+        case 'contains':
+            return text.includes(filterValue);
+        default:
+            return true; // Unknown operators don't filter anything
+    }
+}
+
+/**
+ * DataTables search function that applies the column filters in client-side mode
+ * Registered once with $.fn.dataTable.ext.search, which calls it for every row on each draw.
+ *
+ * @param {Object} settings - The DataTables settings of the table being drawn
+ * @param {Array} searchData - The row's search strings (unused)
+ * @param {number} dataIndex - The row's index (unused)
+ * @param {Object} rowData - The row's data object
+ * @returns {boolean} True if the row passes every column filter
+ */
+function columnFilterSearch(settings, searchData, dataIndex, rowData) {
+    // Only filter the main table, and let the server filter in server-side mode
+    if (settings.nTable.id !== 'csvDataTable' || serverSideOptions) return true;
+
+    const values = Object.values(rowData);
+    return Object.keys(columnFilters).every(header => {
+        const index = currentHeaders.indexOf(header);
+        return index === -1 || matchesColumnFilter(values[index], columnFilters[header], columnTypes[index]);
+    });
+}
+
+/**
+ * Convert the column filters to the format the server's rows endpoint expects
+ *
+ * @returns {Array<Object>} The filters, each with the column index instead of the header
+ */
+function getServerSideFilters() {
+    return Object.keys(columnFilters)
+        .map(header => ({ column: currentHeaders.indexOf(header), ...columnFilters[header] }))
+        .filter(filter => filter.column !== -1);
+}
+
+/**
+ * Describe a filter in a few words for its chip, e.g. "Remaining: 1 to 5"
+ *
+ * @param {string} header - The column header
+ * @param {Object} filter - The filter
+ * @returns {string} The description
+ */
+function describeFilter(header, filter) {
+    switch (filter.operator) {
+        case 'empty': return `${header} is empty`;
+        case 'notEmpty': return `${header} is not empty`;
+        case 'between':
+            if (filter.min && filter.max) return `${header}: ${filter.min} to ${filter.max}`;
+            return filter.min ? `${header} \u2265 ${filter.min}` : `${header} \u2264 ${filter.max}`;
+        case 'exact': return `${header} = ${filter.value}`;
+        case 'prefix': return `${header} starts with ${filter.value}`;
+        default: return `${header} contains ${filter.value}`;
+    }
+}
+
+/**
+ * Show the active column filters as removable chips under the search box
+ */
+function renderFilterChips() {
+    const container = document.getElementById('filterChips');
+    if (!container) return;
+
+    const headers = Object.keys(columnFilters);
+    container.classList.toggle('d-none', headers.length === 0);
+    container.innerHTML = headers.map(header => `
+        <span class="badge rounded-pill filter-chip">
+            ${escapeHtml(describeFilter(header, columnFilters[header]))}
+            <button type="button" class="btn-close btn-close-white ms-1" data-filter="${escapeHtml(header)}"
+                    aria-label="Remove filter"></button>
+        </span>
+    `).join('') + (headers.length > 1 ?
+        '<button type="button" class="btn btn-sm btn-link" data-filter-clear>Clear all</button>' : '');
+}
+
+/**
+ * Handle clicks on the filter chips: remove one filter, or all of them
+ *
+ * @param {MouseEvent} event - The click event
+ */
+function handleFilterChipClick(event) {
+    const removeButton = event.target.closest('[data-filter]');
+    if (removeButton) {
+        setColumnFilter(removeButton.getAttribute('data-filter'), null);
+    } else if (event.target.closest('[data-filter-clear]')) {
+        columnFilters = {};
+        renderFilterChips();
+        if (dataTable) {
+            dataTable.draw();
+        }
+        savePreferences();
+    } else {
+        return;
+    }
+
+    syncFilterControls();
+}
+
+//=============================================================================
+// SEARCH QUERY FUNCTIONS
+//=============================================================================
+
+/**
+ * Comparison operators in the search query language
+ * ":" and "contains" match a substring, "~" matches a regular expression
+ * @type {Array<string>}
+ */
+const QUERY_OPERATORS = ['<=', '>=', '!=', '<', '>', '=', ':', '~'];
+
+/**
+ * Error raised when a search query can't be parsed
+ * position is the index in the query where the problem was found
+ */
+class QueryError extends Error {
+    constructor(message, position) {
+        super(message);
+        this.name = 'QueryError';
+        this.position = position;
+    }
+}
+
+/**
+ * Split a search query into tokens
+ *
+ * Token types:
+ * - word: a run of characters without spaces, quotes, parentheses or operators
+ * - string: a "quoted phrase" (\" escapes a quote)
+ * - regex: a /regular expression/ with optional flags
+ * - op: one of QUERY_OPERATORS
+ * - keyword: AND, OR or NOT (upper case only, so "or" is still a search term)
+ * - minus: a "-" directly in front of a term, which negates it
+ * - lparen / rparen: parentheses for grouping
+ *
+ * @param {string} text - The query text
+ * @returns {Array<Object>} The tokens, each with its type, value and start/end positions
+ */
+function tokenizeQuery(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+        const start = i;
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char === '(' ? 'lparen' : 'rparen', value: char, start, end: ++i });
+        } else if (char === '"') {
+            // Quoted phrase
+            let value = '';
+            i++;
+            while (i < text.length && text[i] !== '"') {
+                if (text[i] === '\\' && i + 1 < text.length) i++;
+                value += text[i++];
+            }
+            if (i >= text.length) {
+                throw new QueryError('Missing closing quote', start);
+            }
+            tokens.push({ type: 'string', value, start, end: ++i });
+        } else if (char === '/') {
+            // Regular expression, e.g. /^CCM/i
+            let source = '';
+            i++;
+            while (i < text.length && text[i] !== '/') {
+                if (text[i] === '\\' && i + 1 < text.length) source += text[i++];
+                source += text[i++];
+            }
+            if (i >= text.length) {
+                throw new QueryError('Missing closing / in regular expression', start);
+            }
+            i++;
+            const flags = (text.slice(i).match(/^[a-z]*/) || [''])[0];
+            // g and y make test() carry on from where it last matched, so rows would be skipped
+            const badFlag = [...flags].findIndex(flag => !'imsu'.includes(flag));
+            if (badFlag !== -1) {
+                const flag = flags[badFlag];
+                throw new QueryError(['g', 'y'].includes(flag) ?
+                    `The ${flag} flag can't be used in searches, each row is matched on its own` :
+                    `Unknown regular expression flag "${flag}" (use i, m, s or u)`, i + badFlag);
+            }
+            i += flags.length;
+
+            let regex;
+            try {
+                // Searches are case-insensitive unless the expression says otherwise
+                regex = new RegExp(source, flags.includes('i') ? flags : `${flags}i`);
+            } catch (error) {
+                throw new QueryError(`Invalid regular expression: ${error.message}`, start);
+            }
+            tokens.push({ type: 'regex', value: source, regex, start, end: i });
+        } else if (QUERY_OPERATORS.some(op => text.startsWith(op, i))) {
+            const op = QUERY_OPERATORS.find(operator => text.startsWith(operator, i));
+            i += op.length;
+            tokens.push({ type: 'op', value: op, start, end: i });
+        } else if (char === '-' && i + 1 < text.length && !/[\s\d.]/.test(text[i + 1]) &&
+                   (tokens.length === 0 || tokens[tokens.length - 1].type !== 'op')) {
+            // "-term" excludes rows containing the term (but "-5" after an operator is a number)
+            tokens.push({ type: 'minus', value: '-', start, end: ++i });
+        } else {
+            // Plain word: stop at spaces, quotes, parentheses and operators
+            while (i < text.length && !/[\s"()]/.test(text[i]) &&
+                   !QUERY_OPERATORS.some(op => text.startsWith(op, i))) {
+                i++;
+            }
+            const value = text.slice(start, i);
+            const type = ['AND', 'OR', 'NOT'].includes(value) ? 'keyword' : 'word';
+            tokens.push({ type, value, start, end: i });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Check whether the search box holds a query rather than plain text
+ * Plain text (words only) is left to DataTables' own search, which behaves exactly as before.
+ *
+ * @param {Array<Object>} tokens - The tokens from tokenizeQuery()
+ * @returns {boolean} True if the text uses any query syntax
+ */
+function isQuerySyntax(tokens) {
+    return tokens.some((token, index) => token.type !== 'word' ||
+        // "Item contains BAG" is a comparison, even though it is only words
+        (/^contains$/i.test(token.value) && index > 0 && findColumnIndex(tokens[index - 1].value) !== -1));
+}
+
+/**
+ * Find a column by the name used in a query
+ * Names are matched ignoring case, spaces and punctuation, so "sale_price" finds "Sale Price"
+ *
+ * @param {string} name - The column name from the query
+ * @returns {number} The column index, or -1 if there is no such column
+ */
+function findColumnIndex(name) {
+    const normalize = value => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+    const wanted = normalize(name);
+    if (!wanted) return -1;
+    return currentHeaders.findIndex(header => normalize(header) === wanted);
+}
+
+/**
+ * Parse a search query into an expression tree
+ *
+ * Grammar:
+ *   query      := or
+ *   or         := and ("OR" and)*
+ *   and        := not (["AND"] not)*
+ *   not        := ("-" | "NOT") not | primary
+ *   primary    := "(" or ")" | comparison | term
+ *   comparison := column operator value      e.g. Remaining<5, "Sale Price">=100, Item:bag, UPC~/^19/
+ *   term       := word | "phrase" | /regex/
+ *
+ * @param {string} text - The query text
+ * @returns {Object} The expression tree
+ * @throws {QueryError} If the query is invalid
+ */
+function parseQuery(text) {
+    const tokens = tokenizeQuery(text);
+    let position = 0;
+
+    const peek = (offset = 0) => tokens[position + offset];
+    const next = () => tokens[position++];
+    const errorAt = (message, token) => new QueryError(message, token ? token.start : text.length);
+
+    function parseOr() {
+        let left = parseAnd();
+        while (peek() && peek().type === 'keyword' && peek().value === 'OR') {
+            next();
+            left = { type: 'or', left, right: parseAnd() };
+        }
+        return left;
+    }
+
+    function parseAnd() {
+        let left = parseNot();
+        while (peek() && peek().type !== 'rparen' && !(peek().type === 'keyword' && peek().value === 'OR')) {
+            if (peek().type === 'keyword' && peek().value === 'AND') next();
+            left = { type: 'and', left, right: parseNot() };
+        }
+        return left;
+    }
+
+    function parseNot() {
+        const token = peek();
+        if (token && (token.type === 'minus' || (token.type === 'keyword' && token.value === 'NOT'))) {
+            next();
+            return { type: 'not', expression: parseNot() };
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = next();
+        if (!token) {
+            throw errorAt('Query ends too early', null);
+        }
+
+        if (token.type === 'lparen') {
+            const expression = parseOr();
+            const closing = next();
+            if (!closing || closing.type !== 'rparen') {
+                throw errorAt('Missing closing parenthesis', closing || null);
+            }
+            return expression;
+        }
+
+        if (token.type === 'word' || token.type === 'string') {
+            // A name followed by an operator is a comparison
+            const following = peek();
+            const isContains = following && following.type === 'word' && /^contains$/i.test(following.value) &&
+                findColumnIndex(token.value) !== -1;
+            if ((following && following.type === 'op') || isContains) {
+                return parseComparison(token);
+            }
+            return { type: 'term', text: token.value.toLowerCase() };
+        }
+
+        if (token.type === 'regex') {
+            return { type: 'term', regex: token.regex };
+        }
+
+        throw errorAt(`Unexpected "${token.value}"`, token);
+    }
+
+    function parseComparison(nameToken) {
+        const column = findColumnIndex(nameToken.value);
+        if (column === -1) {
+            throw errorAt(`Unknown column "${nameToken.value}"`, nameToken);
+        }
+
+        let operator = next().value;
+        if (/^contains$/i.test(operator)) operator = ':';
+
+        // "Remaining:>5" is the same as "Remaining > 5"
+        if (operator === ':' && peek() && peek().type === 'op' && peek().value !== ':') {
+            operator = next().value;
+        }
+
+        // A value may be preceded by a minus sign when it is a negative number
+        let valueToken = next();
+        let prefix = '';
+        if (valueToken && valueToken.type === 'minus') {
+            prefix = '-';
+            valueToken = next();
+        }
+        if (!valueToken || !['word', 'string', 'regex'].includes(valueToken.type)) {
+            throw errorAt(`Missing value after "${nameToken.value} ${operator}"`, valueToken || null);
+        }
+
+        if (valueToken.type === 'regex' || operator === '~') {
+            let regex = valueToken.regex;
+            if (!regex) {
+                try {
+                    regex = new RegExp(valueToken.value, 'i');
+                } catch (error) {
+                    throw errorAt(`Invalid regular expression: ${error.message}`, valueToken);
+                }
+            }
+            return { type: 'compare', column, operator: '~', regex };
+        }
+
+        const value = prefix + valueToken.value;
+        const type = columnTypes[column];
+        if (['<', '<=', '>', '>='].includes(operator) && (NUMERIC_COLUMN_TYPES.includes(type) || type === 'date')) {
+            const parsed = type === 'date' ? parseDateValue(value) : parseNumericValue(value);
+            if (Number.isNaN(parsed)) {
+                throw errorAt(`"${value}" is not a ${type === 'date' ? 'date' : 'number'}`, valueToken);
+            }
+        }
+
+        return { type: 'compare', column, operator, value };
+    }
+
+    if (tokens.length === 0) {
+        return null;
+    }
+
+    const expression = parseOr();
+    if (position < tokens.length) {
+        throw errorAt(`Unexpected "${peek().value}"`, peek());
+    }
+    return expression;
+}
+
+/**
+ * Evaluate a parsed query against a row
+ *
+ * @param {Object} expression - The expression tree from parseQuery()
+ * @param {Array} values - The row's values in column order
+ * @returns {boolean} True if the row matches
+ */
+function evaluateQuery(expression, values) {
+    switch (expression.type) {
+        case 'and':
+            return evaluateQuery(expression.left, values) && evaluateQuery(expression.right, values);
+        case 'or':
+            return evaluateQuery(expression.left, values) || evaluateQuery(expression.right, values);
+        case 'not':
+            return !evaluateQuery(expression.expression, values);
+        case 'term':
+            return values.some(value => {
+                const text = value === null || value === undefined ? '' : String(value);
+                return expression.regex ? expression.regex.test(text) : text.toLowerCase().includes(expression.text);
+            });
+        case 'compare':
+            return compareQueryValue(values[expression.column], expression, columnTypes[expression.column]);
+        default:
+            return true;
+    }
+}
+
+/**
+ * Check a cell against a comparison from a query, e.g. Remaining < 5
+ * Numeric, currency and date columns compare typed values; other columns compare text.
+ *
+ * @param {*} cell - The cell value
+ * @param {Object} comparison - The comparison: { operator, value } or { operator: '~', regex }
+ * @param {string} type - The column type
+ * @returns {boolean} True if the cell matches
+ */
+function compareQueryValue(cell, comparison, type) {
+    const text = cell === null || cell === undefined ? '' : String(cell).trim();
+    const { operator, value } = comparison;
+
+    if (operator === '~') {
+        return comparison.regex.test(text);
+    }
+
+    // Column:"" matches empty cells
+    if (value === '' && (operator === ':' || operator === '=')) return text === '';
+    if (value === '' && operator === '!=') return text !== '';
+
+    if (operator === ':') {
+        return text.toLowerCase().includes(value.toLowerCase());
+    }
+
+    // Compare typed values when both sides have one, otherwise compare text
+    const parse = type === 'date' ? parseDateValue : parseNumericValue;
+    const typed = NUMERIC_COLUMN_TYPES.includes(type) || type === 'date';
+    const left = typed ? parse(text) : NaN;
+    const right = typed ? parse(value) : NaN;
+    let difference;
+    if (!Number.isNaN(left) && !Number.isNaN(right)) {
+        difference = left - right;
+    } else if (typed && ['<', '<=', '>', '>='].includes(operator)) {
+        return false; // Empty or invalid cells never pass a numeric comparison
+    } else {
+        difference = text.toLowerCase().localeCompare(value.toLowerCase(), undefined, { numeric: true });
+    }
+
+    switch (operator) {
+        case '=': return difference === 0;
+        case '!=': return difference !== 0;
+        case '<': return difference < 0;
+        case '<=': return difference <= 0;
+        case '>': return difference > 0;
+        case '>=': return difference >= 0;
+        default: return true;
+    }
+}
+
+/**
+ * DataTables search function that applies the parsed search query in client-side mode
+ * Registered once with $.fn.dataTable.ext.search, which calls it for every row on each draw.
+ *
+ * @param {Object} settings - The DataTables settings of the table being drawn
+ * @param {Array} searchData - The row's search strings (unused)
+ * @param {number} dataIndex - The row's index (unused)
+ * @param {Object} rowData - The row's data object
+ * @returns {boolean} True if the row matches the query
+ */
+function querySearch(settings, searchData, dataIndex, rowData) {
+    if (settings.nTable.id !== 'csvDataTable' || !activeSearchQuery) return true;
+    return evaluateQuery(activeSearchQuery, Object.values(rowData));
+}
+
+/**
+ * Apply the text in the search box to the table
+ * Plain text uses DataTables' own search. Anything using the query syntax is parsed,
+ * and parse errors are shown under the search box without changing the table.
+ * In fuzzy mode the text is searched as words instead (see applyFuzzySearch).
+ *
+ * @param {string} text - The search box text
+ * @param {boolean} [keepOrder=false] - Keep the sort order when a fuzzy search starts, instead of ranking by relevance
+ * @returns {boolean} True if the search was applied, false if the query is invalid
+ */
+function applySearchQuery(text, keepOrder = false) {
+    if (!dataTable) return false;
+
+    if (searchMode === 'fuzzy') {
+        showSearchError(null);
+        activeSearchQuery = null;
+        applyFuzzySearch(text, keepOrder);
+        dataTable.search(serverSideOptions ? text : '').draw();
+        return true;
+    }
+
+    // Leaving fuzzy mode puts the sort order back
+    const endedFuzzySearch = Boolean(fuzzySearchResult);
+    applyFuzzySearch('');
+
+    let expression = null;
+    try {
+        const tokens = tokenizeQuery(text);
+        if (isQuerySyntax(tokens)) {
+            // The server only understands plain text searches
+            if (serverSideOptions) {
+                throw new QueryError('Search queries are not available for datasets searched by the server. Use plain text or the column filters instead.', 0);
+            }
+            expression = parseQuery(text);
+        }
+    } catch (error) {
+        if (!(error instanceof QueryError)) throw error;
+        showSearchError(error, text);
+        if (endedFuzzySearch) dataTable.search('').draw();
+        return false;
+    }
+
+    showSearchError(null);
+    activeSearchQuery = expression;
+    dataTable.search(expression ? '' : text).draw();
+    return true;
+}
+
+/**
+ * Show a query error under the search box, or clear it
+ *
+ * @param {QueryError|null} error - The error to show, or null to clear it
+ * @param {string} [text] - The query text, used to point at the position of the error
+ */
+function showSearchError(error, text = '') {
+    const searchInput = document.getElementById('searchInput');
+    const errorElement = document.getElementById('searchError');
+    if (!searchInput || !errorElement) return;
+
+    searchInput.classList.toggle('is-invalid', Boolean(error));
+    errorElement.classList.toggle('d-none', !error);
+    if (error) {
+        const context = text.slice(error.position, error.position + 20);
+        errorElement.innerHTML = `${escapeHtml(error.message)}` +
+            (context ? ` <span class="text-muted">at <code>${escapeHtml(context)}</code></span>` : '');
+    }
+}
+
+/**
+ * Find the column name being typed at the cursor, if any
+ * Suggestions are only offered where a column name can go: not inside a value after an operator.
+ *
+ * @param {HTMLInputElement} input - The search input
+ * @returns {{start: number, end: number, text: string}|null} The partial name and its position
+ */
+function getPartialColumnName(input) {
+    const caret = input.selectionStart === null ? input.value.length : input.selectionStart;
+    const before = input.value.slice(0, caret);
+    const match = before.match(/(^|[\s(-])("?)([^\s"()<>=!:~-][^\s"()<>=!:~]*|"[^"]*)$/);
+    if (!match) return null;
+
+    const start = caret - match[0].length + match[1].length;
+    const text = match[0].slice(match[1].length).replace(/^"/, '');
+
+    // Skip values: the word before the partial name must not end with an operator
+    if (/[<>=:~]\s*$/.test(input.value.slice(0, start))) return null;
+    return { start, end: caret, text };
+}
+
+/**
+ * Show column names matching the word being typed in the search box
+ */
+function updateSearchSuggestions() {
+    const input = document.getElementById('searchInput');
+    const list = document.getElementById('searchSuggestions');
+    if (!input || !list) return;
+
+    // Fuzzy searches don't understand column names
+    if (searchMode === 'fuzzy') {
+        hideSearchSuggestions();
+        return;
+    }
+
+    const partial = getPartialColumnName(input);
+    const normalize = value => value.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const wanted = partial ? normalize(partial.text) : '';
+    const matches = wanted ?
+        currentHeaders.filter(header => normalize(header).startsWith(wanted) && normalize(header) !== wanted).slice(0, 8) :
+        [];
+
+    if (matches.length === 0) {
+        hideSearchSuggestions();
+        return;
+    }
+
+    list.innerHTML = matches.map((header, index) => `
+        <li><a href="#" class="dropdown-item${index === 0 ? ' active' : ''}" data-column-name="${escapeHtml(header)}">
+            ${escapeHtml(header)} <small class="text-muted ms-2">${COLUMN_TYPES[columnTypes[currentHeaders.indexOf(header)]] || ''}</small>
+        </a></li>
+    `).join('');
+    list.classList.add('show');
+}
+
+/**
+ * Hide the column name suggestions
+ */
+function hideSearchSuggestions() {
+    const list = document.getElementById('searchSuggestions');
+    if (list) {
+        list.classList.remove('show');
+        list.innerHTML = '';
+    }
+}
+
+/**
+ * Replace the partial column name at the cursor with a full column name
+ * Names with spaces or punctuation are quoted, e.g. "Sale Price":
+ *
+ * @param {string} header - The column header to insert
+ */
+function insertColumnName(header) {
+    const input = document.getElementById('searchInput');
+    const partial = getPartialColumnName(input);
+    if (!partial) return;
+
+    const name = /^[A-Za-z0-9_]+$/.test(header) ? header : `"${header.replace(/"/g, '\\"')}"`;
+    input.value = input.value.slice(0, partial.start) + name + ':' + input.value.slice(partial.end);
+
+    const caret = partial.start + name.length + 1;
+    input.setSelectionRange(caret, caret);
+    input.focus();
+    hideSearchSuggestions();
+    applySearchQuery(input.value);
+}
+
+/**
+ * Handle arrow keys, Enter, Tab and Escape while suggestions are shown
+ *
+ * @param {KeyboardEvent} event - The keydown event
+ */
+function handleSearchKeydown(event) {
+    const list = document.getElementById('searchSuggestions');
+    if (!list || !list.classList.contains('show')) return;
+
+    const items = Array.from(list.querySelectorAll('.dropdown-item'));
+    const current = items.findIndex(item => item.classList.contains('active'));
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        event.preventDefault();
+        const nextIndex = (current + (event.key === 'ArrowDown' ? 1 : -1) + items.length) % items.length;
+        items.forEach((item, index) => item.classList.toggle('active', index === nextIndex));
+    } else if ((event.key === 'Enter' || event.key === 'Tab') && current !== -1) {
+        event.preventDefault();
+        insertColumnName(items[current].getAttribute('data-column-name'));
+    } else if (event.key === 'Escape') {
+        hideSearchSuggestions();
+    }
+}
+
+/**
+ * Insert a suggestion when it is clicked
+ * Uses mousedown so it runs before the search box loses focus
+ *
+ * @param {MouseEvent} event - The mousedown event
+ */
+function handleSuggestionClick(event) {
+    const item = event.target.closest('[data-column-name]');
+    if (item) {
+        event.preventDefault();
+        insertColumnName(item.getAttribute('data-column-name'));
+    }
+}
+
+//=============================================================================
+// FUZZY SEARCH FUNCTIONS
+//=============================================================================
+
+/**
+ * Switch the search box between exact and fuzzy searching
+ *
+ * @param {string} mode - 'exact' or 'fuzzy'
+ * @param {boolean} [apply=true] - Search the table again with the new mode
+ */
+function setSearchMode(mode, apply = true) {
+    searchMode = mode === 'fuzzy' ? 'fuzzy' : 'exact';
+    const toggle = document.getElementById(searchMode === 'fuzzy' ? 'searchModeFuzzy' : 'searchModeExact');
+    if (toggle) toggle.checked = true;
+
+    const searchInput = document.getElementById('searchInput');
+    if (!searchInput) return;
+    searchInput.placeholder = searchMode === 'fuzzy' ? 'Search words, typos allowed...' : 'Search anything...';
+    if (apply) {
+        hideSearchSuggestions();
+        applySearchQuery(searchInput.value);
+    }
+}
+
+/**
+ * Start, change or end the fuzzy search, without drawing the table
+ * While a fuzzy search lasts the rows are ranked by relevance, until a column is sorted.
+ *
+ * @param {string} text - The search box text; text without words ends the search
+ * @param {boolean} [keepOrder=false] - Keep the sort order when the search starts
+ */
+function applyFuzzySearch(text, keepOrder = false) {
+    const wasActive = Boolean(fuzzySearchResult);
+    fuzzySearchResult = tokenizeSearchText(text).length > 0 ? computeFuzzySearch(text) : null;
+
+    if (fuzzySearchResult && !wasActive) {
+        orderBeforeFuzzySearch = keepOrder ? null : dataTable.order();
+        if (!keepOrder) dataTable.order([]);
+    } else if (!fuzzySearchResult && wasActive) {
+        if (orderBeforeFuzzySearch && dataTable.order().length === 0) {
+            dataTable.order(orderBeforeFuzzySearch);
+        }
+        orderBeforeFuzzySearch = null;
+    }
+}
+
+/**
+ * Search the table's rows for the words of a fuzzy search
+ * The word index is built the first time; later searches only look up their words in it.
+ *
+ * @param {string} text - The search text
+ * @returns {{ranks: (Map<Object, number>|null), words: Set<string>}} The search result (see fuzzySearchResult)
+ */
+function computeFuzzySearch(text) {
+    // The server searches its own index and sends the words to highlight with each page
+    if (serverSideOptions) {
+        return { ranks: null, words: new Set() };
+    }
+
+    if (!fuzzyIndex) {
+        fuzzyIndex = {
+            rows: csvData.slice(),
+            index: buildSearchIndex(csvData.map(row => currentHeaders.map(header => row[header])))
+        };
+    }
+    const result = searchIndex(fuzzyIndex.index, text);
+    return {
+        ranks: new Map(result.matches.map((match, rank) => [fuzzyIndex.rows[match.row], rank])),
+        words: new Set(result.words)
+    };
+}
+
+/**
+ * Drop the word index after the rows have changed, and run the current fuzzy search again
+ * so edited rows are matched by their new values
+ */
+function refreshFuzzySearch() {
+    fuzzyIndex = null;
+    if (fuzzySearchResult && !serverSideOptions) {
+        fuzzySearchResult = computeFuzzySearch(document.getElementById('searchInput').value);
+    }
+}
+
+/**
+ * DataTables search function that keeps the rows matching the fuzzy search in client-side mode
+ * Registered once with $.fn.dataTable.ext.search, which calls it for every row on each draw.
+ *
+ * @param {Object} settings - The DataTables settings of the table being drawn
+ * @param {Array} searchData - The row's search strings (unused)
+ * @param {number} dataIndex - The row's index (unused)
+ * @param {Object} rowData - The row's data object
+ * @returns {boolean} True if the row matches the fuzzy search
+ */
+function fuzzySearchFilter(settings, searchData, dataIndex, rowData) {
+    if (settings.nTable.id !== 'csvDataTable' || !fuzzySearchResult || !fuzzySearchResult.ranks) return true;
+    return fuzzySearchResult.ranks.has(rowData);
+}
+
+/**
+ * Put the matching rows in order of relevance before the table is drawn
+ * Only while a fuzzy search lasts and no column is sorted. DataTables has no API
+ * for a custom display order, so this sorts its list of displayed rows in place.
+ *
+ * @param {Event} event - The preDraw event
+ * @param {Object} settings - The DataTables settings of the table being drawn
+ */
+function rankFuzzyMatches(event, settings) {
+    if (!fuzzySearchResult || !fuzzySearchResult.ranks || dataTable.order().length > 0) return;
+
+    const ranks = fuzzySearchResult.ranks;
+    const ranked = settings.aiDisplay
+        .map(index => ({ index, rank: ranks.get(dataTable.row(index).data()) }))
+        .sort((a, b) => a.rank - b.rank);
+    ranked.forEach((entry, position) => {
+        settings.aiDisplay[position] = entry.index;
+    });
+}
+
+/**
+ * Highlight the words matched by the fuzzy search in a row's cells
+ * Cells are rendered again without highlights once the search ends.
+ *
+ * @param {HTMLElement} rowNode - The row's tr element
+ * @param {Object} rowData - The row's data object (unused)
+ */
+function markSearchMatches(rowNode, rowData) {
+    const words = fuzzySearchResult ? fuzzySearchResult.words : null;
+    this.api().cells(rowNode, '*').every(function() {
+        const node = this.node();
+        if (words && words.size > 0) {
+            // Highlight the raw value; the rendered one is already escaped
+            node.innerHTML = highlightSearchWords(this.data(), words);
+        } else if (node.querySelector('mark.search-match')) {
+            node.innerHTML = this.render('display');
+        }
+    });
+}
+
+/**
+ * Wrap the words of a cell value that are in a set of words in <mark> elements
+ *
+ * @param {*} value - The cell value
+ * @param {Set<string>} words - The lowercase words to highlight
+ * @returns {string} The escaped cell HTML, with no marks if none of its words are in the set
+ */
+function highlightSearchWords(value, words) {
+    const text = value === null || value === undefined ? '' : String(value);
+    let html = '';
+    let last = 0;
+    for (const match of text.matchAll(SEARCH_WORD_PATTERN)) {
+        if (!words.has(match[0].toLowerCase())) continue;
+        html += `${escapeHtml(text.slice(last, match.index))}<mark class="search-match">${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    return html + escapeHtml(text.slice(last));
+}
+
+//=============================================================================
+// URL STATE FUNCTIONS
+//=============================================================================
+
+/**
+ * Get the current view of the table as a plain object
+ * Columns are referred to by header name so links keep working if columns are added.
+ *
+ * @returns {Object} The view state: dataset, search, search mode, filters, order, page, length and hidden columns
+ */
+function getViewState() {
+    const searchInput = document.getElementById('searchInput');
+    return {
+        dataset: currentDataset && currentDataset.id ? currentDataset.id : null,
+        search: searchInput ? searchInput.value : '',
+        fuzzy: searchMode === 'fuzzy',
+        filters: columnFilters,
+        order: dataTable.order()
+            .map(([column, direction]) => [currentHeaders[toHeaderIndex(column)], direction])
+            .filter(([header]) => header !== undefined),
+        page: virtualScrolling ? 1 : dataTable.page() + 1,
+        length: virtualScrolling ? classicPageLength : dataTable.page.len(),
+        hidden: currentHeaders.filter((header, index) => !dataTable.column(toTableColumn(index)).visible())
+    };
+}
+
+/**
+ * Encode a view state as a URL hash (without the leading #)
+ * e.g. dataset=inventory&q=Remaining%3D0&sort=Sale+Price%3Adesc&page=2&len=50
+ *
+ * @param {Object} state - The view state from getViewState()
+ * @returns {string} The hash
+ */
+function buildUrlHash(state) {
+    const params = new URLSearchParams();
+    if (state.dataset) params.set('dataset', state.dataset);
+    if (state.search) params.set('q', state.search);
+    if (state.fuzzy) params.set('fuzzy', '1');
+    if (Object.keys(state.filters).length > 0) params.set('filters', JSON.stringify(state.filters));
+    state.order.forEach(([header, direction]) => params.append('sort', `${header}:${direction}`));
+    if (state.page > 1) params.set('page', state.page);
+    params.set('len', state.length);
+    state.hidden.forEach(header => params.append('hide', header));
+    return params.toString();
+}
+
+/**
+ * Read the view state from the URL hash
+ * Invalid parts are ignored rather than reported, since links are often edited by hand
+ *
+ * @returns {Object|null} The view state, or null if the URL has no hash
+ */
+function readUrlState() {
+    const hash = window.location.hash.replace(/^#/, '');
+    if (!hash) return null;
+
+    const params = new URLSearchParams(hash);
+    let filters = {};
+    try {
+        filters = JSON.parse(params.get('filters') || '{}') || {};
+    } catch (error) {
+        console.error('Ignoring invalid filters in URL:', error);
+    }
+
+    const page = parseInt(params.get('page'), 10);
+    const length = parseInt(params.get('len'), 10);
+    return {
+        dataset: params.get('dataset'),
+        search: params.get('q') || '',
+        fuzzy: params.get('fuzzy') === '1',
+        filters: typeof filters === 'object' && !Array.isArray(filters) ? filters : {},
+        order: params.getAll('sort').map(value => {
+            // The header itself may contain colons, so split on the last one
+            const separator = value.lastIndexOf(':');
+            const direction = value.slice(separator + 1);
+            return separator === -1 ? [value, 'asc'] : [value.slice(0, separator), direction === 'desc' ? 'desc' : 'asc'];
+        }),
+        page: page > 0 ? page : 1,
+        length: length > 0 || length === -1 ? length : null,
+        hidden: params.getAll('hide')
+    };
+}
+
+/**
+ * Write the current view to the URL hash
+ * Changes get their own history entry so the back button steps through them, except
+ * while typing in the search box, where the entry is replaced to avoid one per keystroke.
+ *
+ * @param {boolean} [replace=false] - Replace the current history entry instead of adding one
+ */
+function updateUrlState(replace = false) {
+    // A comparison isn't a view of the dataset, so it doesn't change the URL
+    if (!dataTable || restoringViewState || compareState) return;
+
+    const state = getViewState();
+    const hash = buildUrlHash(state);
+    if (hash === window.location.hash.replace(/^#/, '')) {
+        lastUrlState = state;
+        return;
+    }
+
+    // Typing a search also resets the page, so ignore the page when comparing
+    const searchOnly = lastUrlState && state.search !== lastUrlState.search &&
+        buildUrlHash({ ...state, search: '', page: 1 }) === buildUrlHash({ ...lastUrlState, search: '', page: 1 });
+
+    if (replace || searchOnly) {
+        history.replaceState(null, '', `#${hash}`);
+    } else {
+        history.pushState(null, '', `#${hash}`);
+    }
+    lastUrlState = state;
+}
+
+/**
+ * Apply a view state to the current table
+ * Used for the URL hash, saved preferences and saved views. Anything the state
+ * doesn't mention is reset, so going back undoes a change.
+ *
+ * @param {Object} state - The view state from readUrlState() or normalizeViewState()
+ * @param {boolean} [replace=true] - Replace the current history entry instead of adding one
+ */
+function applyViewState(state, replace = true) {
+    if (!dataTable) return;
+
+    restoringViewState = true;
+    const finish = () => {
+        restoringViewState = false;
+        updateUrlState(replace);
+        savePreferences();
+    };
+
+    try {
+        if (state.length) {
+            classicPageLength = state.length;
+            if (!virtualScrolling) dataTable.page.len(state.length);
+        }
+
+        currentHeaders.forEach((header, index) => {
+            dataTable.column(toTableColumn(index)).visible(!state.hidden.includes(header), false);
+        });
+        dataTable.columns.adjust();
+
+        const order = state.order
+            .filter(([header]) => currentHeaders.includes(header))
+            .map(([header, direction]) => [toTableColumn(currentHeaders.indexOf(header)), direction]);
+        if (order.length > 0) {
+            dataTable.order(order);
+        }
+
+        columnFilters = {};
+        Object.keys(state.filters).forEach(header => {
+            if (currentHeaders.includes(header) && isFilterActive(state.filters[header])) {
+                columnFilters[header] = state.filters[header];
+            }
+        });
+        syncFilterControls();
+        renderFilterChips();
+
+        // Applying the search draws the table with everything above
+        // A sort order saved with a fuzzy search replaces the ranking by relevance
+        const searchInput = document.getElementById('searchInput');
+        if (searchInput) searchInput.value = state.search;
+        setSearchMode(state.fuzzy ? 'fuzzy' : 'exact', false);
+        if (!applySearchQuery(state.search, order.length > 0)) {
+            dataTable.draw();
+        }
+    } catch (error) {
+        console.error('Error applying view from URL:', error);
+        finish();
+        return;
+    }
+
+    if (!(state.page > 1) || virtualScrolling) {
+        finish();
+    } else if (serverSideOptions) {
+        // In server-side mode the page count is only known once the first page has arrived
+        dataTable.one('draw', () => {
+            dataTable.one('draw', finish);
+            dataTable.page(state.page - 1).draw('page');
+        });
+    } else {
+        dataTable.page(state.page - 1).draw('page');
+        finish();
+    }
+}
+
+/**
+ * Restore the view when the URL hash changes through the back/forward buttons or by hand
+ * Loads a different dataset first if the hash names one.
+ */
+function handleUrlStateChange() {
+    const state = readUrlState();
+    if (!state || !dataTable || buildUrlHash(getViewState()) === window.location.hash.replace(/^#/, '')) return;
+
+    if (state.dataset && (!currentDataset || state.dataset !== currentDataset.id)) {
+        pendingUrlState = state;
+        loadDataset(state.dataset);
+        return;
+    }
+
+    applyViewState(state);
+}
+
+//=============================================================================
+// SAVED VIEW FUNCTIONS
+//=============================================================================
+
+/**
+ * Get the signature of a set of column headers
+ * Views and preferences are stored per signature. Column order and case are ignored,
+ * since views refer to columns by name.
+ *
+ * @param {Array<string>} headers - The column headers
+ * @returns {string} The signature
+ */
+function getHeaderSignature(headers) {
+    return JSON.stringify(headers.map(header => String(header).trim().toLowerCase()).sort());
+}
+
+/**
+ * Read all saved views and preferences from localStorage
+ *
+ * @returns {Object<string, Object>} Settings keyed by header signature
+ */
+function readViewStore() {
+    try {
+        const store = JSON.parse(localStorage.getItem(VIEWS_STORAGE_KEY));
+        return store && typeof store === 'object' ? store : {};
+    } catch (error) {
+        console.error('Error reading saved views:', error);
+        return {};
+    }
+}
+
+/**
+ * Get the saved views and preferences for a set of columns
+ *
+ * @param {Array<string>} [headers=currentHeaders] - The column headers
+ * @returns {{headers: Array<string>, views: Array<Object>, lastView: (Object|undefined), columnTypes: (Object|undefined), columnLayout: (Object|undefined)}}
+ *     The settings, with an empty list of views if nothing has been saved yet
+ */
+function getViewSettings(headers = currentHeaders) {
+    const settings = readViewStore()[getHeaderSignature(headers)] || {};
+    return { ...settings, headers: headers.slice(), views: Array.isArray(settings.views) ? settings.views : [] };
+}
+
+/**
+ * Change the saved views and preferences for a set of columns
+ *
+ * @param {function(Object): void} update - Called with the settings to change in place
+ * @param {Array<string>} [headers=currentHeaders] - The column headers
+ */
+function updateViewSettings(update, headers = currentHeaders) {
+    const store = readViewStore();
+    const signature = getHeaderSignature(headers);
+    const settings = getViewSettings(headers);
+    update(settings);
+    store[signature] = settings;
+
+    try {
+        localStorage.setItem(VIEWS_STORAGE_KEY, JSON.stringify(store));
+    } catch (error) {
+        // Usually the storage quota; the table keeps working without saved settings
+        console.error('Error saving views:', error);
+    }
+}
+
+/**
+ * Get the part of the current view that is saved in a named view
+ * The dataset and page are left out: views apply to any dataset with the same columns.
+ *
+ * @returns {{search: string, fuzzy: boolean, filters: Object, order: Array, length: number, hidden: Array<string>}} The view state
+ */
+function getSavedViewState() {
+    const { search, fuzzy, filters, order, length, hidden } = getViewState();
+    return { search, fuzzy, filters: { ...filters }, order, length, hidden };
+}
+
+/**
+ * Clean up a view state read from storage or an imported file
+ * Anything that doesn't have the expected shape is dropped.
+ *
+ * @param {Object} state - The view state
+ * @returns {Object} A view state that applyViewState() can use
+ */
+function normalizeViewState(state) {
+    const source = state && typeof state === 'object' ? state : {};
+    return {
+        search: typeof source.search === 'string' ? source.search : '',
+        fuzzy: source.fuzzy === true,
+        filters: source.filters && typeof source.filters === 'object' && !Array.isArray(source.filters) ? source.filters : {},
+        order: Array.isArray(source.order) ?
+            source.order
+                .filter(entry => Array.isArray(entry) && typeof entry[0] === 'string')
+                .map(([header, direction]) => [header, direction === 'desc' ? 'desc' : 'asc']) :
+            [],
+        length: Number.isInteger(source.length) && (source.length > 0 || source.length === -1) ? source.length : null,
+        hidden: Array.isArray(source.hidden) ? source.hidden.filter(header => typeof header === 'string') : []
+    };
+}
+
+/**
+ * Move the preferences kept before views to the last view of the current columns
+ * They refer to columns by position in whatever file was open then, so they are only
+ * moved to a table with as many columns; until one is loaded they are left in place.
+ *
+ * @returns {Object|null} The last view, or null if there are no old preferences that fit
+ */
+function migrateLegacyPreferences() {
+    let preferences;
+    try {
+        preferences = JSON.parse(localStorage.getItem(LEGACY_PREFERENCES_STORAGE_KEY));
+    } catch (error) {
+        return null;
+    }
+    if (!preferences || !Array.isArray(preferences.visibleColumns) ||
+        preferences.visibleColumns.length !== currentHeaders.length) {
+        return null;
+    }
+
+    const sortOrder = Array.isArray(preferences.sortOrder) ? preferences.sortOrder : [];
+    const lastView = normalizeViewState({
+        order: sortOrder
+            .filter(entry => Array.isArray(entry) && Number.isInteger(entry[0]) && entry[0] >= 0 && entry[0] < currentHeaders.length)
+            .map(([index, direction]) => [currentHeaders[index], direction]),
+        length: preferences.pageLength,
+        hidden: currentHeaders.filter((header, index) => preferences.visibleColumns[index] === false)
+    });
+    updateViewSettings(settings => {
+        settings.lastView = lastView;
+    });
+    localStorage.removeItem(LEGACY_PREFERENCES_STORAGE_KEY);
+    return lastView;
+}
+
+/**
+ * Show the name of the active view in the navigation bar
+ */
+function updateViewsPickerLabel() {
+    const label = document.getElementById('viewsPickerLabel');
+    if (!label) return;
+
+    const active = activeView && activeView.signature === getHeaderSignature(currentHeaders) ? activeView.name : null;
+    label.textContent = active || 'Views';
+}
+
+/**
+ * Rebuild the views menu with the views saved for the current columns
+ */
+function refreshViewsMenu() {
+    const menu = document.getElementById('viewsMenu');
+    if (!menu) return;
+
+    if (!dataTable) {
+        menu.innerHTML = '<li><span class="dropdown-item-text text-muted">Load a dataset to use views.</span></li>';
+        return;
+    }
+
+    // One row per view: the name applies it, the buttons update it with the current view,
+    // rename it or delete it
+    const { views } = getViewSettings();
+    const items = views.map(view => `
+        <li>
+            <div class="dropdown-item d-flex align-items-center justify-content-between views-menu-item${activeView && activeView.name === view.name ? ' active' : ''}">
+                <a href="#" class="flex-grow-1 text-reset text-decoration-none" data-action="apply" data-view="${escapeHtml(view.name)}">
+                    ${escapeHtml(view.name)}
+                    ${view.savedAt ? `<small class="d-block text-muted">Saved ${new Date(view.savedAt).toLocaleString()}</small>` : ''}
+                </a>
+                <button type="button" class="btn btn-sm btn-link" data-action="update" data-view="${escapeHtml(view.name)}" title="Update with the current view">
+                    <i class="fas fa-save"></i>
+                </button>
+                <button type="button" class="btn btn-sm btn-link" data-action="rename" data-view="${escapeHtml(view.name)}" title="Rename view">
+                    <i class="fas fa-pen"></i>
+                </button>
+                <button type="button" class="btn btn-sm btn-link text-danger" data-action="delete" data-view="${escapeHtml(view.name)}" title="Delete view">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        </li>
+    `).join('');
+
+    menu.innerHTML = `
+        ${items || '<li><span class="dropdown-item-text text-muted">No saved views for these columns yet.</span></li>'}
+        <li><hr class="dropdown-divider"></li>
+        <li><a href="#" class="dropdown-item" data-action="create"><i class="fas fa-plus me-2"></i>Save current view...</a></li>
+        <li><a href="#" class="dropdown-item${views.length === 0 ? ' disabled' : ''}" data-action="export"><i class="fas fa-file-export me-2"></i>Export views</a></li>
+        <li><a href="#" class="dropdown-item" data-action="import"><i class="fas fa-file-import me-2"></i>Import views...</a></li>
+    `;
+}
+
+/**
+ * Ask for a view name that isn't used by another view yet
+ *
+ * @param {string} message - The prompt message
+ * @param {string} [initial=''] - The initial name
+ * @param {string} [current=null] - The name of the view being renamed, which may be kept
+ * @returns {string|null} The name, or null if the user cancelled
+ */
+function promptViewName(message, initial = '', current = null) {
+    const names = getViewSettings().views.map(view => view.name);
+    let name = initial;
+
+    while (true) {
+        name = prompt(message, name);
+        if (name === null) return null;
+        name = name.trim();
+
+        if (!name) {
+            message = 'Please enter a name for the view:';
+        } else if (name !== current && names.includes(name)) {
+            if (current === null && confirm(`Replace the existing view "${name}"?`)) return name;
+            message = `A view named "${name}" already exists. Please choose another name:`;
+        } else {
+            return name;
+        }
+    }
+}
+
+/**
+ * Handle clicks in the views menu
+ * Applies, creates, updates, renames, deletes, exports or imports views
+ *
+ * @param {Event} event - The click event
+ */
+function handleViewsMenuClick(event) {
+    const target = event.target.closest('[data-action]');
+    if (!target || !dataTable) return;
+
+    event.preventDefault();
+    const name = target.getAttribute('data-view');
+    const action = target.getAttribute('data-action');
+    const signature = getHeaderSignature(currentHeaders);
+    const view = getViewSettings().views.find(saved => saved.name === name);
+
+    if (action === 'apply' && view) {
+        activeView = { signature, name };
+        applyViewState(normalizeViewState(view.state), false);
+        updateViewsPickerLabel();
+    } else if (action === 'create') {
+        const newName = promptViewName('Name for the current view:', activeView ? activeView.name : '');
+        if (newName === null) return;
+
+        updateViewSettings(settings => {
+            settings.views = settings.views.filter(saved => saved.name !== newName);
+            settings.views.push({ name: newName, state: getSavedViewState(), savedAt: new Date().toISOString() });
+        });
+        activeView = { signature, name: newName };
+        updateViewsPickerLabel();
+    } else if (action === 'export') {
+        exportViews();
+    } else if (action === 'import') {
+        document.getElementById('viewsImportInput').click();
+    } else if (view) {
+        // Keep the menu open while a view is updated, renamed or deleted
+        event.stopPropagation();
+
+        if (action === 'update') {
+            updateViewSettings(settings => {
+                const saved = settings.views.find(entry => entry.name === name);
+                saved.state = getSavedViewState();
+                saved.savedAt = new Date().toISOString();
+            });
+        } else if (action === 'rename') {
+            const newName = promptViewName('New name for the view:', name, name);
+            if (newName === null || newName === name) return;
+
+            updateViewSettings(settings => {
+                settings.views.find(entry => entry.name === name).name = newName;
+            });
+            if (activeView && activeView.name === name) activeView.name = newName;
+        } else if (action === 'delete') {
+            if (!confirm(`Delete the view "${name}"?`)) return;
+
+            updateViewSettings(settings => {
+                settings.views = settings.views.filter(entry => entry.name !== name);
+            });
+            if (activeView && activeView.name === name) activeView = null;
+        }
+
+        updateViewsPickerLabel();
+        refreshViewsMenu();
+    }
+}
+
+/**
+ * Download the views saved for the current columns as a JSON file
+ * The file includes the column headers so it can be imported for the same columns elsewhere.
+ */
+function exportViews() {
+    const { headers, views } = getViewSettings();
+    const file = {
+        type: 'csv-webapp-views',
+        version: 1,
+        headers: headers,
+        views: views.map(view => ({ name: view.name, state: view.state, savedAt: view.savedAt }))
+    };
+
+    const baseName = currentDataset ? currentDataset.name.replace(/\.[^.]+$/, '') : 'dataset';
+    downloadFile(JSON.stringify(file, null, 2), `${baseName}-views.json`, 'application/json');
+}
+
+/**
+ * Import views from a JSON file created by exportViews()
+ * Views are stored for the columns in the file. Views with the same name are replaced.
+ */
+async function importViews() {
+    const input = document.getElementById('viewsImportInput');
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+
+    try {
+        const data = JSON.parse(await file.text());
+        if (!data || data.type !== 'csv-webapp-views' || !Array.isArray(data.headers) || !Array.isArray(data.views)) {
+            throw new Error('This is not a views file exported from this application.');
+        }
+
+        const imported = data.views
+            .filter(view => view && typeof view.name === 'string' && view.name.trim())
+            .map(view => ({
+                name: view.name.trim(),
+                state: normalizeViewState(view.state),
+                savedAt: typeof view.savedAt === 'string' ? view.savedAt : new Date().toISOString()
+            }));
+        const importedNames = imported.map(view => view.name);
+
+        updateViewSettings(settings => {
+            settings.views = settings.views.filter(view => !importedNames.includes(view.name)).concat(imported);
+        }, data.headers.map(String));
+
+        if (getHeaderSignature(data.headers.map(String)) !== getHeaderSignature(currentHeaders)) {
+            showError(`Imported ${imported.length} view(s) for different columns (${escapeHtml(data.headers.join(', '))}). They will be listed when a dataset with those columns is loaded.`);
+        }
+    } catch (error) {
+        showError(`Import failed: ${escapeHtml(error.message)}`);
+    }
+}
+
+//=============================================================================
+// CELL EDITING FUNCTIONS
+//=============================================================================
+
+/**
+ * Create an empty record of cell edits, for a newly loaded dataset
+ *
+ * @returns {{changes: Map<Object, Map<string, string>>, removed: Map<Object, number>, undo: Array<Array<Object>>, redo: Array<Array<Object>>}}
+ *     The edit state
+ */
+function createEditState() {
+    return { changes: new Map(), removed: new Map(), undo: [], redo: [] };
+}
+
+/**
+ * Start editing the cell that was double-clicked
+ * Editing works on the rows held in the browser, so it is off in server-side mode.
+ * It is off in compare mode too, where the rows are the comparison rather than the dataset.
+ *
+ * @param {MouseEvent} event - The double-click event
+ */
+function handleCellDoubleClick(event) {
+    const td = event.target.closest('#csvDataTable tbody td');
+    if (!td || !dataTable || serverSideOptions || compareState || td.querySelector('.cell-editor')) return;
+
+    const cell = dataTable.cell(td);
+    if (!cell.any()) return;
+    finishCellEdit(false);
+    startCellEdit(td, cell.index());
+}
+
+/**
+ * Replace a cell's content with an input for editing its value
+ * Enter or leaving the input saves the value, Escape cancels.
+ *
+ * @param {HTMLElement} td - The table cell
+ * @param {{row: number, column: number}} index - The cell's DataTables index
+ */
+function startCellEdit(td, index) {
+    const row = dataTable.row(index.row).data();
+    const column = toHeaderIndex(index.column);
+    const header = currentHeaders[column];
+    const value = row[header] === null || row[header] === undefined ? '' : String(row[header]);
+
+    td.innerHTML = `
+        <input type="text" class="form-control form-control-sm cell-editor" aria-label="Edit ${escapeHtml(header)}">
+        <div class="invalid-feedback"></div>
+    `;
+    const input = td.querySelector('.cell-editor');
+    input.value = value;
+    activeCellEditor = { td, input, row, header, type: columnTypes[column], value };
+
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            finishCellEdit(true);
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            finishCellEdit(false);
+        }
+    });
+    input.addEventListener('blur', () => finishCellEdit(true));
+    input.focus();
+    input.select();
+}
+
+/**
+ * Close the cell editor, if one is open
+ * An invalid value keeps the editor open when saving from the keyboard; leaving the
+ * input with an invalid value cancels the edit.
+ *
+ * @param {boolean} save - Whether to save the value in the editor
+ */
+function finishCellEdit(save) {
+    if (!activeCellEditor) return;
+    const { td, input, row, header, type, value } = activeCellEditor;
+    const newValue = input.value.trim();
+
+    if (save && newValue !== value) {
+        const error = validateCellValue(newValue, type);
+        if (error) {
+            input.classList.add('is-invalid');
+            td.querySelector('.invalid-feedback').textContent = error;
+            // Leaving the input cancels the edit instead of keeping an invalid value
+            if (document.activeElement === input) return;
+        } else {
+            activeCellEditor = null;
+            recordCellEdits([{ row, header, oldValue: value, newValue }]);
+            return;
+        }
+    }
+
+    // Put the cell back the way it was
+    activeCellEditor = null;
+    const cell = dataTable.cell(td);
+    if (cell.any()) cell.invalidate();
+}
+
+/**
+ * Check a new cell value against the type of its column
+ * Empty values are allowed in every column.
+ *
+ * @param {string} value - The new value
+ * @param {string} type - The column type (see COLUMN_TYPES)
+ * @returns {string} A message describing what is wrong, or an empty string if the value is valid
+ */
+function validateCellValue(value, type) {
+    if (value === '') return '';
+
+    switch (type) {
+        case 'identifier':
+            return /^\S+$/.test(value) ? '' : 'Enter a code without spaces.';
+        case 'integer':
+            return INTEGER_PATTERN.test(value) ? '' : 'Enter a whole number.';
+        case 'decimal':
+            return /[$\u20AC\u00A3\u00A5]/.test(value) || Number.isNaN(parseNumericValue(value)) ? 'Enter a number.' : '';
+        case 'currency':
+            return Number.isNaN(parseNumericValue(value)) ? 'Enter an amount, e.g. $12.50.' : '';
+        case 'date':
+            return Number.isNaN(parseDateValue(value)) ? 'Enter a date, e.g. 2024-03-31.' : '';
+        case 'boolean':
+            return /^(true|false|yes|no)$/i.test(value) ? '' : 'Enter true, false, yes or no.';
+        default:
+            return '';
+    }
+}
+
+/**
+ * Make a step of cell edits that can be undone
+ * A new step clears the redo list.
+ *
+ * @param {Array<Object>} edits - The cells to change and rows to remove (see applyCellEdits)
+ */
+function recordCellEdits(edits) {
+    editState.undo.push(edits);
+    editState.redo = [];
+    applyCellEdits(edits, false);
+}
+
+/**
+ * Undo the last step of cell edits
+ */
+function undoCellEdit() {
+    const edits = editState.undo.pop();
+    if (!edits) return;
+    editState.redo.push(edits);
+    applyCellEdits(edits, true);
+}
+
+/**
+ * Redo the last step of cell edits that was undone
+ */
+function redoCellEdit() {
+    const edits = editState.redo.pop();
+    if (!edits) return;
+    editState.undo.push(edits);
+    applyCellEdits(edits, false);
+}
+
+/**
+ * Write a step of cell edits to the rows and redraw the table
+ *
+ * @param {Array<Object>} edits - The cells to change, { row, header, oldValue, newValue },
+ *     and the rows to remove or put back, { row, oldRemoved, newRemoved }
+ * @param {boolean} reverse - True to put the old values back (undo)
+ */
+function applyCellEdits(edits, reverse) {
+    const removedRows = new Set();
+
+    // Undo works backwards, so a cell edited twice in one step ends up with its first old value
+    // and removed rows go back to the positions they were removed from
+    const ordered = reverse ? edits.slice().reverse() : edits;
+    ordered.forEach(edit => {
+        if ('newRemoved' in edit) {
+            if (applyRowRemoval(edit.row, reverse ? edit.oldRemoved : edit.newRemoved)) {
+                removedRows.add(edit.row);
+            }
+            return;
+        }
+
+        const value = reverse ? edit.oldValue : edit.newValue;
+        setRowValue(edit.row, edit.header, value);
+
+        // Keep the original value of each changed cell; a cell set back to it is no longer changed
+        let originals = editState.changes.get(edit.row);
+        if (!originals) {
+            originals = new Map();
+            editState.changes.set(edit.row, originals);
+        }
+        if (!originals.has(edit.header)) {
+            originals.set(edit.header, reverse ? edit.newValue : edit.oldValue);
+        }
+        if (originals.get(edit.header) === value) {
+            originals.delete(edit.header);
+            if (originals.size === 0) editState.changes.delete(edit.row);
+        }
+    });
+
+    // DataTables caches the values it sorts and searches on, so tell it which rows changed
+    if (dataTable && !serverSideOptions) {
+        refreshFuzzySearch();
+        scanIndex = null;
+        const rows = new Set(edits.map(edit => edit.row));
+        dataTable.rows((index, data) => rows.has(data) && !removedRows.has(data)).invalidate('data');
+        dataTable.rows((index, data) => removedRows.has(data)).remove();
+        dataTable.draw(false);
+    }
+    renderChangesPanel();
+}
+
+/**
+ * Remove a row from the dataset, or put a removed row back where it was
+ *
+ * @param {Object} row - The row
+ * @param {boolean} remove - True to remove the row, false to put it back
+ * @returns {boolean} True if the row was removed, so it has to be taken out of the table too
+ */
+function applyRowRemoval(row, remove) {
+    if (remove) {
+        const position = csvData.indexOf(row);
+        if (position === -1) return false;
+        csvData.splice(position, 1);
+        editState.removed.set(row, position);
+        return true;
+    }
+
+    if (!editState.removed.has(row)) return false;
+    csvData.splice(Math.min(editState.removed.get(row), csvData.length), 0, row);
+    editState.removed.delete(row);
+    if (dataTable && !serverSideOptions) {
+        dataTable.row.add(row);
+    }
+    return false;
+}
+
+/**
+ * Set a value in a row object
+ * Rows with fewer fields than the header row are filled up first,
+ * so the new value doesn't end up in the wrong column.
+ *
+ * @param {Object} row - The row
+ * @param {string} header - The column header
+ * @param {string} value - The new value
+ */
+function setRowValue(row, header, value) {
+    if (!(header in row)) {
+        currentHeaders.forEach(other => {
+            if (!(other in row)) row[other] = '';
+        });
+    }
+    row[header] = value;
+}
+
+/**
+ * Mark the edited cells of a row as the table draws it
+ * Used as the DataTables rowCallback.
+ *
+ * @param {HTMLElement} rowNode - The table row
+ * @param {Object} rowData - The row's data
+ */
+function markEditedCells(rowNode, rowData) {
+    const originals = editState.changes.get(rowData);
+    const api = this.api();
+    api.cells(rowNode, '*').every(function() {
+        const header = currentHeaders[toHeaderIndex(this.index().column, api)];
+        const edited = Boolean(originals && originals.has(header));
+        const node = this.node();
+        node.classList.toggle('edited-cell', edited);
+        if (edited) {
+            node.title = `Original value: ${originals.get(header) || '(empty)'}`;
+        } else {
+            node.removeAttribute('title');
+        }
+    });
+}
+
+/**
+ * List the changed cells, in the order their rows were first edited, then the removed rows
+ * Edits of rows that were removed afterwards are left out.
+ *
+ * @returns {Array<{row: Object, header: (string|null), oldValue: string, newValue: string, removed: boolean}>} The changes
+ */
+function getCellChanges() {
+    const changes = [];
+    editState.changes.forEach((originals, row) => {
+        if (editState.removed.has(row)) return;
+        originals.forEach((oldValue, header) => {
+            changes.push({ row, header, oldValue, newValue: row[header], removed: false });
+        });
+    });
+    editState.removed.forEach((position, row) => {
+        changes.push({ row, header: null, oldValue: '', newValue: '', removed: true });
+    });
+    return changes;
+}
+
+/**
+ * Get the edit that takes a change back: the original value of a cell, or a removed row put back
+ *
+ * @param {Object} change - The change, from getCellChanges()
+ * @returns {Object} The edit
+ */
+function getRevertEdit(change) {
+    return change.removed
+        ? { row: change.row, oldRemoved: true, newRemoved: false }
+        : { row: change.row, header: change.header, oldValue: change.newValue, newValue: change.oldValue };
+}
+
+/**
+ * List the rows as they were before any were removed, so removed rows keep their row numbers
+ * Removed rows are put back at their positions in the reverse order they were removed in.
+ *
+ * @returns {Array<Object>} Every row, removed or not
+ */
+function getRowsBeforeRemoval() {
+    const rows = csvData.slice();
+    Array.from(editState.removed.entries()).reverse().forEach(([row, position]) => {
+        rows.splice(Math.min(position, rows.length), 0, row);
+    });
+    return rows;
+}
+
+/**
+ * Find the column that identifies rows in the changes list and the diff file
+ * This is the first barcode or code column whose values are all filled in and different.
+ *
+ * @param {Array<Object>} rows - Every row, from getRowsBeforeRemoval()
+ * @returns {string|null} The column header, or null to use row numbers
+ */
+function getRowKeyColumn(rows) {
+    return currentHeaders.find((header, index) => {
+        if (columnTypes[index] !== 'identifier') return false;
+        const values = new Set();
+        return rows.every(row => {
+            const value = row[header];
+            if (value === undefined || value === '' || values.has(value)) return false;
+            values.add(value);
+            return true;
+        });
+    }) || null;
+}
+
+/**
+ * Name a row in the changes list and the diff file
+ *
+ * @param {Object} row - The row
+ * @param {string|null} keyColumn - The column from getRowKeyColumn()
+ * @param {Array<Object>} rows - Every row, from getRowsBeforeRemoval()
+ * @returns {string} The row's original key value, or its row number if there is no key column
+ */
+function getRowLabel(row, keyColumn, rows) {
+    if (!keyColumn) {
+        return String(rows.indexOf(row) + 1);
+    }
+    // A changed key is shown as it was, so the row can still be found in the original file
+    const originals = editState.changes.get(row);
+    return originals && originals.has(keyColumn) ? originals.get(keyColumn) : row[keyColumn];
+}
+
+/**
+ * Show the changes panel with the changed cells and the undo, redo and download buttons
+ * The panel is hidden when nothing has been edited.
+ */
+function renderChangesPanel() {
+    const panel = document.getElementById('changesPanel');
+    if (!panel) return;
+
+    const changes = getCellChanges();
+    if (changes.length === 0 && editState.undo.length === 0 && editState.redo.length === 0) {
+        panel.classList.add('d-none');
+        panel.innerHTML = '';
+        return;
+    }
+
+    const allRows = getRowsBeforeRemoval();
+    const keyColumn = getRowKeyColumn(allRows);
+    const rows = changes.slice(0, MAX_LISTED_CHANGES).map((change, index) => `
+        <tr>
+            <td class="text-nowrap">${escapeHtml(getRowLabel(change.row, keyColumn, allRows))}</td>
+            ${change.removed ? `
+            <td colspan="3" class="text-danger">Row removed</td>
+            ` : `
+            <td class="text-nowrap">${escapeHtml(change.header)}</td>
+            <td><del>${escapeHtml(change.oldValue)}</del></td>
+            <td>${escapeHtml(change.newValue)}</td>
+            `}
+            <td class="text-end">
+                <button type="button" class="btn btn-link btn-sm p-0" data-action="revert" data-change="${index}"
+                        title="${change.removed ? 'Put the row back' : 'Put the original value back'}">
+                    <i class="fas fa-undo"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+    const more = changes.length - MAX_LISTED_CHANGES;
+
+    panel.innerHTML = `
+        <div class="card-header d-flex flex-wrap gap-2 justify-content-between align-items-center">
+            <h5 class="mb-0"><i class="fas fa-pen me-2"></i>${describeChangeCount(changes)}</h5>
+            <div class="d-flex flex-wrap gap-2">
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-action="undo" title="Undo (Ctrl+Z)" ${editState.undo.length ? '' : 'disabled'}>
+                    <i class="fas fa-undo me-1"></i>Undo
+                </button>
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-action="redo" title="Redo (Ctrl+Y)" ${editState.redo.length ? '' : 'disabled'}>
+                    <i class="fas fa-redo me-1"></i>Redo
+                </button>
+                <button type="button" class="btn btn-sm btn-outline-primary" data-action="export-full" ${changes.length ? '' : 'disabled'}>
+                    <i class="fas fa-download me-1"></i>Edited dataset
+                </button>
+                <button type="button" class="btn btn-sm btn-outline-primary" data-action="export-diff" ${changes.length ? '' : 'disabled'}>
+                    <i class="fas fa-download me-1"></i>Changes only
+                </button>
+                <button type="button" class="btn btn-sm btn-outline-danger" data-action="discard" ${changes.length ? '' : 'disabled'}>
+                    Discard all
+                </button>
+            </div>
+        </div>
+        ${changes.length ? `
+        <div class="changes-list table-responsive">
+            <table class="table table-sm table-striped mb-0">
+                <thead><tr><th>${escapeHtml(keyColumn || 'Row')}</th><th>Column</th><th>Old value</th><th>New value</th><th></th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        ${more > 0 ? `<div class="card-footer text-muted small">and ${more.toLocaleString()} more, see "Changes only"</div>` : ''}
+        ` : '<div class="card-body text-muted">No changes. Use Redo to bring back the edits you undid.</div>'}
+    `;
+    panel.classList.remove('d-none');
+}
+
+/**
+ * Describe the number of changes for the changes panel, e.g. "3 changed cells, 1 removed row"
+ *
+ * @param {Array<Object>} changes - The changes, from getCellChanges()
+ * @returns {string} The description
+ */
+function describeChangeCount(changes) {
+    const removed = changes.filter(change => change.removed).length;
+    const cells = changes.length - removed;
+    const text = `${cells.toLocaleString()} changed cell${cells === 1 ? '' : 's'}`;
+    return removed ? `${text}, ${removed.toLocaleString()} removed row${removed === 1 ? '' : 's'}` : text;
+}
+
+/**
+ * Handle the buttons of the changes panel
+ *
+ * @param {Event} event - The click event
+ */
+function handleChangesPanelClick(event) {
+    const target = event.target.closest('[data-action]');
+    if (!target) return;
+
+    switch (target.getAttribute('data-action')) {
+        case 'undo':
+            undoCellEdit();
+            break;
+        case 'redo':
+            redoCellEdit();
+            break;
+        case 'export-full':
+            exportEditedDataset();
+            break;
+        case 'export-diff':
+            exportCellChanges();
+            break;
+        case 'revert': {
+            const change = getCellChanges()[parseInt(target.getAttribute('data-change'), 10)];
+            if (change) {
+                recordCellEdits([getRevertEdit(change)]);
+            }
+            break;
+        }
+        case 'discard':
+            if (confirm('Put every changed cell back to its original value, and every removed row back?')) {
+                // One step, so Undo brings every change back
+                recordCellEdits(getCellChanges().map(getRevertEdit));
+            }
+            break;
+    }
+}
+
+/**
+ * Undo and redo cell edits with Ctrl+Z and Ctrl+Y (or Ctrl+Shift+Z)
+ * Shortcuts typed into inputs are left to the input.
+ *
+ * @param {KeyboardEvent} event - The keydown event
+ */
+function handleEditShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    if (event.target.closest('input, textarea, select, [contenteditable]')) return;
+
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undoCellEdit();
+    } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+        event.preventDefault();
+        redoCellEdit();
+    }
+}
+
+/**
+ * Download the whole dataset with the edited values as a CSV file
+ */
+function exportEditedDataset() {
+    const baseName = currentDataset ? currentDataset.name : 'dataset';
+    downloadFile(Papa.unparse(csvData, { columns: currentHeaders }), `${baseName}-edited.csv`, 'text/csv;charset=utf-8;');
+}
+
+/**
+ * Download the changed cells as a CSV file with one line per cell or removed row:
+ * the row key (or row number), the column, the old value and the new value
+ */
+function exportCellChanges() {
+    const allRows = getRowsBeforeRemoval();
+    const keyColumn = getRowKeyColumn(allRows);
+    const data = getCellChanges().map(change => [
+        getRowLabel(change.row, keyColumn, allRows),
+        change.removed ? '(whole row)' : change.header,
+        change.oldValue,
+        change.removed ? '(removed)' : change.newValue
+    ]);
+    const csv = Papa.unparse({ fields: [keyColumn || 'Row', 'Column', 'Old Value', 'New Value'], data: data });
+    const baseName = currentDataset ? currentDataset.name : 'dataset';
+    downloadFile(csv, `${baseName}-changes.csv`, 'text/csv;charset=utf-8;');
+}
+
+//=============================================================================
+// DUPLICATE FUNCTIONS
+//=============================================================================
+
+/**
+ * Fill the duplicates modal with the columns to match rows on
+ * This function is called every time the modal is opened; groups found before are cleared,
+ * since the rows may have changed since
+ */
+function populateDuplicatesModal() {
+    const keyList = document.getElementById('duplicateKeys');
+    const fuzzySelect = document.getElementById('duplicateFuzzyColumn');
+    const findBtn = document.getElementById('findDuplicatesBtn');
+    const status = document.getElementById('duplicatesStatus');
+    duplicateGroups = [];
+    document.getElementById('duplicatesResults').innerHTML = '';
+    status.classList.remove('text-danger');
+
+    const problem = !dataTable ? 'Load a dataset to find duplicates.' :
+        serverSideOptions ? 'This dataset is too large to edit in the page, so its duplicates can\'t be merged here.' :
+        compareState ? 'Leave compare mode to find duplicates.' : '';
+    status.textContent = problem;
+    findBtn.disabled = Boolean(problem);
+    if (problem) {
+        keyList.innerHTML = '';
+        fuzzySelect.innerHTML = '';
+        return;
+    }
+
+    // Keep the columns chosen before if they are still there, otherwise match on every code column
+    const previousKeys = Array.from(keyList.querySelectorAll('input:checked')).map(input => input.value);
+    const keys = previousKeys.some(key => currentHeaders.includes(key)) ? previousKeys :
+        currentHeaders.filter((header, index) => columnTypes[index] === 'identifier');
+    keyList.innerHTML = currentHeaders.map((header, index) => `
+        <div class="form-check form-check-inline">
+            <input class="form-check-input" type="checkbox" id="duplicateKey${index}" value="${escapeHtml(header)}" ${keys.includes(header) ? 'checked' : ''}>
+            <label class="form-check-label" for="duplicateKey${index}">${escapeHtml(header)}</label>
+        </div>
+    `).join('');
+
+    const previousFuzzy = fuzzySelect.value;
+    fuzzySelect.innerHTML = '<option value="">Don\'t compare names</option>' + currentHeaders
+        .filter((header, index) => columnTypes[index] === 'text')
+        .map(header => `
+            <option value="${escapeHtml(header)}" ${header === previousFuzzy ? 'selected' : ''}>${escapeHtml(header)}</option>
+        `).join('');
+    handleDuplicateFuzzyChange();
+}
+
+/**
+ * Only offer the similarity setting when names are compared
+ */
+function handleDuplicateFuzzyChange() {
+    document.getElementById('duplicateSimilarity').disabled = document.getElementById('duplicateFuzzyColumn').value === '';
+}
+
+/**
+ * Find the duplicate rows with the settings chosen in the duplicates modal and list them
+ */
+function findDuplicates() {
+    const status = document.getElementById('duplicatesStatus');
+    const keyColumns = Array.from(document.querySelectorAll('#duplicateKeys input:checked')).map(input => input.value);
+    const fuzzyColumn = document.getElementById('duplicateFuzzyColumn').value;
+    const similarity = parseInt(document.getElementById('duplicateSimilarity').value, 10);
+    status.classList.remove('text-danger');
+
+    if (keyColumns.length === 0 && !fuzzyColumn) {
+        status.textContent = 'Choose at least one column to match rows on, or a column of names to compare.';
+        status.classList.add('text-danger');
+        return;
+    }
+    if (fuzzyColumn && !(similarity >= 50 && similarity <= 100)) {
+        status.textContent = 'Enter a similarity between 50% and 100%.';
+        status.classList.add('text-danger');
+        return;
+    }
+
+    duplicateGroups = findDuplicateGroups(csvData, keyColumns, fuzzyColumn, similarity / 100)
+        .map(group => createDuplicateGroup(group.rows, group.reasons));
+    renderDuplicateGroups();
+}
+
+/**
+ * Group the rows that share a value in any of the key columns, or whose names are similar
+ * Rows are grouped transitively: if A and B share a UPC and B and C have similar names,
+ * A, B and C form one group.
+ *
+ * @param {Array<Object>} rows - The rows to search
+ * @param {Array<string>} keyColumns - Columns whose equal values mark duplicates; empty values never match
+ * @param {string} fuzzyColumn - Column of names to compare, or an empty string to match on keys only
+ * @param {number} threshold - The similarity (0 to 1) from which two names count as the same
+ * @returns {Array<{rows: Array<Object>, reasons: Array<string>}>} The groups of two or more rows, largest first
+ */
+function findDuplicateGroups(rows, keyColumns, fuzzyColumn, threshold) {
+    // Union-find over the row positions, remembering why each set was joined
+    const parents = rows.map((row, index) => index);
+    const reasons = new Map();
+    const find = (index) => {
+        while (parents[index] !== index) {
+            parents[index] = parents[parents[index]];
+            index = parents[index];
+        }
+        return index;
+    };
+    const union = (a, b, reason) => {
+        const rootA = find(a);
+        const rootB = find(b);
+        const joined = new Set([...(reasons.get(rootA) || []), ...(reasons.get(rootB) || []), reason]);
+        parents[rootB] = rootA;
+        reasons.delete(rootB);
+        reasons.set(rootA, joined);
+    };
+
+    keyColumns.forEach(column => {
+        const firstRows = new Map();
+        rows.forEach((row, index) => {
+            const value = String(row[column] ?? '').trim();
+            if (value === '') return;
+            if (firstRows.has(value)) {
+                union(firstRows.get(value), index, `Same ${column}`);
+            } else {
+                firstRows.set(value, index);
+            }
+        });
+    });
+
+    if (fuzzyColumn) {
+        findSimilarNames(rows.map(row => row[fuzzyColumn]), threshold).forEach(([a, b]) => {
+            if (find(a) !== find(b)) union(a, b, `Similar ${fuzzyColumn}`);
+        });
+    }
+
+    const groups = new Map();
+    rows.forEach((row, index) => {
+        const root = find(index);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(row);
+    });
+    return Array.from(groups.entries())
+        .filter(([, members]) => members.length > 1)
+        .map(([root, members]) => ({ rows: members, reasons: Array.from(reasons.get(root)) }))
+        .sort((a, b) => b.rows.length - a.rows.length);
+}
+
+/**
+ * Find the pairs of similar names, by the Dice coefficient of their letter pairs
+ * Names are compared without case, spaces or punctuation, so "Tape 24mm" and "TAPE - 24 MM" are equal.
+ * Names with different numbers in them are never similar: they are usually sizes or models
+ * of the same product, like "Stick P28 60" and "Stick P92 65".
+ * To avoid comparing every name with every other, only names that share one of their rarest
+ * letter pairs are compared (prefix filtering); names that reach the threshold always do.
+ *
+ * @param {Array<string>} names - The names, by row position
+ * @param {number} threshold - The similarity (0 to 1) from which two names count as the same
+ * @returns {Array<Array<number>>} The positions of each pair of similar names
+ */
+function findSimilarNames(names, threshold) {
+    const bigramIds = new Map();
+    const bigramCounts = [];
+    const entries = [];
+    names.forEach((name, index) => {
+        const text = String(name ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+        if (text.length < 2) return;
+        const numbers = (String(name).match(/\d+/g) || []).map(number => number.replace(/^0+(?=\d)/, '')).join(' ');
+        const ids = new Set();
+        for (let i = 0; i < text.length - 1; i++) {
+            const bigram = text.slice(i, i + 2);
+            if (!bigramIds.has(bigram)) {
+                bigramIds.set(bigram, bigramIds.size);
+                bigramCounts.push(0);
+            }
+            ids.add(bigramIds.get(bigram));
+        }
+        ids.forEach(id => bigramCounts[id]++);
+        entries.push({ index, ids, numbers });
+    });
+
+    // A Dice coefficient of t means a Jaccard index of t / (2 - t), and two sets with a Jaccard index
+    // of j share at least one of their first |A| - ceil(j * |A|) + 1 elements in any fixed order
+    const jaccard = threshold / (2 - threshold);
+    const postings = new Map();
+    const pairs = [];
+    const numberKeys = new Map();
+    entries.forEach((entry, position) => {
+        const ordered = Array.from(entry.ids).sort((a, b) => bigramCounts[a] - bigramCounts[b] || a - b);
+        const prefixLength = ordered.length - Math.ceil(jaccard * ordered.length - 1e-9) + 1;
+        const candidates = new Set();
+        // Only names with the same numbers are indexed together
+        if (!numberKeys.has(entry.numbers)) numberKeys.set(entry.numbers, numberKeys.size);
+        const block = numberKeys.get(entry.numbers);
+        ordered.slice(0, prefixLength).forEach(id => {
+            const key = `${block}:${id}`;
+            if (!postings.has(key)) postings.set(key, []);
+            postings.get(key).forEach(candidate => candidates.add(candidate));
+            postings.get(key).push(position);
+        });
+
+        candidates.forEach(candidate => {
+            const other = entries[candidate];
+            let shared = 0;
+            entry.ids.forEach(id => {
+                if (other.ids.has(id)) shared++;
+            });
+            if (2 * shared / (entry.ids.size + other.ids.size) >= threshold - 1e-9) {
+                pairs.push([other.index, entry.index]);
+            }
+        });
+    });
+    return pairs;
+}
+
+/**
+ * Set up a group of duplicate rows for review
+ * The row with the most filled cells is kept, with the values of its own cells where it has them.
+ *
+ * @param {Array<Object>} rows - The rows of the group, in dataset order
+ * @param {Array<string>} reasons - Why the rows were grouped, e.g. "Same UPC"
+ * @returns {{rows: Array<Object>, keep: number, choices: Object<string, number>, reasons: Array<string>}} The group
+ */
+function createDuplicateGroup(rows, reasons) {
+    const filled = rows.map(row => currentHeaders.filter(header => String(row[header] ?? '') !== '').length);
+    const group = { rows, keep: filled.indexOf(Math.max(...filled)), choices: {}, reasons };
+    resetDuplicateChoices(group);
+    return group;
+}
+
+/**
+ * Choose the kept row's value for each column whose values differ in a group,
+ * or the first filled value where the kept row's cell is empty
+ *
+ * @param {Object} group - The duplicate group
+ */
+function resetDuplicateChoices(group) {
+    group.choices = {};
+    currentHeaders.forEach(header => {
+        const values = group.rows.map(row => String(row[header] ?? ''));
+        if (values.every(value => value === values[0])) return;
+        group.choices[header] = values[group.keep] !== '' ? group.keep : values.findIndex(value => value !== '');
+    });
+}
+
+/**
+ * Show the duplicate groups in the duplicates modal, each as a side-by-side table
+ * with a column per row and the differing values highlighted
+ */
+function renderDuplicateGroups() {
+    const results = document.getElementById('duplicatesResults');
+    const status = document.getElementById('duplicatesStatus');
+    const rowCount = duplicateGroups.reduce((total, group) => total + group.rows.length, 0);
+
+    if (duplicateGroups.length === 0) {
+        status.textContent = 'No duplicates found.';
+        results.innerHTML = '';
+        return;
+    }
+    status.textContent = `${duplicateGroups.length.toLocaleString()} group${duplicateGroups.length === 1 ? '' : 's'} of duplicates ` +
+        `(${rowCount.toLocaleString()} rows)` +
+        (duplicateGroups.length > MAX_DUPLICATE_GROUPS ? `; showing the first ${MAX_DUPLICATE_GROUPS}, merge or skip them to see more.` : '.');
+
+    results.innerHTML = duplicateGroups.slice(0, MAX_DUPLICATE_GROUPS).map((group, groupIndex) => `
+        <div class="card mb-3 duplicate-group">
+            <div class="card-header d-flex flex-wrap justify-content-between align-items-center gap-2">
+                <div>
+                    <strong>${group.rows.length} rows</strong>
+                    <span class="text-muted small ms-2">${group.reasons.map(escapeHtml).join(', ')}</span>
+                </div>
+                <div class="btn-group btn-group-sm">
+                    <button type="button" class="btn btn-primary" data-action="merge" data-group="${groupIndex}" title="Keep the chosen row with the chosen values and remove the others">
+                        <i class="fas fa-object-group me-1"></i>Merge
+                    </button>
+                    <button type="button" class="btn btn-outline-secondary" data-action="skip" data-group="${groupIndex}" title="These rows are not duplicates">
+                        Skip
+                    </button>
+                </div>
+            </div>
+            <div class="table-responsive">
+                <table class="table table-sm table-bordered mb-0 duplicate-table">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            ${group.rows.map((row, rowIndex) => `
+                            <th class="${rowIndex === group.keep ? 'table-primary' : ''}">
+                                <div class="d-flex justify-content-between align-items-center gap-2">
+                                    <label class="form-check mb-0 text-nowrap">
+                                        <input class="form-check-input" type="radio" name="duplicateKeep${groupIndex}" data-group="${groupIndex}" value="${rowIndex}" ${rowIndex === group.keep ? 'checked' : ''}>
+                                        Keep row ${(csvData.indexOf(row) + 1).toLocaleString()}
+                                    </label>
+                                    <button type="button" class="btn btn-link btn-sm p-0 text-danger" data-action="drop" data-group="${groupIndex}" data-row="${rowIndex}" title="Remove this row">
+                                        <i class="fas fa-trash"></i>
+                                    </button>
+                                </div>
+                            </th>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${currentHeaders.map(header => renderDuplicateField(group, groupIndex, header)).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Build the table row of one column of a duplicate group
+ * Where the values differ, each has a radio button to choose the value the merged row gets.
+ *
+ * @param {Object} group - The duplicate group
+ * @param {number} groupIndex - The group's position in duplicateGroups
+ * @param {string} header - The column
+ * @returns {string} The table row HTML
+ */
+function renderDuplicateField(group, groupIndex, header) {
+    const differs = header in group.choices;
+    const cells = group.rows.map((row, rowIndex) => {
+        const value = escapeHtml(String(row[header] ?? ''));
+        if (!differs) return `<td>${value}</td>`;
+        return `
+            <td>
+                <label class="form-check mb-0">
+                    <input class="form-check-input" type="radio" name="duplicateValue${groupIndex}-${escapeHtml(header)}"
+                           data-group="${groupIndex}" data-column="${escapeHtml(header)}" value="${rowIndex}" ${group.choices[header] === rowIndex ? 'checked' : ''}>
+                    ${value || '<span class="text-muted fst-italic">empty</span>'}
+                </label>
+            </td>
+        `;
+    }).join('');
+    return `<tr class="${differs ? 'table-warning' : ''}"><th class="text-nowrap">${escapeHtml(header)}</th>${cells}</tr>`;
+}
+
+/**
+ * Remember the row and values chosen in a duplicate group
+ * Choosing another row to keep starts from that row's values again.
+ *
+ * @param {Event} event - The change event
+ */
+function handleDuplicateChoiceChange(event) {
+    const input = event.target;
+    if (input.type !== 'radio') return;
+    const group = duplicateGroups[parseInt(input.getAttribute('data-group'), 10)];
+    if (!group) return;
+
+    if (input.hasAttribute('data-column')) {
+        group.choices[input.getAttribute('data-column')] = parseInt(input.value, 10);
+    } else {
+        group.keep = parseInt(input.value, 10);
+        resetDuplicateChoices(group);
+        renderDuplicateGroups();
+    }
+}
+
+/**
+ * Handle the merge, skip and remove buttons of the duplicate groups
+ *
+ * @param {Event} event - The click event
+ */
+function handleDuplicatesClick(event) {
+    const target = event.target.closest('[data-action]');
+    if (!target) return;
+    const groupIndex = parseInt(target.getAttribute('data-group'), 10);
+    const group = duplicateGroups[groupIndex];
+    if (!group) return;
+
+    // Rows can have been put back or removed with undo and redo since the groups were found
+    if (group.rows.some(row => !csvData.includes(row))) {
+        const status = document.getElementById('duplicatesStatus');
+        status.textContent = 'The rows of this group have changed since it was found. Click "Find duplicates" again.';
+        status.classList.add('text-danger');
+        return;
+    }
+
+    switch (target.getAttribute('data-action')) {
+        case 'merge':
+            mergeDuplicateGroup(group);
+            duplicateGroups.splice(groupIndex, 1);
+            break;
+        case 'drop': {
+            const rowIndex = parseInt(target.getAttribute('data-row'), 10);
+            recordCellEdits([{ row: group.rows[rowIndex], oldRemoved: false, newRemoved: true }]);
+            group.rows.splice(rowIndex, 1);
+            if (group.rows.length < 2) {
+                duplicateGroups.splice(groupIndex, 1);
+            } else {
+                if (group.keep >= group.rows.length || group.keep === rowIndex) group.keep = 0;
+                else if (group.keep > rowIndex) group.keep--;
+                resetDuplicateChoices(group);
+            }
+            break;
+        }
+        case 'skip':
+            duplicateGroups.splice(groupIndex, 1);
+            break;
+    }
+    renderDuplicateGroups();
+}
+
+/**
+ * Merge a group of duplicate rows: the kept row gets the chosen values and the other rows are removed
+ * This is a single step of the edit history, so one Undo puts every row back.
+ *
+ * @param {Object} group - The duplicate group
+ */
+function mergeDuplicateGroup(group) {
+    const kept = group.rows[group.keep];
+    const edits = [];
+    Object.entries(group.choices).forEach(([header, rowIndex]) => {
+        const oldValue = String(kept[header] ?? '');
+        const newValue = String(group.rows[rowIndex][header] ?? '');
+        if (newValue !== oldValue) {
+            edits.push({ row: kept, header, oldValue, newValue });
+        }
+    });
+    group.rows.forEach(row => {
+        if (row !== kept) edits.push({ row, oldRemoved: false, newRemoved: true });
+    });
+    recordCellEdits(edits);
+}
+
+//=============================================================================
+// DATASET COMPARE FUNCTIONS
+//=============================================================================
+
+/**
+ * Fill the compare modal with the datasets to compare with and the columns to match rows on
+ * This function is called every time the modal is opened
+ */
+async function populateCompareModal() {
+    const datasetSelect = document.getElementById('compareDataset');
+    const keySelect = document.getElementById('compareKey');
+    const status = document.getElementById('compareStatus');
+    status.textContent = '';
+    status.classList.remove('text-danger');
+
+    // Match on the first barcode or code column unless another column was chosen before
+    const previousKey = keySelect.value;
+    const defaultKey = currentHeaders.includes(previousKey) ? previousKey :
+        currentHeaders.find((header, index) => columnTypes[index] === 'identifier') || currentHeaders[0];
+    keySelect.innerHTML = currentHeaders.map(header => `
+        <option value="${escapeHtml(header)}" ${header === defaultKey ? 'selected' : ''}>${escapeHtml(header)}</option>
+    `).join('');
+
+    try {
+        const response = await apiFetch('/api/datasets');
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        const result = await response.json();
+        const others = result.datasets.filter(dataset => !currentDataset || dataset.id !== currentDataset.id);
+        datasetSelect.innerHTML = others.map(dataset => `
+            <option value="${escapeHtml(dataset.id)}">${escapeHtml(dataset.name)}</option>
+        `).join('') + '<option value="">A file from your computer...</option>';
+    } catch (error) {
+        console.error('Error loading datasets:', error);
+        datasetSelect.innerHTML = '<option value="">A file from your computer...</option>';
+    }
+    handleCompareSourceChange();
+}
+
+/**
+ * Show the file input in the compare modal when comparing with a file from the computer
+ */
+function handleCompareSourceChange() {
+    const fromFile = document.getElementById('compareDataset').value === '';
+    document.getElementById('compareFileGroup').classList.toggle('d-none', !fromFile);
+}
+
+/**
+ * Compare the current dataset with the dataset or file chosen in the compare modal
+ * and show the added, removed and changed rows in the table
+ */
+async function runCompare() {
+    const status = document.getElementById('compareStatus');
+    const compareBtn = document.getElementById('compareBtn');
+    const key = document.getElementById('compareKey').value;
+    const otherIsOlder = document.getElementById('compareOlder').checked;
+    status.classList.remove('text-danger');
+
+    try {
+        if (!dataTable || !key) throw new Error('Load a dataset to compare first.');
+        compareBtn.disabled = true;
+        status.textContent = 'Reading both datasets...';
+
+        const current = compareState ? compareState.current : await readCurrentDatasetRows();
+        const other = await readCompareSource();
+        if (!other.fields.includes(key)) {
+            throw new Error(`${other.name} has no "${key}" column to match rows on.`);
+        }
+
+        const [before, after] = otherIsOlder ? [other, current] : [current, other];
+        const result = compareRows(before, after, key);
+
+        // Keep what the table showed, so leaving compare mode can put it back
+        const previous = compareState ? compareState.previous : {
+            dataset: currentDataset,
+            data: csvData,
+            headers: currentHeaders.slice(),
+            serverSide: Boolean(serverSideOptions),
+            edits: editState
+        };
+        compareState = {
+            previous: previous,
+            current: current,
+            before: before.name,
+            after: after.name,
+            key: key,
+            ...result
+        };
+
+        bootstrap.Modal.getInstance(document.getElementById('compareModal')).hide();
+        const tableContainer = document.getElementById('tableContainer');
+        resetTable();
+        renderTableContainer(tableContainer, result.rows.length, `${before.name} → ${after.name}`, ` Rows are matched on ${escapeHtml(key)}.`);
+        csvData = result.rows;
+        displayData(csvData, [COMPARE_CHANGE_COLUMN, ...result.headers]);
+        renderComparePanel();
+        status.textContent = '';
+    } catch (error) {
+        console.error('Error comparing datasets:', error);
+        status.classList.add('text-danger');
+        status.textContent = error.message;
+    } finally {
+        compareBtn.disabled = false;
+    }
+}
+
+/**
+ * Get every row of the current dataset
+ * In server-side mode the browser only has the current page, so the file is downloaded and parsed.
+ *
+ * @returns {Promise<{name: string, rows: Array<Object>, fields: Array<string>}>} The rows and column headers
+ */
+async function readCurrentDatasetRows() {
+    const name = currentDataset ? currentDataset.name : 'Current table';
+    if (!serverSideOptions) {
+        // Edited values are compared as they are now
+        return { name: name, rows: csvData, fields: currentHeaders.slice() };
+    }
+
+    const response = await apiFetch(`/api/datasets/${encodeURIComponent(serverSideOptions.datasetId)}/csv`);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${name}: ${response.status} ${response.statusText}`);
+    }
+    return { name: name, ...(await parseAllRows(await response.blob())) };
+}
+
+/**
+ * Get every row of the dataset or file chosen in the compare modal
+ * Excel and JSON files are read the same way as in the upload modal.
+ *
+ * @returns {Promise<{name: string, rows: Array<Object>, fields: Array<string>}>} The rows and column headers
+ * @throws {Error} If no file was chosen or it can't be read
+ */
+async function readCompareSource() {
+    const datasetSelect = document.getElementById('compareDataset');
+    if (datasetSelect.value) {
+        const name = datasetSelect.options[datasetSelect.selectedIndex].textContent.trim();
+        const response = await apiFetch(`/api/datasets/${encodeURIComponent(datasetSelect.value)}/csv`);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${name}: ${response.status} ${response.statusText}`);
+        }
+        return { name: name, ...(await parseAllRows(await response.blob())) };
+    }
+
+    const file = document.getElementById('compareFileInput').files[0];
+    if (!file) throw new Error('Choose a file to compare with.');
+    if (file.size > MAX_FILE_SIZE) throw new Error('File size exceeds 50MB limit');
+
+    const source = await getImportSource(file);
+    return { name: file.name, ...(await parseAllRows(source.file)) };
+}
+
+/**
+ * Parse a whole CSV file into rows, using the same parser as uploads
+ * Rows with parse errors are kept, as in "Load all rows" in the parse report.
+ *
+ * @param {File|Blob} file - The CSV file
+ * @returns {Promise<{rows: Array<Object>, fields: Array<string>}>} The rows and column headers
+ */
+function parseAllRows(file) {
+    return new Promise((resolve, reject) => {
+        const rows = [];
+        let fields = [];
+        parseFileInWorker(file, {
+            chunk: (message) => {
+                rows.push(...message.rows);
+                fields = message.fields;
+            },
+            complete: (message) => resolve({ rows: rows, fields: message.fields || fields }),
+            error: (message) => reject(new Error(message))
+        });
+    });
+}
+
+/**
+ * Join two snapshots of a dataset on a key column and find what changed
+ *
+ * Rows are matched on their key value; when a key appears more than once, the first
+ * row with it in one snapshot is matched with the first in the other, and so on.
+ * Rows without a key value can't be matched and are left out. Only columns found in
+ * both snapshots decide whether a row changed.
+ *
+ * @param {{rows: Array<Object>, fields: Array<string>}} before - The older snapshot
+ * @param {{rows: Array<Object>, fields: Array<string>}} after - The newer snapshot
+ * @param {string} key - The column to match rows on
+ * @returns {{rows: Array<Object>, headers: Array<string>, changes: Map<Object, Object>, counts: Object<string, number>,
+ *     skipped: number, addedColumns: Array<string>, removedColumns: Array<string>}} The compared rows (each with a
+ *     Change column) and, for each of them, the change type and the old values of its changed cells
+ */
+function compareRows(before, after, key) {
+    const clean = value => (value === null || value === undefined ? '' : String(value).trim());
+    const headers = before.fields.concat(after.fields.filter(field => !before.fields.includes(field)));
+    const commonHeaders = before.fields.filter(field => after.fields.includes(field));
+    const changes = new Map();
+    const counts = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+    const rows = [];
+    let skipped = 0;
+
+    const addRow = (values, type, oldValues = null) => {
+        const row = { [COMPARE_CHANGE_COLUMN]: COMPARE_CHANGE_TYPES[type] };
+        headers.forEach(header => {
+            row[header] = values[header] === undefined ? '' : values[header];
+        });
+        rows.push(row);
+        changes.set(row, { type: type, oldValues: oldValues });
+        counts[type]++;
+    };
+
+    // Rows of the older snapshot by key, in file order
+    const beforeByKey = new Map();
+    before.rows.forEach(row => {
+        const value = clean(row[key]);
+        if (!value) {
+            skipped++;
+            return;
+        }
+        if (!beforeByKey.has(value)) beforeByKey.set(value, []);
+        beforeByKey.get(value).push(row);
+    });
+
+    after.rows.forEach(row => {
+        const value = clean(row[key]);
+        if (!value) {
+            skipped++;
+            return;
+        }
+        const matches = beforeByKey.get(value);
+        const match = matches && matches.shift();
+        if (!match) {
+            addRow(row, 'added');
+            return;
+        }
+
+        const oldValues = new Map();
+        commonHeaders.forEach(header => {
+            if (clean(match[header]) !== clean(row[header])) {
+                oldValues.set(header, match[header] === undefined ? '' : match[header]);
+            }
+        });
+        addRow(row, oldValues.size > 0 ? 'changed' : 'unchanged', oldValues.size > 0 ? oldValues : null);
+    });
+
+    // Whatever wasn't matched is gone from the newer snapshot
+    beforeByKey.forEach(remaining => remaining.forEach(row => addRow(row, 'removed')));
+
+    return {
+        rows: rows,
+        headers: headers,
+        changes: changes,
+        counts: counts,
+        skipped: skipped,
+        addedColumns: after.fields.filter(field => !before.fields.includes(field)),
+        removedColumns: before.fields.filter(field => !after.fields.includes(field))
+    };
+}
+
+/**
+ * Colour a row of the compared table by its change type and show old → new in changed cells
+ * Called from the DataTables rowCallback while compare mode is on.
+ *
+ * @param {HTMLElement} rowNode - The table row
+ * @param {Object} rowData - The row's data
+ */
+function markComparedCells(rowNode, rowData) {
+    const change = compareState.changes.get(rowData);
+    if (!change) return;
+
+    Object.keys(COMPARE_CHANGE_TYPES).forEach(type => {
+        rowNode.classList.toggle(`compare-${type}`, type === change.type);
+    });
+    if (!change.oldValues) return;
+
+    const api = this.api();
+    api.cells(rowNode, '*').every(function() {
+        const header = currentHeaders[toHeaderIndex(this.index().column, api)];
+        if (!change.oldValues.has(header)) return;
+        const node = this.node();
+        node.classList.add('changed-cell');
+        node.innerHTML = `<del>${escapeHtml(change.oldValues.get(header) || '(empty)')}</del> → ${escapeHtml(rowData[header] || '(empty)')}`;
+    });
+}
+
+/**
+ * Show the compare summary above the table: counts per change type, which also filter the table,
+ * and a button to leave compare mode
+ */
+function renderComparePanel() {
+    const panel = document.getElementById('comparePanel');
+    if (!compareState) {
+        panel.classList.add('d-none');
+        panel.innerHTML = '';
+        return;
+    }
+
+    const activeFilter = columnFilters[COMPARE_CHANGE_COLUMN];
+    const activeType = activeFilter && activeFilter.operator === 'exact' ? activeFilter.value : '';
+    const buttons = Object.entries(COMPARE_CHANGE_TYPES).map(([type, label]) => `
+        <button type="button" class="btn btn-sm ${activeType === label ? 'btn-primary' : 'btn-outline-primary'}" data-change-type="${label}">
+            ${label} <span class="badge compare-badge-${type}">${compareState.counts[type].toLocaleString()}</span>
+        </button>
+    `).join('');
+
+    const notes = [];
+    if (compareState.skipped > 0) {
+        notes.push(`${compareState.skipped.toLocaleString()} rows without a ${escapeHtml(compareState.key)} value were left out.`);
+    }
+    if (compareState.addedColumns.length > 0) {
+        notes.push(`New columns: ${compareState.addedColumns.map(escapeHtml).join(', ')}.`);
+    }
+    if (compareState.removedColumns.length > 0) {
+        notes.push(`Removed columns: ${compareState.removedColumns.map(escapeHtml).join(', ')}.`);
+    }
+
+    panel.innerHTML = `
+        <div class="card-header d-flex flex-wrap gap-2 justify-content-between align-items-center">
+            <h5 class="mb-0"><i class="fas fa-code-compare me-2"></i>Comparing ${escapeHtml(compareState.before)} → ${escapeHtml(compareState.after)}</h5>
+            <button type="button" class="btn btn-sm btn-outline-secondary" data-action="exit">
+                <i class="fas fa-times me-1"></i>Leave compare mode
+            </button>
+        </div>
+        <div class="card-body">
+            <div class="d-flex flex-wrap gap-2 mb-2">
+                <button type="button" class="btn btn-sm ${activeType ? 'btn-outline-secondary' : 'btn-secondary'}" data-change-type="">All</button>
+                ${buttons}
+            </div>
+            <small class="text-muted">
+                Rows are matched on ${escapeHtml(compareState.key)}. Changed cells show the old value crossed out, then the new one.
+                ${notes.join(' ')}
+            </small>
+        </div>
+    `;
+    panel.classList.remove('d-none');
+}
+
+/**
+ * Handle the buttons of the compare summary
+ *
+ * @param {Event} event - The click event
+ */
+function handleComparePanelClick(event) {
+    if (!compareState) return;
+    if (event.target.closest('[data-action="exit"]')) {
+        exitCompareMode();
+        return;
+    }
+
+    const button = event.target.closest('[data-change-type]');
+    if (!button) return;
+    const label = button.getAttribute('data-change-type');
+    setColumnFilter(COMPARE_CHANGE_COLUMN, label ? { operator: 'exact', value: label } : null);
+    syncFilterControls();
+    renderComparePanel();
+}
+
+/**
+ * Leave compare mode and put the dataset that was shown before back in the table
+ */
+function exitCompareMode() {
+    if (!compareState) return;
+    const { previous } = compareState;
+    compareState = null;
+    renderComparePanel();
+    restoreTable(previous);
+}
+
+//=============================================================================
+// DATASET LIBRARY FUNCTIONS
+//=============================================================================
+
+/**
+ * Upload a CSV file to the server's dataset library
+ *
+ * @param {File} file - The CSV file selected by the user
+ * @returns {Promise<Object>} The new dataset's description from the server
+ */
+async function uploadDataset(file) {
+    const formData = new FormData();
+    formData.append('name', file.name.replace(/\.csv$/i, ''));
+    formData.append('file', file);
+
+    const response = await apiFetch('/api/datasets', {
+        method: 'POST',
+        body: formData
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(result.error || `${response.status} ${response.statusText}`);
+    }
+    return result;
+}
+
+/**
+ * Show the current dataset's name on the dataset picker button
+ */
+function updateDatasetPickerLabel() {
+    const label = document.getElementById('datasetPickerLabel');
+    if (label) {
+        label.textContent = currentDataset ? currentDataset.name : 'Datasets';
+    }
+}
+
+/**
+ * Fill the dataset picker menu with the datasets in the server's library
+ * This function is called every time the menu is opened so the list is always current
+ */
+async function refreshDatasetMenu() {
+    const menu = document.getElementById('datasetMenu');
+    if (!menu) return;
+
+    menu.innerHTML = '<li><span class="dropdown-item-text text-muted">Loading datasets...</span></li>';
+
+    try {
+        const response = await apiFetch('/api/datasets');
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        const { datasets } = await response.json();
+
+        // One row per dataset: the name loads it, the star makes it the default (for editors),
+        // and the trash can deletes it (for admins and the editor who uploaded it; built-in datasets can't be deleted)
+        menu.innerHTML = datasets.map(dataset => `
+            <li>
+                <div class="dropdown-item d-flex align-items-center justify-content-between dataset-menu-item${currentDataset && currentDataset.id === dataset.id ? ' active' : ''}">
+                    <a href="#" class="flex-grow-1 text-reset text-decoration-none" data-action="load" data-dataset="${escapeHtml(dataset.id)}">
+                        ${escapeHtml(dataset.name)}
+                        <small class="d-block text-muted">${formatFileSize(dataset.size)}${dataset.uploadedAt ? ` &middot; ${new Date(dataset.uploadedAt).toLocaleDateString()}` : ''}</small>
+                    </a>
+                    ${hasRole('editor') ? `
+                    <button type="button" class="btn btn-sm btn-link" data-action="default" data-dataset="${escapeHtml(dataset.id)}"
+                            title="${dataset.isDefault ? 'Default dataset' : 'Set as default'}">
+                        <i class="${dataset.isDefault ? 'fas' : 'far'} fa-star"></i>
+                    </button>` : dataset.isDefault ? `
+                    <span class="btn btn-sm btn-link disabled" title="Default dataset"><i class="fas fa-star"></i></span>` : ''}
+                    ${!dataset.canDelete ? '' : `
+                    <button type="button" class="btn btn-sm btn-link text-danger" data-action="delete" data-dataset="${escapeHtml(dataset.id)}" title="Delete dataset">
+                        <i class="fas fa-trash"></i>
+                    </button>`}
+                </div>
+            </li>
+        `).join('');
+    } catch (error) {
+        menu.innerHTML = `<li><span class="dropdown-item-text text-danger">Failed to load datasets: ${escapeHtml(error.message)}</span></li>`;
+    }
+}
+
+/**
+ * Handle clicks in the dataset picker menu
+ * Uses the data-action attribute of the clicked element to decide what to do
+ *
+ * @param {MouseEvent} event - The click event
+ */
+async function handleDatasetMenuClick(event) {
+    const target = event.target.closest('[data-action]');
+    if (!target) return;
+
+    event.preventDefault();
+    const datasetId = target.getAttribute('data-dataset');
+    const action = target.getAttribute('data-action');
+
+    try {
+        if (action === 'load') {
+            loadDataset(datasetId);
+            return;
+        }
+
+        // Keep the menu open while the default is changed or a dataset is deleted
+        event.stopPropagation();
+
+        if (action === 'default') {
+            const response = await apiFetch('/api/datasets/default', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ id: datasetId })
+            });
+            if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            }
+        } else if (action === 'delete') {
+            if (!confirm('Delete this dataset from the library?')) return;
+
+            const response = await apiFetch(`/api/datasets/${encodeURIComponent(datasetId)}`, { method: 'DELETE' });
+            if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            }
+
+            // The table keeps showing the deleted dataset, but it can no longer be reloaded
+            if (currentDataset && currentDataset.id === datasetId) {
+                currentDataset.id = null;
+            }
+        }
+
+        refreshDatasetMenu();
+    } catch (error) {
+        showError(`Dataset update failed: ${error.message}`);
+    }
+}
+
+/**
+ * Format a file size in bytes for display, e.g. "1.2 MB"
+ *
+ * @param {number} bytes - The size in bytes
+ * @returns {string} The formatted size
+ */
+function formatFileSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${bytes} B`;
+}
+
+/**
+ * Escape text for safe use inside HTML
+ *
+ * @param {*} value - The text to escape
+ * @returns {string} The escaped text
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+//=============================================================================
+// LIVE RELOAD FUNCTIONS
+//=============================================================================
+
+/**
+ * Listen for changes to the datasets on the server
+ * The browser reconnects by itself when the connection drops. If the server refuses the
+ * stream, the session is checked, which sends the user to the login page if it has ended.
+ */
+function connectDatasetEvents() {
+    if (typeof EventSource === 'undefined') return;
+
+    datasetEvents = new EventSource('/api/datasets/events');
+    datasetEvents.addEventListener('dataset-changed', (event) => {
+        handleDatasetChange(JSON.parse(event.data));
+    });
+    datasetEvents.addEventListener('error', () => {
+        if (datasetEvents.readyState !== EventSource.CLOSED) return;
+        apiFetch('/api/session')
+            .then(response => {
+                if (response.ok) setTimeout(connectDatasetEvents, DATASET_EVENTS_RETRY_MS);
+            })
+            .catch(() => setTimeout(connectDatasetEvents, DATASET_EVENTS_RETRY_MS));
+    });
+}
+
+/**
+ * Handle a "dataset-changed" event from the server
+ * Changes to the dataset in the table load its new rows right away, unless the user has
+ * edits or a comparison that would be lost; then the banner offers to load them.
+ *
+ * @param {{id: string, modifiedAt: string, added: (number|null), removed: (number|null)}} change - The event data
+ */
+function handleDatasetChange(change) {
+    if (!dataTable || !currentDataset || change.id !== currentDataset.id) return;
+
+    if (reloadingDataset) {
+        pendingDatasetChange = change;
+    } else if (editState.changes.size > 0 || editState.removed.size > 0 || compareState) {
+        pendingDatasetChange = change;
+        showDataUpdateBanner(change, true);
+    } else {
+        reloadCurrentDataset(change);
+    }
+}
+
+/**
+ * Load the current dataset's new rows into the table
+ *
+ * The rows are swapped into the existing DataTable, so the search, filters, sort order,
+ * page, hidden columns and scroll position stay as they are. If the columns changed, or
+ * the dataset crossed SERVER_SIDE_ROW_THRESHOLD, the table is built again with the same view.
+ *
+ * @param {{id: string, modifiedAt: string, added: (number|null), removed: (number|null)}} change - The change to load
+ */
+async function reloadCurrentDataset(change) {
+    const datasetId = currentDataset.id;
+    pendingDatasetChange = null;
+    reloadingDataset = true;
+
+    try {
+        const response = await apiFetch(`/api/datasets/${encodeURIComponent(datasetId)}`);
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        const info = await response.json();
+
+        const sameColumns = info.fields.length === currentHeaders.length &&
+            info.fields.every((field, index) => field === currentHeaders[index]);
+        const serverSide = info.rowCount > SERVER_SIDE_ROW_THRESHOLD;
+        if (!sameColumns || serverSide !== Boolean(serverSideOptions)) {
+            pendingUrlState = getViewState();
+            loadDataset(datasetId);
+        } else if (serverSideOptions) {
+            // The server already has the new rows; fetch the current page again and forget the cached ones
+            allServerRows = null;
+            aggregateServerRows = null;
+            scanIndex = null;
+            duplicateGroups = [];
+            clearRowSelection();
+            updateTableInfo(info.rowCount, info.name, ' Paging, sorting and searching are handled by the server.');
+            dataTable.ajax.reload(null, false);
+        } else {
+            const csvResponse = await apiFetch(`/api/datasets/${encodeURIComponent(datasetId)}/csv`);
+            if (!csvResponse.ok) {
+                throw new Error(`${csvResponse.status} ${csvResponse.statusText}`);
+            }
+            const parsed = await parseAllRows(await csvResponse.blob());
+
+            // The user may have moved on while the file was downloading
+            if (!dataTable || !currentDataset || currentDataset.id !== datasetId) return;
+            if (editState.changes.size > 0 || editState.removed.size > 0 || compareState) {
+                pendingDatasetChange = change;
+                return;
+            }
+
+            // draw(false) keeps the page, and the search and filters apply to the new rows as they are drawn
+            const scrollY = window.scrollY;
+            csvData = parsed.rows;
+            editState = createEditState();
+            renderChangesPanel();
+            scanIndex = null;
+            duplicateGroups = [];
+            selectedRows = new Map();
+            lastClickedRowPosition = null;
+            refreshFuzzySearch();
+            dataTable.clear().rows.add(csvData.slice()).draw(false);
+            updateTableInfo(csvData.length, info.name);
+            window.scrollTo(window.scrollX, scrollY);
+        }
+        showDataUpdateBanner(change, false);
+    } catch (error) {
+        console.error('Error loading the changed dataset:', error);
+        showError(`The data changed on the server, but loading it failed: ${escapeHtml(error.message)}`);
+    } finally {
+        reloadingDataset = false;
+        // Load the change that arrived in the meantime, if it's still for the table's dataset
+        if (pendingDatasetChange) {
+            handleDatasetChange(pendingDatasetChange);
+        }
+    }
+}
+
+/**
+ * Show the banner about a change to the current dataset
+ * e.g. "Data updated at 06:30 (+12 / −3 rows)"
+ *
+ * @param {{modifiedAt: string, added: (number|null), removed: (number|null)}} change - The change
+ * @param {boolean} deferred - True if the new rows haven't been loaded, so the banner offers to load them
+ */
+function showDataUpdateBanner(change, deferred) {
+    const banner = document.getElementById('dataUpdateBanner');
+    const time = new Date(change.modifiedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+    const counts = change.added === null || change.added === undefined ? '' :
+        ` (+${change.added.toLocaleString()} / \u2212${change.removed.toLocaleString()} rows)`;
+    const reason = compareState ? 'the comparison' : 'your edits';
+
+    banner.innerHTML = `
+        <div><i class="fas fa-sync-alt me-2"></i>${deferred ? 'The data changed on the server' : 'Data updated'} at ${escapeHtml(time)}${counts}.
+        ${deferred ? `The table keeps the old rows so ${reason} aren't lost.` : ''}</div>
+        <div class="d-flex align-items-center gap-2 ms-3">
+            ${deferred ? '<button type="button" class="btn btn-sm btn-primary" data-action="reload">Load new data</button>' : ''}
+            <button type="button" class="btn-close" data-action="close" aria-label="Close"></button>
+        </div>
+    `;
+    banner.classList.remove('d-none');
+}
+
+/**
+ * Hide the data update banner
+ */
+function hideDataUpdateBanner() {
+    const banner = document.getElementById('dataUpdateBanner');
+    banner.classList.add('d-none');
+    banner.innerHTML = '';
+}
+
+/**
+ * Handle clicks on the buttons of the data update banner
+ * Loading the new rows leaves compare mode and, after asking, throws away the edits.
+ *
+ * @param {MouseEvent} event - The click event
+ */
+function handleDataUpdateBannerClick(event) {
+    const button = event.target.closest('[data-action]');
+    if (!button) return;
+
+    const change = pendingDatasetChange;
+    if (button.getAttribute('data-action') === 'close') {
+        hideDataUpdateBanner();
+        return;
+    }
+
+    // In compare mode the edits are kept with the table that leaving compare mode puts back
+    const edits = compareState ? compareState.previous.edits : editState;
+    if ((edits.changes.size > 0 || edits.removed.size > 0) &&
+        !confirm('Loading the new data throws away your edits. Load it anyway?')) {
+        return;
+    }
+    hideDataUpdateBanner();
+    if (!change || !currentDataset) return;
+
+    editState = createEditState();
+    if (compareState) {
+        // Loading the dataset again leaves compare mode, with the view kept through the URL state
+        pendingUrlState = readUrlState();
+        pendingDatasetChange = null;
+        loadDataset(currentDataset.id);
+        showDataUpdateBanner(change, false);
+        return;
+    }
+    reloadCurrentDataset(change);
+}
+
+//=============================================================================
+// VIRTUAL SCROLLING FUNCTIONS
+//=============================================================================
+
+/**
+ * Switch the table between virtual scrolling and classic pagination
+ * The table is built again with the same search, filters, sort order and hidden columns,
+ * and opens where the previous one was: at the page holding the first row in view, or scrolled to it.
+ *
+ * @param {boolean} on - True for virtual scrolling, false for pages
+ */
+function setVirtualScrolling(on) {
+    if (!dataTable || on === virtualScrolling) {
+        virtualScrolling = on;
+        savePreferences();
+        return;
+    }
+
+    const state = getViewState();
+    const firstRow = virtualScrolling ? dataTable.scroller.page().start : dataTable.page.info().start;
+    virtualScrolling = on;
+    savePreferences();
+
+    redisplayTable({ ...state, page: on ? 1 : Math.floor(firstRow / classicPageLength) + 1 });
+    if (on && firstRow > 0 && !serverSideOptions) {
+        dataTable.scroller.toPosition(firstRow, false);
+    }
+}
+
+/**
+ * Keep the rows in view when the table is sorted, searched or filtered with virtual scrolling on
+ * DataTables scrolls back to the top after each of these; the row that was at the top is scrolled
+ * back into view if it still matches. Server-side rows are new on every request, so in server-side
+ * mode the table starts at the top.
+ */
+function keepVirtualScrollPosition() {
+    if (serverSideOptions) return;
+
+    let topRow = null;
+    let restoreRow = null;
+    $(dataTable.table().container()).find('.dataTables_scrollBody').on('scroll', () => {
+        const position = dataTable.scroller.page().start - dataTable.page.info().start;
+        const row = dataTable.rows({ page: 'current' }).indexes()[position];
+        topRow = row === undefined ? null : row;
+    });
+
+    // Every draw that sorts or filters the rows fires a search event first; scrolling doesn't
+    // The row is taken now, since the draw scrolls to the top before it ends
+    dataTable.on('search', () => {
+        restoreRow = topRow;
+    });
+    dataTable.on('draw', () => {
+        const row = restoreRow;
+        restoreRow = null;
+        if (row === null) return;
+        // Let Scroller finish its own draw before scrolling
+        setTimeout(() => {
+            if (dataTable && dataTable.rows({ search: 'applied' }).indexes().indexOf(row) !== -1) {
+                dataTable.row(row).scrollTo(false);
+            }
+        });
+    });
+}
+
+//=============================================================================
+// COLUMN LAYOUT FUNCTIONS
+//=============================================================================
+
+/**
+ * Create a column layout that shows the columns as they are in the file
+ *
+ * @returns {{order: Array<string>, widths: Object<string, number>, pinned: Object<string, string>, frozenHeader: boolean}}
+ *     The layout
+ */
+function createColumnLayout() {
+    return { order: [], widths: {}, pinned: {}, frozenHeader: false };
+}
+
+/**
+ * Clean up a column layout read from storage
+ * Headers the table doesn't have and anything without the expected shape are dropped.
+ *
+ * @param {Object} layout - The saved layout
+ * @param {Array<string>} headers - The column headers of the table
+ * @returns {Object} A layout like the ones createColumnLayout() returns
+ */
+function normalizeColumnLayout(layout, headers) {
+    const source = layout && typeof layout === 'object' ? layout : {};
+    const result = createColumnLayout();
+
+    if (Array.isArray(source.order)) {
+        result.order = source.order.filter((header, index) => headers.includes(header) && source.order.indexOf(header) === index);
+    }
+    if (source.widths && typeof source.widths === 'object') {
+        Object.keys(source.widths).forEach(header => {
+            const width = source.widths[header];
+            if (headers.includes(header) && Number.isFinite(width) && width >= MIN_COLUMN_WIDTH) {
+                result.widths[header] = Math.round(width);
+            }
+        });
+    }
+    if (source.pinned && typeof source.pinned === 'object') {
+        Object.keys(source.pinned).forEach(header => {
+            if (headers.includes(header) && ['left', 'right'].includes(source.pinned[header])) {
+                result.pinned[header] = source.pinned[header];
+            }
+        });
+    }
+    result.frozenHeader = source.frozenHeader === true;
+    return result;
+}
+
+/**
+ * Get the order the columns are shown in
+ * Columns that aren't in the saved order, like ones added to the file since, follow the others
+ * in file order. Columns pinned to the left come first and columns pinned to the right last.
+ *
+ * @returns {Array<number>} The indexes of the columns in currentHeaders, in the order they are shown in
+ */
+function getColumnOrder() {
+    const headers = columnLayout.order.concat(currentHeaders.filter(header => !columnLayout.order.includes(header)));
+    const edge = header => ({ left: 0, right: 2 }[columnLayout.pinned[header]] ?? 1);
+    return headers
+        .map((header, position) => ({ header, position }))
+        .sort((a, b) => edge(a.header) - edge(b.header) || a.position - b.position)
+        .map(({ header }) => currentHeaders.indexOf(header));
+}
+
+/**
+ * Get the columns pinned to one side of the table
+ *
+ * @param {string} side - 'left' or 'right'
+ * @returns {Array<string>} The headers of the pinned columns
+ */
+function getPinnedHeaders(side) {
+    return currentHeaders.filter(header => columnLayout.pinned[header] === side);
+}
+
+/**
+ * Get the place of a column in the table
+ * Once columns have been moved, DataTables numbers them by their place in the table, while
+ * currentHeaders, columnTypes and the filter row keep the order of the file.
+ *
+ * @param {number} index - The index of the column in currentHeaders
+ * @param {Object} [api=dataTable] - The DataTables API of the table
+ * @returns {number} The DataTables index of the column
+ */
+function toTableColumn(index, api = dataTable) {
+    return api.colReorder.transpose(index);
+}
+
+/**
+ * Get the index in currentHeaders of a column of the table, the reverse of toTableColumn()
+ *
+ * @param {number} column - The DataTables index of the column
+ * @param {Object} [api=dataTable] - The DataTables API of the table
+ * @returns {number} The index of the column in currentHeaders
+ */
+function toHeaderIndex(column, api = dataTable) {
+    return api.colReorder.transpose(column, 'toOriginal');
+}
+
+/**
+ * Show the columns in a new order, e.g. after one has been dragged in the column modal
+ * Pinned columns stay at their edge of the table, whatever their place in the new order.
+ *
+ * @param {Array<string>} headers - The column headers in their new order
+ */
+function setColumnOrder(headers) {
+    columnLayout.order = headers.slice();
+    const order = getColumnOrder();
+    columnLayout.order = order.map(index => currentHeaders[index]);
+    dataTable.colReorder.order(order, true);
+    savePreferences();
+}
+
+/**
+ * Save the column order once columns have been moved
+ * Used as the DataTables column-reorder listener, so it also saves columns dragged by their titles.
+ *
+ * @param {Event} event - The column-reorder event
+ * @param {Object} settings - The DataTables settings
+ * @param {{drop: boolean}} details - drop is false while a column is still being dragged
+ */
+function handleColumnReorder(event, settings, details) {
+    if (!details.drop) return;
+    columnLayout.order = dataTable.colReorder.order().map(index => currentHeaders[index]);
+    savePreferences();
+}
+
+/**
+ * Pin a column to the left or right edge of the table, or unpin it
+ * The table is built again, since the columns that can't be dragged are set when it's created.
+ *
+ * @param {string} header - The column header
+ * @param {string} side - 'left', 'right', or an empty string to unpin the column
+ */
+function setColumnPin(header, side) {
+    if (side === 'left' || side === 'right') {
+        columnLayout.pinned[header] = side;
+    } else {
+        delete columnLayout.pinned[header];
+    }
+    columnLayout.order = getColumnOrder().map(index => currentHeaders[index]);
+    savePreferences();
+    redisplayTable();
+}
+
+/**
+ * Fix the pinned columns to the edges of the table
+ * FixedColumns counts the visible columns from each edge, so hidden pinned columns are left out.
+ * It sets itself up once the first rows have been drawn, which in server-side mode is after the table is created.
+ */
+function updatePinnedColumns() {
+    if (!dataTable || !dataTable.settings()[0]._fixedColumns) return;
+
+    const fixedColumns = dataTable.fixedColumns();
+    ['left', 'right'].forEach(side => {
+        const count = getPinnedHeaders(side)
+            .filter(header => dataTable.column(toTableColumn(currentHeaders.indexOf(header))).visible()).length;
+        if (fixedColumns[side]() !== count) {
+            fixedColumns[side](count);
+        }
+    });
+    syncPinnedFilterCells();
+}
+
+/**
+ * Pin the cells of the filter row along with the column titles above them
+ * FixedColumns only pins the title row of the header.
+ */
+function syncPinnedFilterCells() {
+    if (!dataTable) return;
+
+    dataTable.columns().every(function() {
+        const title = this.header();
+        if (!title.parentNode) return;   // Hidden columns are taken out of the header
+        const cell = title.parentNode.parentNode.querySelector(`.filter-cell[data-column="${toHeaderIndex(this.index())}"]`);
+        if (!cell) return;
+        ['position', 'left', 'right'].forEach(property => {
+            cell.style[property] = title.style[property];
+        });
+        ['dtfc-fixed-left', 'dtfc-fixed-right'].forEach(name => {
+            cell.classList.toggle(name, title.classList.contains(name));
+        });
+    });
+}
+
+/**
+ * Freeze the header row, so the column titles and filters stay in view while the rows scroll under them
+ * With virtual scrolling the header is always frozen.
+ *
+ * @param {boolean} on - True to freeze the header row
+ */
+function setFrozenHeader(on) {
+    columnLayout.frozenHeader = on;
+    savePreferences();
+    if (dataTable && !virtualScrolling) {
+        redisplayTable();
+    }
+}
+
+/**
+ * Show the columns as they are in the file again: in file order, unpinned, with their
+ * automatic widths and without a frozen header row
+ */
+function resetColumnLayout() {
+    columnLayout = createColumnLayout();
+    applyColumnWidths();
+    savePreferences();
+    if (dataTable) {
+        redisplayTable();
+    }
+}
+
+/**
+ * Size the columns that have been resized
+ * Each width is a style sheet rule for the column's class (see displayData), so it applies to
+ * the header DataTables keeps above the scrolling rows as well as to rows drawn later.
+ * Long values wrap to fit the width.
+ */
+function applyColumnWidths() {
+    let style = document.getElementById('columnWidthStyles');
+    if (!style) {
+        style = document.createElement('style');
+        style.id = 'columnWidthStyles';
+        document.head.appendChild(style);
+    }
+
+    style.textContent = currentHeaders
+        .map((header, index) => ({ index, width: columnLayout.widths[header] }))
+        .filter(column => column.width)
+        .map(({ index, width }) => `.csv-table .column-${index} { width: ${width}px; min-width: ${width}px; max-width: ${width}px; overflow-wrap: anywhere; }`)
+        .join('\n');
+}
+
+/**
+ * Start resizing a column when the handle on the right edge of its title is pressed
+ * Used as a capturing mousedown listener on the table container, so pressing the handle
+ * doesn't also start dragging the column to a new place.
+ *
+ * @param {MouseEvent} event - The mousedown event
+ */
+function startColumnResize(event) {
+    const handle = event.target.closest('.column-resize-handle');
+    if (!handle || event.button !== 0) return;
+    event.stopPropagation();
+    event.preventDefault();   // Don't select the titles' text while dragging
+
+    const header = currentHeaders[parseInt(handle.getAttribute('data-column'), 10)];
+    columnResize = { header: header, startX: event.clientX, startWidth: handle.closest('th').offsetWidth };
+    const resize = columnResize;
+    let frame = null;
+
+    const move = (moveEvent) => {
+        columnLayout.widths[header] = Math.max(MIN_COLUMN_WIDTH, Math.round(resize.startWidth + moveEvent.clientX - resize.startX));
+        applyColumnWidths();
+
+        // Line the titles up with the rows again once per frame
+        if (frame === null) {
+            frame = requestAnimationFrame(() => {
+                frame = null;
+                if (dataTable) dataTable.columns.adjust();
+            });
+        }
+    };
+    const end = () => {
+        document.removeEventListener('mousemove', move);
+        document.removeEventListener('mouseup', end);
+        if (dataTable) dataTable.columns.adjust();
+        savePreferences();
+
+        // The click that ends the drag comes next; it mustn't sort the column
+        setTimeout(() => {
+            columnResize = null;
+        });
+    };
+    document.addEventListener('mousemove', move);
+    document.addEventListener('mouseup', end);
+}
+
+/**
+ * Give a resized column its automatic width again when its resize handle is double-clicked
+ *
+ * @param {MouseEvent} event - The dblclick event
+ */
+function resetColumnWidth(event) {
+    const handle = event.target.closest('.column-resize-handle');
+    if (!handle || !dataTable) return;
+
+    delete columnLayout.widths[currentHeaders[parseInt(handle.getAttribute('data-column'), 10)]];
+    applyColumnWidths();
+    dataTable.columns.adjust();
+    savePreferences();
+}
+
+/**
+ * Start dragging a column to a new place in the column modal's list
+ *
+ * @param {DragEvent} event - The dragstart event
+ */
+function handleColumnDragStart(event) {
+    const item = event.target.closest('.column-item');
+    if (!item) return;
+
+    draggedColumnItem = item;
+    item.classList.add('dragging');
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', currentHeaders[parseInt(item.getAttribute('data-column'), 10)]);
+}
+
+/**
+ * Move the dragged column in the list to where it's being dragged over
+ * It goes above a column when the pointer is over the top half of it, below it otherwise.
+ *
+ * @param {DragEvent} event - The dragover event
+ */
+function handleColumnDragOver(event) {
+    if (!draggedColumnItem) return;
+    event.preventDefault();   // Allow the drop
+
+    const item = event.target.closest('.column-item');
+    if (!item || item === draggedColumnItem) return;
+    const bounds = item.getBoundingClientRect();
+    const below = event.clientY > bounds.top + bounds.height / 2;
+    item.parentNode.insertBefore(draggedColumnItem, below ? item.nextSibling : item);
+}
+
+/**
+ * Show the columns in the order of the list once a column has been dropped in it
+ * The list is filled in again, which also moves a column dropped among the pinned ones back out.
+ */
+function handleColumnDragEnd() {
+    if (!draggedColumnItem) return;
+    draggedColumnItem = null;
+
+    const items = document.querySelectorAll('#columnToggleList .column-item');
+    setColumnOrder(Array.from(items).map(item => currentHeaders[parseInt(item.getAttribute('data-column'), 10)]));
+    populateColumnToggleList();
+}
+
+//=============================================================================
+// COLUMN PROFILE FUNCTIONS
+//=============================================================================
+
+/**
+ * Build the title of a column: its header, a button that opens the column profile
+ * and a handle on its right edge for resizing the column (see startColumnResize)
+ *
+ * @param {string} header - The column header
+ * @param {number} index - The column index
+ * @returns {string} The title HTML
+ */
+function formatColumnTitle(header, index) {
+    return `${escapeHtml(header)}<button type="button" class="btn btn-link btn-sm p-0 ms-1 column-profile-btn" data-column="${index}" ` +
+        `title="Column profile" aria-label="Column profile"><i class="fas fa-chart-bar"></i></button>` +
+        `<span class="column-resize-handle" data-column="${index}" title="Drag to resize, double-click for the automatic width"></span>`;
+}
+
+/**
+ * Open the column profile modal for a column
+ *
+ * @param {number} index - The column index
+ */
+function openColumnProfile(index) {
+    if (!dataTable || index < 0 || index >= currentHeaders.length) return;
+
+    const select = document.getElementById('profileColumn');
+    select.innerHTML = currentHeaders.map((header, i) =>
+        `<option value="${i}" ${i === index ? 'selected' : ''}>${escapeHtml(header)}</option>`).join('');
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('profileModal')).show();
+    renderColumnProfile(index);
+}
+
+/**
+ * Get every value of a column, whatever the current search and filters
+ * In server-side mode the rows are fetched from the server the first time.
+ *
+ * @param {number} index - The column index
+ * @returns {Promise<Array>} The values
+ */
+async function getColumnValues(index) {
+    if (!serverSideOptions) {
+        return csvData.map(row => Object.values(row)[index]);
+    }
+    return (await getAllServerRows()).map(row => row[index]);
+}
+
+/**
+ * Work out the statistics of a column
+ *
+ * @param {Array} values - Every value in the column
+ * @param {string} type - The column type
+ * @returns {Object} The row count, filled and empty cells, distinct and repeated values,
+ *     min/max/mean for numeric columns, earliest/latest for dates, value lengths for
+ *     other columns, and the histogram of the numbers or lengths
+ */
+function computeColumnProfile(values, type) {
+    const counts = new Map();
+    const texts = [];
+    values.forEach(value => {
+        const text = String(value === null || value === undefined ? '' : value).trim();
+        if (text === '') return;
+        texts.push(text);
+        counts.set(text, (counts.get(text) || 0) + 1);
+    });
+
+    const duplicates = Array.from(counts, ([value, count]) => ({ value, count }))
+        .filter(entry => entry.count > 1)
+        .sort((a, b) => b.count - a.count);
+    const profile = {
+        rows: values.length,
+        filled: texts.length,
+        empty: values.length - texts.length,
+        distinct: counts.size,
+        duplicates: duplicates,
+        duplicateRows: duplicates.reduce((sum, entry) => sum + entry.count, 0),
+        numbers: null,
+        dates: null,
+        lengths: null,
+        histogram: []
+    };
+
+    if (NUMERIC_COLUMN_TYPES.includes(type)) {
+        const numbers = texts.map(parseNumericValue).filter(number => !Number.isNaN(number));
+        profile.numbers = {
+            min: numbers.reduce((min, number) => Math.min(min, number), Infinity),
+            max: numbers.reduce((max, number) => Math.max(max, number), -Infinity),
+            mean: numbers.length ? numbers.reduce((sum, number) => sum + number, 0) / numbers.length : null,
+            invalid: texts.length - numbers.length,
+            // Amounts are shown with the column's currency symbol
+            currency: type === 'currency' ? getCurrencySymbol(texts) : null
+        };
+        profile.histogram = buildHistogram(numbers, type === 'integer');
+    } else if (type === 'date') {
+        let earliest = null;
+        let latest = null;
+        let invalid = 0;
+        texts.forEach(text => {
+            const date = parseDateValue(text);
+            if (Number.isNaN(date)) {
+                invalid++;
+                return;
+            }
+            if (!earliest || date < earliest.date) earliest = { date, text };
+            if (!latest || date > latest.date) latest = { date, text };
+        });
+        profile.dates = { earliest: earliest && earliest.text, latest: latest && latest.text, invalid: invalid };
+    } else {
+        const lengths = texts.map(text => text.length).sort((a, b) => a - b);
+        profile.lengths = lengths.length ? {
+            min: lengths[0],
+            median: lengths[Math.floor((lengths.length - 1) / 2)],
+            max: lengths[lengths.length - 1]
+        } : null;
+        profile.histogram = buildHistogram(lengths, true);
+    }
+
+    return profile;
+}
+
+/**
+ * Count numbers into equal-width bins
+ * Whole numbers get bins of whole numbers, so a column holding 0 to 7 gets a bar per number.
+ *
+ * @param {Array<number>} numbers - The numbers
+ * @param {boolean} integers - Whether the numbers are all whole numbers
+ * @returns {Array<{from: number, to: number, count: number}>} The bins, lowest first
+ */
+function buildHistogram(numbers, integers) {
+    if (numbers.length === 0) return [];
+
+    const min = numbers.reduce((a, b) => Math.min(a, b), Infinity);
+    const max = numbers.reduce((a, b) => Math.max(a, b), -Infinity);
+    const span = max - min;
+    let width;
+    let binCount;
+    if (integers) {
+        width = Math.ceil((span + 1) / PROFILE_HISTOGRAM_BINS);
+        binCount = Math.ceil((span + 1) / width);
+    } else {
+        binCount = span === 0 ? 1 : PROFILE_HISTOGRAM_BINS;
+        width = span === 0 ? 1 : span / binCount;
+    }
+
+    const bins = Array.from({ length: binCount }, (_, i) => ({
+        from: min + i * width,
+        to: Math.min(min + (i + 1) * width - (integers ? 1 : 0), max),
+        count: 0
+    }));
+    numbers.forEach(number => {
+        bins[Math.min(Math.floor((number - min) / width), binCount - 1)].count++;
+    });
+    return bins;
+}
+
+/**
+ * Show the profile of a column in the column profile modal
+ *
+ * @param {number} index - The column index
+ */
+async function renderColumnProfile(index) {
+    const body = document.getElementById('profileBody');
+    const header = currentHeaders[index];
+    const type = columnTypes[index];
+    body.innerHTML = '<p class="text-muted">Reading the column...</p>';
+
+    let profile;
+    try {
+        profile = computeColumnProfile(await getColumnValues(index), type);
+    } catch (error) {
+        body.innerHTML = `<div class="alert alert-danger">The column could not be read: ${escapeHtml(error.message)}</div>`;
+        return;
+    }
+    // Another column was picked while this one was being read
+    if (document.getElementById('profileColumn').value !== String(index)) return;
+
+    const percent = count => (profile.rows ? `${(count / profile.rows * 100).toFixed(1)}%` : '0%');
+    const stat = (label, value, action = '') => `
+        <div class="col-6 col-md-3">
+            <div class="text-muted small">${label}</div>
+            <div class="fs-5">${value}</div>
+            ${action}
+        </div>
+    `;
+    const filterButton = (operator, label) => `
+        <button type="button" class="btn btn-link btn-sm p-0" data-profile-filter="${operator}">${label}</button>
+    `;
+
+    const stats = [
+        stat('Rows', profile.rows.toLocaleString()),
+        stat('Filled', `${profile.filled.toLocaleString()} <small class="text-muted">(${percent(profile.filled)})</small>`),
+        stat('Empty', `${profile.empty.toLocaleString()} <small class="text-muted">(${percent(profile.empty)})</small>`,
+            profile.empty ? filterButton('empty', 'Show empty rows') : ''),
+        stat('Distinct values', profile.distinct.toLocaleString())
+    ];
+    if (profile.numbers) {
+        const format = value => (value === null || !Number.isFinite(value) ? '–' : formatAggregateValue(value, { currency: profile.numbers.currency }));
+        stats.push(
+            stat('Min', format(profile.numbers.min)),
+            stat('Max', format(profile.numbers.max)),
+            stat('Mean', format(profile.numbers.mean)),
+            stat('Not numbers', profile.numbers.invalid.toLocaleString())
+        );
+    } else if (profile.dates) {
+        stats.push(
+            stat('Earliest', escapeHtml(profile.dates.earliest || '–')),
+            stat('Latest', escapeHtml(profile.dates.latest || '–')),
+            stat('Not dates', profile.dates.invalid.toLocaleString())
+        );
+    } else if (profile.lengths) {
+        stats.push(
+            stat('Shortest', `${profile.lengths.min.toLocaleString()} chars`),
+            stat('Median length', `${profile.lengths.median.toLocaleString()} chars`),
+            stat('Longest', `${profile.lengths.max.toLocaleString()} chars`)
+        );
+    }
+
+    body.innerHTML = `
+        <h5 class="mb-1">${escapeHtml(header)} <span class="badge bg-secondary fw-normal">${COLUMN_TYPES[type] || type}</span></h5>
+        <div class="progress profile-fill mb-3" title="${percent(profile.filled)} filled">
+            <div class="progress-bar bg-success" style="width: ${percent(profile.filled)}"></div>
+        </div>
+        <div class="row g-3 mb-4">${stats.join('')}</div>
+        ${renderProfileHistogram(profile, type)}
+        <h6>Repeated values</h6>
+        ${profile.duplicates.length ? `
+            <p class="small text-muted mb-2">
+                ${profile.duplicates.length === 1 ? '1 value appears' : `${profile.duplicates.length.toLocaleString()} values appear`} more than once,
+                in ${profile.duplicateRows.toLocaleString()} rows. Click a value to show its rows.
+            </p>
+            <div class="list-group profile-duplicates">
+                ${profile.duplicates.slice(0, MAX_PROFILE_DUPLICATES).map(entry => `
+                    <button type="button" class="list-group-item list-group-item-action d-flex justify-content-between align-items-center"
+                            data-profile-filter="exact" data-value="${escapeHtml(entry.value)}">
+                        <span class="text-truncate">${escapeHtml(entry.value)}</span>
+                        <span class="badge bg-warning text-dark">${entry.count.toLocaleString()} rows</span>
+                    </button>
+                `).join('')}
+            </div>
+            ${profile.duplicates.length > MAX_PROFILE_DUPLICATES
+                ? `<p class="small text-muted mt-2">and ${(profile.duplicates.length - MAX_PROFILE_DUPLICATES).toLocaleString()} more</p>`
+                : ''}
+        ` : '<p class="small text-muted">Every filled cell holds a different value.</p>'}
+    `;
+}
+
+/**
+ * Build the histogram of a column profile: the spread of the numbers in numeric columns,
+ * and of the value lengths in other columns
+ *
+ * @param {Object} profile - The profile from computeColumnProfile()
+ * @param {string} type - The column type
+ * @returns {string} The histogram HTML, empty if there is nothing to show
+ */
+function renderProfileHistogram(profile, type) {
+    const bins = profile.histogram;
+    if (bins.length === 0) return '';
+
+    const numeric = NUMERIC_COLUMN_TYPES.includes(type);
+    const largest = Math.max(...bins.map(bin => bin.count));
+    const format = value => (numeric
+        ? formatAggregateValue(value, { currency: profile.numbers.currency })
+        : value.toLocaleString());
+    const label = bin => (bin.to === bin.from ? format(bin.from) : `${format(bin.from)} – ${format(bin.to)}`);
+
+    return `
+        <h6>${numeric ? 'Values' : 'Value lengths'}</h6>
+        <div class="profile-histogram mb-1" role="img" aria-label="Histogram of ${numeric ? 'the values' : 'the value lengths'}">
+            ${bins.map(bin => `
+                <div class="profile-histogram-bar" style="height: ${Math.max(bin.count / largest * 100, bin.count ? 2 : 0)}%"
+                     title="${escapeHtml(label(bin))}${numeric ? '' : ' chars'}: ${bin.count.toLocaleString()} rows"></div>
+            `).join('')}
+        </div>
+        <div class="d-flex justify-content-between small text-muted mb-4">
+            <span>${escapeHtml(format(bins[0].from))}${numeric ? '' : ' chars'}</span>
+            <span>${escapeHtml(format(bins[bins.length - 1].to))}${numeric ? '' : ' chars'}</span>
+        </div>
+    `;
+}
+
+/**
+ * Handle clicks in the column profile: show the rows holding a repeated value, or the empty rows
+ *
+ * @param {Event} event - The click event
+ */
+function handleProfileClick(event) {
+    const target = event.target.closest('[data-profile-filter]');
+    if (!target) return;
+
+    const header = currentHeaders[parseInt(document.getElementById('profileColumn').value, 10)];
+    setColumnFilter(header, {
+        operator: target.getAttribute('data-profile-filter'),
+        value: target.getAttribute('data-value') || ''
+    });
+    syncFilterControls();
+    bootstrap.Modal.getInstance(document.getElementById('profileModal')).hide();
+}
+
+//=============================================================================
+// AGGREGATION FUNCTIONS
+//=============================================================================
+
+/**
+ * Set up the totals panel for the columns of a new table
+ * The group-by columns and values are saved with the views for these columns;
+ * columns that look like a count and a price get a stock value by default.
+ */
+function setupAggregatePanel() {
+    aggregateConfig = normalizeAggregateConfig(getViewSettings().aggregates) || getDefaultAggregateConfig();
+    aggregateServerRows = null;
+    aggregateResult = null;
+    renderAggregateControls();
+    document.getElementById('aggregatePanel').classList.toggle('d-none', !aggregatePanelOpen);
+    scheduleAggregateUpdate();
+}
+
+/**
+ * Get the totals shown for columns that have no saved totals: the number of rows, the sum of
+ * the first whole-number column and, if there is a price column, the two multiplied together
+ * (for the inventory that's Remaining, and Remaining × Sale Price as the stock value)
+ *
+ * @returns {{groupBy: Array<string>, measures: Array<Object>}} The totals configuration
+ */
+function getDefaultAggregateConfig() {
+    const countColumn = currentHeaders.find((header, index) => columnTypes[index] === 'integer');
+    const priceColumn = currentHeaders.find((header, index) => columnTypes[index] === 'currency');
+    const measures = [{ fn: 'count', column: '', times: '' }];
+    if (countColumn) {
+        measures.push({ fn: 'sum', column: countColumn, times: '' });
+        if (priceColumn) {
+            measures.push({ fn: 'sum', column: countColumn, times: priceColumn });
+        }
+    }
+    return { groupBy: [], measures: measures };
+}
+
+/**
+ * Clean up a totals configuration read from storage
+ * Columns that are no longer numeric (after a type change) and unknown functions are dropped.
+ *
+ * @param {*} config - The saved configuration
+ * @returns {{groupBy: Array<string>, measures: Array<Object>}|null} The configuration, or null if nothing usable was saved
+ */
+function normalizeAggregateConfig(config) {
+    if (!config || typeof config !== 'object' || !Array.isArray(config.measures)) return null;
+
+    const isNumeric = header => NUMERIC_COLUMN_TYPES.includes(columnTypes[currentHeaders.indexOf(header)]);
+    const groupBy = Array.isArray(config.groupBy) ? config.groupBy.filter(header => currentHeaders.includes(header)) : [];
+    const measures = config.measures
+        .filter(measure => measure && AGGREGATE_FUNCTIONS[measure.fn])
+        .map(measure => ({
+            fn: measure.fn,
+            column: measure.fn === 'count' ? '' : measure.column,
+            times: NUMERIC_AGGREGATE_FUNCTIONS.includes(measure.fn) && isNumeric(measure.times) ? measure.times : ''
+        }))
+        .filter(measure => measure.fn === 'count' ||
+            (measure.fn === 'distinct' ? currentHeaders.includes(measure.column) : isNumeric(measure.column)));
+    return { groupBy: groupBy, measures: measures };
+}
+
+/**
+ * Save the totals configuration with the views for the current columns
+ * Nothing is saved in compare mode, where the columns belong to the comparison.
+ */
+function saveAggregateConfig() {
+    if (compareState) return;
+    updateViewSettings(settings => {
+        settings.aggregates = { groupBy: aggregateConfig.groupBy.slice(), measures: aggregateConfig.measures.map(measure => ({ ...measure })) };
+    });
+}
+
+/**
+ * Fill the group-by list and the value rows of the totals panel from aggregateConfig
+ */
+function renderAggregateControls() {
+    const numericColumns = currentHeaders.filter((header, index) => NUMERIC_COLUMN_TYPES.includes(columnTypes[index]));
+    const functions = Object.keys(AGGREGATE_FUNCTIONS)
+        .filter(fn => numericColumns.length > 0 || !NUMERIC_AGGREGATE_FUNCTIONS.includes(fn));
+    const options = (values, selected) => values.map(value =>
+        `<option value="${escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(value)}</option>`).join('');
+
+    document.getElementById('aggregateGroupBy').innerHTML = currentHeaders.map(header =>
+        `<option value="${escapeHtml(header)}" ${aggregateConfig.groupBy.includes(header) ? 'selected' : ''}>${escapeHtml(header)}</option>`).join('');
+
+    document.getElementById('aggregateMeasures').innerHTML = aggregateConfig.measures.map((measure, index) => {
+        const numeric = NUMERIC_AGGREGATE_FUNCTIONS.includes(measure.fn);
+        return `
+            <div class="aggregate-measure d-flex flex-wrap gap-2 align-items-center mb-2" data-measure="${index}">
+                <select class="form-select form-select-sm" data-field="fn" aria-label="Function">
+                    ${functions.map(fn => `<option value="${fn}" ${fn === measure.fn ? 'selected' : ''}>${AGGREGATE_FUNCTIONS[fn]}</option>`).join('')}
+                </select>
+                <select class="form-select form-select-sm ${measure.fn === 'count' ? 'd-none' : ''}" data-field="column" aria-label="Column">
+                    ${options(numeric ? numericColumns : currentHeaders, measure.column)}
+                </select>
+                <span class="${numeric ? '' : 'd-none'}">&times;</span>
+                <select class="form-select form-select-sm ${numeric ? '' : 'd-none'}" data-field="times" aria-label="Multiplied by">
+                    <option value="">(nothing)</option>
+                    ${options(numericColumns, measure.times)}
+                </select>
+                <button type="button" class="btn btn-link btn-sm text-danger p-0" data-action="remove" title="Remove this value">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Handle changes to the group-by list and the value rows of the totals panel
+ *
+ * @param {Event} event - The change event
+ */
+function handleAggregateControlChange(event) {
+    const target = event.target;
+    if (target.id === 'aggregateGroupBy') {
+        aggregateConfig.groupBy = Array.from(target.selectedOptions, option => option.value);
+    } else {
+        const row = target.closest('[data-measure]');
+        const field = target.getAttribute('data-field');
+        if (!row || !field) return;
+
+        const measure = aggregateConfig.measures[Number(row.getAttribute('data-measure'))];
+        measure[field] = target.value;
+        if (field === 'fn') {
+            // Pick a column the new function can use
+            const numericColumns = currentHeaders.filter((header, index) => NUMERIC_COLUMN_TYPES.includes(columnTypes[index]));
+            if (measure.fn === 'count') {
+                measure.column = '';
+            } else if (NUMERIC_AGGREGATE_FUNCTIONS.includes(measure.fn) && !numericColumns.includes(measure.column)) {
+                measure.column = numericColumns[0];
+            } else if (!measure.column) {
+                measure.column = currentHeaders[0];
+            }
+            if (!NUMERIC_AGGREGATE_FUNCTIONS.includes(measure.fn)) {
+                measure.times = '';
+            }
+            renderAggregateControls();
+        }
+    }
+
+    saveAggregateConfig();
+    updateAggregates();
+}
+
+/**
+ * Handle the buttons of the totals panel
+ *
+ * @param {Event} event - The click event
+ */
+function handleAggregatePanelClick(event) {
+    const target = event.target.closest('[data-action]');
+    if (!target) return;
+
+    switch (target.getAttribute('data-action')) {
+        case 'add': {
+            const numericColumn = currentHeaders.find((header, index) => NUMERIC_COLUMN_TYPES.includes(columnTypes[index]));
+            aggregateConfig.measures.push(numericColumn
+                ? { fn: 'sum', column: numericColumn, times: '' }
+                : { fn: 'distinct', column: currentHeaders[0], times: '' });
+            break;
+        }
+        case 'remove':
+            aggregateConfig.measures.splice(Number(target.closest('[data-measure]').getAttribute('data-measure')), 1);
+            break;
+        case 'export':
+            exportAggregates();
+            return;
+        case 'close':
+            toggleAggregatePanel(false);
+            return;
+        default:
+            return;
+    }
+
+    renderAggregateControls();
+    saveAggregateConfig();
+    updateAggregates();
+}
+
+/**
+ * Show or hide the totals panel
+ *
+ * @param {boolean} [open] - Whether to show the panel; toggles it when omitted
+ */
+function toggleAggregatePanel(open = !aggregatePanelOpen) {
+    aggregatePanelOpen = open;
+    document.getElementById('aggregatePanel').classList.toggle('d-none', !open);
+    if (open) {
+        updateAggregates();
+    } else {
+        clearTimeout(aggregateTimer);
+    }
+}
+
+/**
+ * Update the totals shortly after the table is drawn
+ * A draw follows every change of search, filters and edits; typing a search draws the
+ * table several times, and the totals only need to be worked out once.
+ */
+function scheduleAggregateUpdate() {
+    clearTimeout(aggregateTimer);
+    if (!aggregatePanelOpen) return;
+    aggregateTimer = setTimeout(updateAggregates, serverSideOptions ? 400 : 100);
+}
+
+/**
+ * Work out the totals of the rows matching the current search and filters and show them
+ */
+async function updateAggregates() {
+    clearTimeout(aggregateTimer);
+    if (!dataTable || !aggregatePanelOpen) return;
+
+    const updateId = ++aggregateUpdateCount;
+    const info = document.getElementById('aggregateInfo');
+    let rows;
+    try {
+        rows = await getAggregateRows();
+    } catch (error) {
+        info.textContent = `The totals could not be calculated: ${error.message}`;
+        return;
+    }
+    // A newer update started while the rows were being fetched
+    if (!rows || updateId !== aggregateUpdateCount) return;
+
+    aggregateResult = computeAggregates(rows, aggregateConfig);
+    renderAggregateTable(aggregateResult);
+    info.textContent = aggregateConfig.groupBy.length > 0
+        ? `${rows.length.toLocaleString()} matching rows in ${aggregateResult.rows.length.toLocaleString()} groups`
+        : `${rows.length.toLocaleString()} matching rows`;
+}
+
+/**
+ * Get the rows matching the current search and filters as arrays of values in column order
+ * In server-side mode the table only holds the current page, so the rows are fetched from the server.
+ *
+ * @returns {Promise<Array<Array>|null>} The rows, or null if the table hasn't asked the server for any rows yet
+ */
+async function getAggregateRows() {
+    if (!serverSideOptions) {
+        return dataTable.rows({ search: 'applied' }).data().toArray().map(row => Object.values(row));
+    }
+
+    const params = dataTable.ajax.params();
+    if (!params) return null;
+    // The page and sort order don't change the totals
+    const { draw, start, length, order, ...search } = params;
+    const key = JSON.stringify(search);
+    if (!aggregateServerRows || aggregateServerRows.key !== key) {
+        aggregateServerRows = { key: key, rows: await fetchAllServerRows() };
+    }
+    return aggregateServerRows.rows;
+}
+
+/**
+ * Group rows and work out the totals of each group
+ *
+ * @param {Array<Array>} rows - The rows, as arrays of values in the order of currentHeaders
+ * @param {{groupBy: Array<string>, measures: Array<Object>}} config - The group-by columns and values
+ * @returns {{columns: Array<string>, rows: Array<Array>, totals: Array<number|null>, measures: Array<Object>}}
+ *     The column titles, one row per group (group values then totals, largest group first),
+ *     and the totals over all rows
+ */
+function computeAggregates(rows, config) {
+    const groupIndexes = config.groupBy.map(header => currentHeaders.indexOf(header));
+    // Totals of a price column are amounts in the currency of that column
+    const getCurrency = measure => {
+        if (!NUMERIC_AGGREGATE_FUNCTIONS.includes(measure.fn)) return null;
+        const index = [measure.column, measure.times]
+            .map(header => currentHeaders.indexOf(header))
+            .find(columnIndex => columnTypes[columnIndex] === 'currency');
+        if (index === undefined) return null;
+        return getCurrencySymbol(rows.map(values => values[index]));
+    };
+    const measures = config.measures.map(measure => ({
+        ...measure,
+        columnIndex: currentHeaders.indexOf(measure.column),
+        timesIndex: measure.times ? currentHeaders.indexOf(measure.times) : -1,
+        currency: getCurrency(measure)
+    }));
+    const createTotals = () => measures.map(() => ({ count: 0, sum: 0, min: Infinity, max: -Infinity, values: new Set() }));
+    const groups = new Map();
+    const overall = createTotals();
+
+    const addRow = (totals, values) => {
+        measures.forEach((measure, index) => {
+            const total = totals[index];
+            if (measure.fn === 'count') {
+                total.count++;
+            } else if (measure.fn === 'distinct') {
+                const value = String(values[measure.columnIndex] ?? '').trim();
+                if (value !== '') total.values.add(value);
+            } else {
+                let number = parseNumericValue(values[measure.columnIndex]);
+                if (measure.timesIndex !== -1) {
+                    number *= parseNumericValue(values[measure.timesIndex]);
+                }
+                // Empty and non-numeric cells are left out, like in a spreadsheet
+                if (Number.isNaN(number)) return;
+                total.count++;
+                total.sum += number;
+                total.min = Math.min(total.min, number);
+                total.max = Math.max(total.max, number);
+            }
+        });
+    };
+
+    const finish = totals => totals.map((total, index) => {
+        switch (measures[index].fn) {
+            case 'count': return total.count;
+            case 'distinct': return total.values.size;
+            case 'sum': return total.count ? total.sum : null;
+            case 'avg': return total.count ? total.sum / total.count : null;
+            case 'min': return total.count ? total.min : null;
+            case 'max': return total.count ? total.max : null;
+            default: return null;
+        }
+    });
+
+    rows.forEach(values => {
+        const groupValues = groupIndexes.map(index => String(values[index] ?? '').trim());
+        const key = JSON.stringify(groupValues);
+        let group = groups.get(key);
+        if (!group) {
+            group = { values: groupValues, size: 0, totals: createTotals() };
+            groups.set(key, group);
+        }
+        group.size++;
+        addRow(group.totals, values);
+        addRow(overall, values);
+    });
+
+    const groupRows = Array.from(groups.values())
+        .sort((a, b) => b.size - a.size)
+        .map(group => [...group.values, ...finish(group.totals)]);
+
+    return {
+        columns: [...config.groupBy, ...measures.map(getAggregateLabel)],
+        rows: config.groupBy.length > 0 ? groupRows : [finish(overall)],
+        totals: finish(overall),
+        measures: measures
+    };
+}
+
+/**
+ * Get the column title of a value in the totals table, e.g. "Sum of Remaining × Sale Price"
+ *
+ * @param {{fn: string, column: string, times: string}} measure - The value
+ * @returns {string} The title
+ */
+function getAggregateLabel(measure) {
+    if (measure.fn === 'count') return 'Count';
+    if (measure.fn === 'distinct') return `Distinct ${measure.column}`;
+    return `${AGGREGATE_FUNCTIONS[measure.fn]} of ${measure.column}${measure.times ? ` × ${measure.times}` : ''}`;
+}
+
+/**
+ * Format a total for display
+ * Totals of price columns are shown as amounts with the column's currency symbol,
+ * everything else with at most two decimals.
+ *
+ * @param {number|null} value - The total; null when the group has no numeric values
+ * @param {Object} measure - The value the total belongs to
+ * @returns {string} The formatted total
+ */
+function formatAggregateValue(value, measure) {
+    if (value === null || value === undefined) return '';
+    if (measure.currency) {
+        const amount = Math.abs(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        return `${value < 0 ? '-' : ''}${measure.currency}${amount}`;
+    }
+    return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+/**
+ * Show the totals in the totals table
+ * The table is rebuilt every time; its sort order is kept while the columns stay the same.
+ *
+ * @param {Object} result - The totals from computeAggregates()
+ */
+function renderAggregateTable(result) {
+    const groupCount = result.columns.length - result.measures.length;
+    let order = null;
+    if (aggregateTable) {
+        if (aggregateTable.columns().count() === result.columns.length) {
+            order = aggregateTable.order();
+        }
+        aggregateTable.destroy();
+        aggregateTable = null;
+    }
+
+    // With group-by columns the footer holds the totals over every matching row
+    const footer = groupCount > 0 ? `
+        <tfoot>
+            <tr>
+                <th colspan="${groupCount}">All matching rows</th>
+                ${result.totals.map((value, index) => `<th class="text-end">${escapeHtml(formatAggregateValue(value, result.measures[index]))}</th>`).join('')}
+            </tr>
+        </tfoot>
+    ` : '';
+    const table = document.getElementById('aggregateTable');
+    table.innerHTML = `
+        <thead><tr>${result.columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>
+        ${footer}
+    `;
+
+    aggregateTable = $(table).DataTable({
+        data: result.rows,
+        columns: result.columns.map((column, index) => {
+            if (index < groupCount) {
+                return {
+                    render: (value, type) => (type === 'display' && value === '' ? '<span class="text-muted">(empty)</span>' : escapeHtml(value))
+                };
+            }
+            const measure = result.measures[index - groupCount];
+            return {
+                type: 'num',
+                className: 'text-end',
+                render: (value, type) => (type === 'sort' || type === 'type'
+                    ? (value === null ? -Infinity : value)
+                    : formatAggregateValue(value, measure))
+            };
+        }),
+        order: order || [],
+        pageLength: 10,
+        autoWidth: false,
+        dom: 'rtip',
+        language: {
+            emptyTable: 'No rows match the current search.',
+            info: 'Showing _START_ to _END_ of _TOTAL_ groups',
+            infoEmpty: 'No groups'
+        }
+    });
+}
+
+/**
+ * Download the totals table as a CSV file
+ * Totals are written as plain numbers, rounded to two decimals, so spreadsheets can use them.
+ */
+function exportAggregates() {
+    if (!aggregateResult) return;
+
+    const data = aggregateTable ? aggregateTable.rows({ order: 'applied' }).data().toArray() : aggregateResult.rows;
+    const csv = Papa.unparse({
+        fields: aggregateResult.columns,
+        data: data.map(row => row.map(value => (typeof value === 'number' ? Math.round(value * 100) / 100 : (value ?? ''))))
+    });
+    const baseName = currentDataset ? currentDataset.name : 'dataset';
+    downloadFile(csv, `${baseName}-totals.csv`, 'text/csv;charset=utf-8;');
+}
+
+//=============================================================================
+// CHART FUNCTIONS
+//=============================================================================
+
+/**
+ * Set up the chart panel for the columns of a new table
+ * The chart settings are saved with the views for these columns.
+ */
+function setupChartPanel() {
+    chartConfig = normalizeChartConfig(getViewSettings().chart) || getDefaultChartConfig();
+    currentChart = null;
+    renderChartControls();
+    document.getElementById('chartPanel').classList.toggle('d-none', !chartPanelOpen);
+    scheduleChartUpdate();
+}
+
+/**
+ * Get the chart shown for columns that have no saved chart: the top 20 values of the first
+ * text column by the sum of the first whole-number column (for the inventory, the items with
+ * the most units remaining), or by their number of rows
+ *
+ * @returns {Object} The chart settings
+ */
+function getDefaultChartConfig() {
+    // Empty columns are detected as text too, so skip the ones without values where the rows are at hand
+    const hasValues = index => serverSideOptions ||
+        csvData.some(row => String(Object.values(row)[index] ?? '').trim() !== '');
+    const labelColumn = currentHeaders.find((header, index) => columnTypes[index] === 'text' && hasValues(index)) ||
+        currentHeaders[0];
+    const countColumn = currentHeaders.find((header, index) => columnTypes[index] === 'integer');
+    return {
+        type: 'bar',
+        label: labelColumn,
+        fn: countColumn ? 'sum' : 'count',
+        column: countColumn || '',
+        times: '',
+        limit: 20,
+        sort: 'value'
+    };
+}
+
+/**
+ * Clean up chart settings read from storage
+ *
+ * @param {*} config - The saved settings
+ * @returns {Object|null} The settings, or null if they don't fit the current columns
+ */
+function normalizeChartConfig(config) {
+    if (!config || typeof config !== 'object' || !CHART_TYPES[config.type] || !currentHeaders.includes(config.label)) {
+        return null;
+    }
+    // Histograms only use their column, which must still be numeric
+    const measure = config.type === 'histogram'
+        ? (NUMERIC_COLUMN_TYPES.includes(columnTypes[currentHeaders.indexOf(config.column)])
+            ? { fn: 'count', column: config.column, times: '' }
+            : null)
+        : normalizeAggregateConfig({ groupBy: [], measures: [config] }).measures[0];
+    if (!measure) return null;
+    return {
+        type: config.type,
+        label: config.label,
+        ...measure,
+        limit: [0, 10, 20, 50].includes(config.limit) ? config.limit : 20,
+        sort: config.sort === 'label' ? 'label' : 'value'
+    };
+}
+
+/**
+ * Save the chart settings with the views for the current columns
+ * Nothing is saved in compare mode, where the columns belong to the comparison.
+ */
+function saveChartConfig() {
+    if (compareState) return;
+    updateViewSettings(settings => {
+        settings.chart = { ...chartConfig };
+    });
+}
+
+/**
+ * Put the chart settings in the chart panel's controls
+ * Histograms only need a numeric column; the other charts need a label column and a value.
+ */
+function renderChartControls() {
+    const numericColumns = currentHeaders.filter((header, index) => NUMERIC_COLUMN_TYPES.includes(columnTypes[index]));
+    const histogram = chartConfig.type === 'histogram';
+    const numeric = histogram || NUMERIC_AGGREGATE_FUNCTIONS.includes(chartConfig.fn);
+    const options = (values, selected) => values.map(value =>
+        `<option value="${escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(value)}</option>`).join('');
+
+    document.getElementById('chartType').innerHTML = Object.keys(CHART_TYPES)
+        .filter(type => type !== 'histogram' || numericColumns.length > 0)
+        .map(type => `<option value="${type}" ${type === chartConfig.type ? 'selected' : ''}>${CHART_TYPES[type]}</option>`).join('');
+    document.getElementById('chartLabel').innerHTML = options(currentHeaders, chartConfig.label);
+    document.getElementById('chartFunction').innerHTML = Object.keys(AGGREGATE_FUNCTIONS)
+        .filter(fn => numericColumns.length > 0 || !NUMERIC_AGGREGATE_FUNCTIONS.includes(fn))
+        .map(fn => `<option value="${fn}" ${fn === chartConfig.fn ? 'selected' : ''}>${AGGREGATE_FUNCTIONS[fn]}</option>`).join('');
+    document.getElementById('chartColumn').innerHTML = options(numeric ? numericColumns : currentHeaders, chartConfig.column);
+    document.getElementById('chartTimes').innerHTML = `<option value="">(nothing)</option>${options(numericColumns, chartConfig.times)}`;
+    document.getElementById('chartLimit').value = String(chartConfig.limit);
+    document.getElementById('chartSort').value = chartConfig.sort;
+
+    document.querySelectorAll('#chartPanel .chart-label-option').forEach(group => group.classList.toggle('d-none', histogram));
+    document.getElementById('chartColumnGroup').classList.toggle('d-none', !histogram && chartConfig.fn === 'count');
+    document.getElementById('chartTimesGroup').classList.toggle('d-none', histogram || !numeric);
+}
+
+/**
+ * Handle changes to the chart panel's controls
+ *
+ * @param {Event} event - The change event
+ */
+function handleChartControlChange(event) {
+    const numericColumns = currentHeaders.filter((header, index) => NUMERIC_COLUMN_TYPES.includes(columnTypes[index]));
+    chartConfig.type = document.getElementById('chartType').value;
+    chartConfig.label = document.getElementById('chartLabel').value;
+    chartConfig.fn = document.getElementById('chartFunction').value;
+    chartConfig.column = document.getElementById('chartColumn').value;
+    chartConfig.times = document.getElementById('chartTimes').value;
+    chartConfig.limit = parseInt(document.getElementById('chartLimit').value, 10) || 0;
+    chartConfig.sort = document.getElementById('chartSort').value;
+
+    // Pick a column the chart type and function can use
+    const numeric = chartConfig.type === 'histogram' || NUMERIC_AGGREGATE_FUNCTIONS.includes(chartConfig.fn);
+    if (numeric && !numericColumns.includes(chartConfig.column)) {
+        chartConfig.column = numericColumns[0] || '';
+    }
+    if (chartConfig.fn === 'count' && chartConfig.type !== 'histogram') {
+        chartConfig.column = '';
+    } else if (!chartConfig.column) {
+        chartConfig.column = currentHeaders[0];
+    }
+    if (!NUMERIC_AGGREGATE_FUNCTIONS.includes(chartConfig.fn)) {
+        chartConfig.times = '';
+    }
+    if (event.target.id === 'chartType') {
+        // Lines usually follow their labels, e.g. dates or sizes; bars and slices are ranked
+        chartConfig.sort = chartConfig.type === 'line' ? 'label' : 'value';
+    }
+
+    renderChartControls();
+    saveChartConfig();
+    updateChart();
+}
+
+/**
+ * Handle the buttons of the chart panel
+ *
+ * @param {Event} event - The click event
+ */
+function handleChartPanelClick(event) {
+    const target = event.target.closest('[data-action]');
+    if (!target) return;
+
+    switch (target.getAttribute('data-action')) {
+        case 'png':
+            downloadChart('png');
+            break;
+        case 'svg':
+            downloadChart('svg');
+            break;
+        case 'close':
+            toggleChartPanel(false);
+            break;
+    }
+}
+
+/**
+ * Show or hide the chart panel
+ *
+ * @param {boolean} [open] - Whether to show the panel; toggles it when omitted
+ */
+function toggleChartPanel(open = !chartPanelOpen) {
+    chartPanelOpen = open;
+    document.getElementById('chartPanel').classList.toggle('d-none', !open);
+    if (open) {
+        updateChart();
+    } else {
+        clearTimeout(chartTimer);
+    }
+}
+
+/**
+ * Redraw the chart shortly after the table is drawn, like the totals
+ */
+function scheduleChartUpdate() {
+    clearTimeout(chartTimer);
+    if (!chartPanelOpen) return;
+    chartTimer = setTimeout(updateChart, serverSideOptions ? 400 : 100);
+}
+
+/**
+ * Draw the chart from the rows matching the current search and filters
+ */
+async function updateChart() {
+    clearTimeout(chartTimer);
+    if (!dataTable || !chartPanelOpen) return;
+
+    const updateId = ++chartUpdateCount;
+    const info = document.getElementById('chartInfo');
+    let rows;
+    try {
+        rows = await getAggregateRows();
+    } catch (error) {
+        info.textContent = `The chart could not be drawn: ${error.message}`;
+        return;
+    }
+    if (!rows || updateId !== chartUpdateCount) return;
+
+    const chart = getChartPoints(rows, chartConfig);
+    currentChart = drawChart(chartConfig.type === 'histogram' ? 'column' : chartConfig.type, chart.points, {
+        title: chart.title,
+        formatValue: chart.formatValue,
+        gapless: chartConfig.type === 'histogram'
+    });
+    document.getElementById('chartCanvas').innerHTML = currentChart.svg;
+    info.textContent = `Drawn from ${rows.length.toLocaleString()} matching rows${chart.note}`;
+}
+
+/**
+ * Work out the points of the chart
+ * Histograms count the values of a numeric column in equal ranges; other charts total each
+ * value of the label column the way the totals panel does.
+ *
+ * @param {Array<Array>} rows - The rows, as arrays of values in the order of currentHeaders
+ * @param {Object} config - The chart settings
+ * @returns {{points: Array<{label: string, value: number}>, title: string, formatValue: function(number): string, note: string}}
+ *     The points, the chart title, how to format values, and a note for the info line
+ */
+function getChartPoints(rows, config) {
+    if (config.type === 'histogram') {
+        const index = currentHeaders.indexOf(config.column);
+        const values = rows.map(values => values[index]);
+        const currency = columnTypes[index] === 'currency' ? getCurrencySymbol(values) : null;
+        const format = value => formatAggregateValue(value, { currency: currency });
+        const numbers = values.map(parseNumericValue).filter(number => !Number.isNaN(number));
+        const bins = buildHistogram(numbers, columnTypes[index] === 'integer');
+        return {
+            points: bins.map(bin => ({
+                label: bin.from === bin.to ? format(bin.from) : `${format(bin.from)} – ${format(bin.to)}`,
+                axisLabel: format(bin.from),
+                value: bin.count
+            })),
+            title: `Distribution of ${config.column}`,
+            formatValue: value => value.toLocaleString(),
+            note: numbers.length < rows.length ? `, ${(rows.length - numbers.length).toLocaleString()} without a number` : ''
+        };
+    }
+
+    const result = computeAggregates(rows, { groupBy: [config.label], measures: [config] });
+    const measure = result.measures[0];
+    let points = result.rows
+        .filter(row => row[1] !== null)
+        .map(row => ({ label: row[0] === '' ? '(empty)' : row[0], value: row[1] }));
+    if (config.sort === 'label') {
+        const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+        points.sort((a, b) => collator.compare(a.label, b.label));
+    } else {
+        points.sort((a, b) => b.value - a.value);
+    }
+
+    let note = '';
+    if (config.limit && points.length > config.limit) {
+        note = `, showing ${config.limit} of ${points.length.toLocaleString()} ${config.label} values`;
+        const rest = config.sort === 'label' ? [] : points.slice(config.limit);
+        points = points.slice(0, config.limit);
+        // A pie shows the whole, so the values left out become one slice when they add up
+        if (config.type === 'pie' && ['count', 'sum'].includes(config.fn) && rest.length > 0) {
+            points.push({ label: 'Other', value: rest.reduce((sum, point) => sum + point.value, 0) });
+        }
+    }
+
+    return {
+        points: points,
+        title: `${getAggregateLabel(measure)} by ${config.label}`,
+        formatValue: value => formatAggregateValue(value, measure),
+        note: note
+    };
+}
+
+/**
+ * Download the current chart as a PNG image or an SVG file
+ *
+ * @param {string} format - 'png' or 'svg'
+ */
+async function downloadChart(format) {
+    if (!currentChart) return;
+
+    const baseName = currentDataset ? currentDataset.name : 'dataset';
+    if (format === 'svg') {
+        downloadFile(currentChart.svg, `${baseName}-chart.svg`, 'image/svg+xml;charset=utf-8;');
+        return;
+    }
+    try {
+        downloadFile(await chartToPng(currentChart), `${baseName}-chart.png`, 'image/png');
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+//=============================================================================
+// BARCODE SCAN FUNCTIONS
+//=============================================================================
+
+/**
+ * Show or hide the scan panel, which turns scan mode on and off
+ *
+ * @param {boolean} [open] - Whether to show the panel; toggles it when omitted
+ */
+function toggleScanPanel(open = !scanModeOn) {
+    scanModeOn = open;
+    scanBuffer = { keys: '', last: 0, target: null, value: null };
+    document.getElementById('scanPanel').classList.toggle('d-none', !open);
+    document.getElementById('scanToggle').classList.toggle('active', open);
+    if (open) {
+        renderScanHistory();
+        document.getElementById('scanInput').focus();
+    }
+}
+
+/**
+ * Tell barcode scanner input from typing, anywhere on the page while scan mode is on
+ * Scanners act as a keyboard that types the digits of the code very quickly and then presses Enter.
+ * Registered as a capturing listener, so a scan's Enter doesn't also submit or save whatever has focus.
+ *
+ * @param {KeyboardEvent} event - The keydown event
+ */
+function handleScanKeydown(event) {
+    if (!scanModeOn || event.ctrlKey || event.altKey || event.metaKey) return;
+    const now = event.timeStamp;
+
+    if (/^\d$/.test(event.key)) {
+        // A slow key starts a new burst; remember the focused input's text from before it
+        if (now - scanBuffer.last > SCAN_KEY_INTERVAL) {
+            const target = event.target;
+            const isInput = target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement;
+            scanBuffer = { keys: '', last: now, target, value: isInput ? target.value : null };
+        }
+        scanBuffer.keys += event.key;
+        scanBuffer.last = now;
+        return;
+    }
+
+    if (event.key === 'Enter' && scanBuffer.keys.length >= MIN_SCAN_LENGTH && now - scanBuffer.last <= SCAN_KEY_INTERVAL * 2) {
+        event.preventDefault();
+        event.stopPropagation();
+
+        // The digits were also typed into whatever had focus, so put its text back
+        const { keys, target, value } = scanBuffer;
+        if (value !== null && target.value === value + keys) {
+            target.value = target.id === 'scanInput' ? '' : value;
+            target.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+        scanBuffer = { keys: '', last: 0, target: null, value: null };
+        lookupBarcode(keys);
+        return;
+    }
+
+    if (event.key !== 'Shift') {
+        scanBuffer = { keys: '', last: 0, target: null, value: null };
+    }
+}
+
+/**
+ * Look up the barcode typed into the scan panel's input
+ *
+ * @param {Event} event - The submit event of the scan form
+ */
+function handleScanSubmit(event) {
+    event.preventDefault();
+    const input = document.getElementById('scanInput');
+    if (input.value.trim() === '') return;
+    lookupBarcode(input.value);
+    input.value = '';
+}
+
+/**
+ * Check a barcode's length and check digit
+ * UPC-A codes have 12 digits and EAN-13 codes 13. Codes of 9 to 11 digits are taken to be
+ * UPC-A codes that lost their leading zeros, e.g. in a spreadsheet.
+ *
+ * @param {string} code - The barcode digits
+ * @returns {{valid: boolean, format: string, message: string}} Whether the code is valid,
+ *     its format ('UPC-A' or 'EAN-13') and what is wrong with it
+ */
+function validateBarcode(code) {
+    if (!/^\d+$/.test(code)) {
+        return { valid: false, format: '', message: 'A barcode has digits only.' };
+    }
+    if (code.length < 9 || code.length > 13) {
+        return { valid: false, format: '', message: `A barcode has 12 (UPC-A) or 13 (EAN-13) digits, not ${code.length}.` };
+    }
+
+    const format = code.length === 13 ? 'EAN-13' : 'UPC-A';
+    const expected = getBarcodeCheckDigit(code.slice(0, -1));
+    if (Number(code.slice(-1)) !== expected) {
+        return { valid: false, format, message: `The check digit of this ${format} code should be ${expected}. Scan it again.` };
+    }
+    return { valid: true, format, message: '' };
+}
+
+/**
+ * Work out the check digit of a UPC or EAN code
+ * From the right, the digits are weighted 3, 1, 3, 1...; the check digit makes the sum a multiple of 10.
+ * Leading zeros don't change the sum, so the same function serves UPC-A and EAN-13.
+ *
+ * @param {string} digits - The code without its check digit
+ * @returns {number} The check digit
+ */
+function getBarcodeCheckDigit(digits) {
+    let sum = 0;
+    for (let i = digits.length - 1, weight = 3; i >= 0; i--, weight = 4 - weight) {
+        sum += Number(digits[i]) * weight;
+    }
+    return (10 - sum % 10) % 10;
+}
+
+/**
+ * Find the columns that hold barcodes: identifier columns named UPC, EAN, GTIN or barcode,
+ * or every identifier column if none is
+ *
+ * @returns {Array<string>} The column headers
+ */
+function getBarcodeColumns() {
+    const identifiers = currentHeaders.filter((header, index) => columnTypes[index] === 'identifier');
+    const named = identifiers.filter(header => /\b(upc|ean|gtin|barcode)/i.test(header));
+    return named.length > 0 ? named : identifiers;
+}
+
+/**
+ * Find the rows with a barcode in any barcode column
+ * Codes are compared without leading zeros, so 012345678905, 0012345678905 and 12345678905 are the same.
+ *
+ * @param {string} code - The barcode
+ * @returns {Promise<Array<{row: Object, header: string}>>} The matching rows and the column each matched in
+ */
+async function findBarcodeRows(code) {
+    const source = serverSideOptions ? serverSideOptions.datasetId : csvData;
+    if (!scanIndex || scanIndex.source !== source) {
+        const rows = serverSideOptions ?
+            (await getAllServerRows()).map(values => Object.fromEntries(currentHeaders.map((header, index) => [header, values[index]]))) :
+            csvData;
+        const index = new Map();
+        const columns = getBarcodeColumns();
+        rows.forEach(row => {
+            columns.forEach(header => {
+                const value = String(row[header] ?? '').trim();
+                if (!/^\d+$/.test(value)) return;
+                const key = value.replace(/^0+/, '');
+                if (!index.has(key)) index.set(key, []);
+                index.get(key).push({ row, header });
+            });
+        });
+        scanIndex = { source, rows: index };
+    }
+    return scanIndex.rows.get(code.replace(/^0+/, '')) || [];
+}
+
+/**
+ * Look up a scanned or typed barcode, show the matching item and add the scan to the history
+ *
+ * @param {string} input - The barcode
+ * @param {boolean} [record=true] - Add the scan to the history; false to show an earlier scan again
+ */
+async function lookupBarcode(input, record = true) {
+    const code = String(input).replace(/\s+/g, '');
+    const check = validateBarcode(code);
+    const entry = { time: new Date().toISOString(), code, format: check.format, result: 'Invalid', matches: 0, row: null };
+
+    if (!check.valid) {
+        renderScanResult(code, check, []);
+    } else if (!dataTable) {
+        check.message = 'Load a dataset to look up barcodes.';
+        renderScanResult(code, check, []);
+        return;
+    } else {
+        try {
+            const matches = await findBarcodeRows(code);
+            entry.result = matches.length > 0 ? 'Found' : 'Not found';
+            entry.matches = matches.length;
+            entry.row = matches.length > 0 ? { ...matches[0].row } : null;
+            renderScanResult(code, check, matches);
+        } catch (error) {
+            console.error('Error looking up barcode:', error);
+            renderScanResult(code, { ...check, valid: false, message: `Could not look up the barcode: ${error.message}` }, []);
+            return;
+        }
+    }
+
+    if (record) {
+        scanHistory.unshift(entry);
+        scanHistory.length = Math.min(scanHistory.length, MAX_SCAN_HISTORY);
+        saveScanHistory();
+        renderScanHistory();
+    }
+}
+
+/**
+ * Show the result of a scan: the detail card of the matching item, or what went wrong
+ *
+ * @param {string} code - The barcode
+ * @param {{valid: boolean, format: string, message: string}} check - The result of validateBarcode()
+ * @param {Array<{row: Object, header: string}>} matches - The matching rows
+ */
+function renderScanResult(code, check, matches) {
+    const result = document.getElementById('scanResult');
+
+    if (!check.valid || matches.length === 0) {
+        const message = !check.valid ? check.message : `No item has the ${check.format} code ${code}.`;
+        result.innerHTML = `
+            <div class="alert ${check.valid ? 'alert-warning' : 'alert-danger'} mb-0">
+                <i class="fas ${check.valid ? 'fa-circle-question' : 'fa-triangle-exclamation'} me-2"></i>
+                <strong>${escapeHtml(code)}</strong><br>${escapeHtml(message)}
+            </div>
+        `;
+        return;
+    }
+
+    const { row, header } = matches[0];
+    const titleColumn = currentHeaders.find((name, index) => columnTypes[index] === 'text' && String(row[name] ?? '').trim() !== '');
+    const fields = currentHeaders.map(name => `
+        <dt class="col-sm-4 text-muted fw-normal">${escapeHtml(name)}</dt>
+        <dd class="col-sm-8 ${name === header ? 'fw-bold' : ''}">${escapeHtml(String(row[name] ?? '')) || '<span class="text-muted">&ndash;</span>'}</dd>
+    `).join('');
+
+    result.innerHTML = `
+        <div class="card border-success scan-card">
+            <div class="card-header bg-success-subtle d-flex justify-content-between align-items-center">
+                <span><i class="fas fa-check me-2"></i>${escapeHtml(check.format)} ${escapeHtml(code)}</span>
+                <button type="button" class="btn btn-sm btn-outline-success" data-action="show"
+                        data-column="${escapeHtml(header)}" data-value="${escapeHtml(String(row[header]))}">
+                    <i class="fas fa-table me-1"></i>Show in table
+                </button>
+            </div>
+            <div class="card-body">
+                <h5 class="card-title">${escapeHtml(titleColumn ? String(row[titleColumn]) : String(row[header]))}</h5>
+                <dl class="row mb-0">${fields}</dl>
+                ${matches.length > 1 ? `
+                <div class="alert alert-warning small mt-3 mb-0">
+                    ${matches.length} rows have this code; the first is shown. Click "Show in table" to see them all.
+                </div>
+                ` : ''}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * List the latest scans in the scan panel
+ */
+function renderScanHistory() {
+    const list = document.getElementById('scanHistory');
+    const count = document.getElementById('scanHistoryCount');
+    count.textContent = `${scanHistory.length.toLocaleString()} scan${scanHistory.length === 1 ? '' : 's'}`;
+    document.querySelectorAll('#scanPanel [data-action="export"], #scanPanel [data-action="clear"]').forEach(button => {
+        button.disabled = scanHistory.length === 0;
+    });
+
+    if (scanHistory.length === 0) {
+        list.innerHTML = '<p class="text-muted small mb-0">Scanned barcodes are listed here.</p>';
+        return;
+    }
+
+    const badges = { 'Found': 'bg-success', 'Not found': 'bg-warning text-dark', 'Invalid': 'bg-danger' };
+    const rows = scanHistory.slice(0, MAX_LISTED_SCANS).map(entry => {
+        const label = entry.row ? Object.values(entry.row).find(value => /[a-z]/i.test(String(value ?? ''))) : '';
+        return `
+            <tr>
+                <td class="text-nowrap text-muted">${escapeHtml(new Date(entry.time).toLocaleTimeString())}</td>
+                <td class="text-nowrap">
+                    <button type="button" class="btn btn-link btn-sm p-0" data-action="lookup" data-code="${escapeHtml(entry.code)}" title="Show this item again">
+                        ${escapeHtml(entry.code)}
+                    </button>
+                </td>
+                <td><span class="badge ${badges[entry.result] || 'bg-secondary'}">${escapeHtml(entry.result)}</span></td>
+                <td class="small">${escapeHtml(label || '')}</td>
+            </tr>
+        `;
+    }).join('');
+
+    list.innerHTML = `
+        <div class="table-responsive scan-history">
+            <table class="table table-sm table-hover mb-0">
+                <thead><tr><th>Time</th><th>Barcode</th><th>Result</th><th>Item</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        ${scanHistory.length > MAX_LISTED_SCANS ? `<p class="text-muted small mt-2 mb-0">Showing the latest ${MAX_LISTED_SCANS} scans; the download has all of them.</p>` : ''}
+    `;
+}
+
+/**
+ * Handle the buttons of the scan panel
+ *
+ * @param {Event} event - The click event
+ */
+function handleScanPanelClick(event) {
+    const target = event.target.closest('[data-action]');
+    if (!target) return;
+
+    switch (target.getAttribute('data-action')) {
+        case 'show':
+            // Filter the table to the scanned code, like clicking a value in a column profile
+            setColumnFilter(target.getAttribute('data-column'), { operator: 'exact', value: target.getAttribute('data-value') });
+            syncFilterControls();
+            break;
+        case 'lookup':
+            lookupBarcode(target.getAttribute('data-code'), false);
+            break;
+        case 'export':
+            exportScanHistory();
+            break;
+        case 'clear':
+            if (confirm('Clear the scan history?')) {
+                scanHistory = [];
+                saveScanHistory();
+                renderScanHistory();
+            }
+            break;
+        case 'close':
+            toggleScanPanel(false);
+            break;
+    }
+}
+
+/**
+ * Read the scan history saved in localStorage
+ */
+function loadScanHistory() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SCAN_HISTORY_STORAGE_KEY) || '[]');
+        scanHistory = Array.isArray(saved) ? saved.filter(entry => entry && typeof entry.code === 'string') : [];
+    } catch (error) {
+        console.error('Error loading the scan history:', error);
+        scanHistory = [];
+    }
+}
+
+/**
+ * Save the scan history in localStorage
+ */
+function saveScanHistory() {
+    try {
+        localStorage.setItem(SCAN_HISTORY_STORAGE_KEY, JSON.stringify(scanHistory));
+    } catch (error) {
+        // Usually the storage quota; the history is still kept in the page
+        console.error('Error saving the scan history:', error);
+    }
+}
+
+/**
+ * Download the scan history as a CSV file, oldest scan first
+ * Each line has the time, barcode, format, result and number of matching rows,
+ * followed by the values of the first matching row.
+ */
+function exportScanHistory() {
+    const columns = [];
+    scanHistory.forEach(entry => {
+        Object.keys(entry.row || {}).forEach(header => {
+            if (!columns.includes(header)) columns.push(header);
+        });
+    });
+
+    const data = scanHistory.slice().reverse().map(entry => [
+        entry.time,
+        entry.code,
+        entry.format,
+        entry.result,
+        entry.matches,
+        ...columns.map(header => (entry.row && entry.row[header] !== undefined ? entry.row[header] : ''))
+    ]);
+    const csv = Papa.unparse({ fields: ['Time', 'Barcode', 'Format', 'Result', 'Matches', ...columns], data: data });
+    downloadFile(csv, `scans-${new Date().toISOString().slice(0, 10)}.csv`, 'text/csv;charset=utf-8;');
+}
+
+//=============================================================================
+// ROW SELECTION FUNCTIONS
+//=============================================================================
+
+/**
+ * Select or deselect the clicked row; shift-click selects every row between it and the row clicked before
+ * Clicks on buttons, links and inputs in the table are left to them.
+ *
+ * @param {MouseEvent} event - The click event
+ */
+function handleRowClick(event) {
+    const rowNode = event.target.closest('#csvDataTable tbody tr');
+    if (!rowNode || !dataTable || event.target.closest('a, button, input, select, textarea')) return;
+
+    const row = dataTable.row(rowNode);
+    if (row.index() === undefined) return;   // The "No matching records" row
+
+    const nodes = dataTable.rows({ page: 'current' }).nodes().toArray();
+    const position = nodes.indexOf(rowNode);
+    if (event.shiftKey && lastClickedRowPosition !== null && lastClickedRowPosition < nodes.length) {
+        // A shift-click also selects text in the browser, which isn't wanted here
+        window.getSelection().removeAllRanges();
+        const from = Math.min(position, lastClickedRowPosition);
+        const to = Math.max(position, lastClickedRowPosition);
+        nodes.slice(from, to + 1).forEach(node => {
+            const data = dataTable.row(node).data();
+            selectedRows.set(getRowSelectionKey(data), data);
+        });
+    } else {
+        const data = row.data();
+        const key = getRowSelectionKey(data);
+        if (selectedRows.has(key)) {
+            selectedRows.delete(key);
+        } else {
+            selectedRows.set(key, data);
+        }
+    }
+    lastClickedRowPosition = position;
+    refreshRowSelection();
+}
+
+/**
+ * Get the key a row is kept under in selectedRows
+ * Server-side rows are new arrays every time a page is drawn, so they are kept by their values.
+ *
+ * @param {Object|Array} row - The row data
+ * @returns {Object|string} The row itself, or its values as JSON for server-side rows
+ */
+function getRowSelectionKey(row) {
+    return serverSideOptions ? JSON.stringify(row) : row;
+}
+
+/**
+ * Highlight a row of the table if it is selected
+ * Called by DataTables' rowCallback for every row that is drawn.
+ *
+ * @param {HTMLElement} rowNode - The table row
+ * @param {Object|Array} rowData - The row's data
+ */
+function markSelectedRow(rowNode, rowData) {
+    rowNode.classList.toggle('row-selected', selectedRows.has(getRowSelectionKey(rowData)));
+}
+
+/**
+ * Update the highlighted rows of the current page and the selection count under the table
+ */
+function refreshRowSelection() {
+    if (!dataTable) return;
+    dataTable.rows({ page: 'current' }).every(function() {
+        markSelectedRow(this.node(), this.data());
+    });
+    const info = document.getElementById('csvDataTable_info');
+    if (info) {
+        info.textContent = tableInfoText + getSelectionInfo();
+    }
+}
+
+/**
+ * Clear the row selection
+ */
+function clearRowSelection() {
+    selectedRows = new Map();
+    lastClickedRowPosition = null;
+    refreshRowSelection();
+}
+
+/**
+ * Describe the row selection for the table information, e.g. " (3 rows selected)"
+ *
+ * @returns {string} The description, or an empty string if no row is selected
+ */
+function getSelectionInfo() {
+    const count = selectedRows.size;
+    return count === 0 ? '' : ` (${count.toLocaleString()} row${count === 1 ? '' : 's'} selected)`;
+}
+
+/**
+ * Get the selected rows that are still in the table, in its sort order
+ * Server-side rows are returned in the order they were selected.
+ *
+ * @returns {Array<Object|Array>} The rows
+ */
+function getSelectedRows() {
+    if (serverSideOptions) {
+        return Array.from(selectedRows.values());
+    }
+    return dataTable.rows({ order: 'applied' }).data().toArray().filter(row => selectedRows.has(row));
+}
+
+//=============================================================================
+// EXPORT FUNCTIONS
+//=============================================================================
+
+/**
+ * Fill the export dialog with the row counts of each scope, the visible columns and the choices made last time
+ * This function is called every time the dialog is opened
+ */
+function populateExportModal() {
+    const settings = loadExportSettings();
+    document.getElementById('exportFormat').innerHTML = Object.entries(EXPORT_FORMATS).map(([format, { label }]) =>
+        `<option value="${format}">${escapeHtml(label)}</option>`).join('');
+    document.getElementById('exportEncoding').innerHTML = Object.entries(EXPORT_ENCODINGS).map(([encoding, label]) =>
+        `<option value="${encoding}">${escapeHtml(label)}</option>`).join('');
+
+    const downloadBtn = document.getElementById('exportDownloadBtn');
+    downloadBtn.disabled = !dataTable;
+    if (!dataTable) {
+        document.getElementById('exportColumnsNote').textContent = 'Load a dataset to export it.';
+        return;
+    }
+
+    const info = dataTable.page.info();
+    const counts = {
+        all: info.recordsTotal,
+        filtered: info.recordsDisplay,
+        selected: getSelectedRows().length,
+        page: dataTable.rows({ page: 'current' }).count()
+    };
+    Object.entries(counts).forEach(([scope, count]) => {
+        document.querySelector(`#exportModal [data-scope-count="${scope}"]`).textContent = count.toLocaleString();
+    });
+
+    // "Selected rows" needs a selection; fall back to the filtered rows without one
+    // Virtual scrolling has no pages, so "Current page" falls back the same way
+    document.getElementById('exportScopeSelected').disabled = counts.selected === 0;
+    document.getElementById('exportScopePage').disabled = virtualScrolling;
+    document.getElementById('clearSelectionBtn').classList.toggle('d-none', counts.selected === 0);
+    const unavailable = (settings.scope === 'selected' && counts.selected === 0) || (settings.scope === 'page' && virtualScrolling);
+    const scope = unavailable ? 'filtered' : settings.scope;
+    document.querySelector(`#exportModal input[name="exportScope"][value="${scope}"]`).checked = true;
+
+    document.getElementById('exportFormat').value = settings.format;
+    document.getElementById('exportDelimiter').value = settings.delimiter;
+    document.getElementById('exportEncoding').value = settings.encoding;
+    document.getElementById('exportHeader').checked = settings.header;
+    document.getElementById('exportTableName').value = settings.tableName;
+    document.getElementById('exportTableName').placeholder = getDefaultTableName();
+    document.getElementById('exportFileName').value = settings.fileName;
+
+    const columns = getExportColumns();
+    document.getElementById('exportColumnsNote').textContent = columns.length === currentHeaders.length ?
+        `All ${columns.length} columns, in table order.` :
+        `${columns.length} of ${currentHeaders.length} columns, the visible ones in table order: ${columns.map(column => column.header).join(', ')}.`;
+    updateExportOptions();
+}
+
+/**
+ * Show the options of the chosen format and the resulting file name
+ * Called whenever a control of the export dialog changes
+ */
+function updateExportOptions() {
+    const settings = readExportSettings();
+    const options = {
+        delimiter: settings.format === 'csv',
+        header: ['csv', 'tsv'].includes(settings.format),
+        encoding: settings.format !== 'xlsx',
+        tableName: settings.format === 'sql'
+    };
+    Object.entries(options).forEach(([option, shown]) => {
+        document.querySelector(`#exportModal [data-export-option="${option}"]`).classList.toggle('d-none', !shown);
+    });
+
+    const fileName = `${buildExportFileName(settings.fileName, settings.scope)}.${EXPORT_FORMATS[settings.format].extension}`;
+    document.getElementById('exportFileNamePreview').textContent = fileName;
+}
+
+/**
+ * Handle the "Clear selection" button of the export dialog
+ *
+ * @param {Event} event - The click event
+ */
+function handleExportModalClick(event) {
+    if (!event.target.closest('#clearSelectionBtn')) return;
+    clearRowSelection();
+    populateExportModal();
+}
+
+/**
+ * Read the choices of the export dialog
+ *
+ * @returns {{scope: string, format: string, delimiter: string, encoding: string, header: boolean, tableName: string, fileName: string}}
+ */
+function readExportSettings() {
+    const scope = document.querySelector('#exportModal input[name="exportScope"]:checked');
+    return {
+        scope: scope ? scope.value : DEFAULT_EXPORT_SETTINGS.scope,
+        format: document.getElementById('exportFormat').value,
+        delimiter: document.getElementById('exportDelimiter').value,
+        encoding: document.getElementById('exportEncoding').value,
+        header: document.getElementById('exportHeader').checked,
+        tableName: document.getElementById('exportTableName').value.trim(),
+        fileName: document.getElementById('exportFileName').value.trim() || DEFAULT_EXPORT_SETTINGS.fileName
+    };
+}
+
+/**
+ * Read the export choices saved the last time a file was exported
+ *
+ * @returns {Object} The saved choices, with defaults for anything missing or no longer valid
+ */
+function loadExportSettings() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(EXPORT_SETTINGS_STORAGE_KEY) || '{}') || {};
+    } catch (error) {
+        console.error('Error loading the export settings:', error);
+    }
+    const settings = { ...DEFAULT_EXPORT_SETTINGS, ...saved };
+    if (!EXPORT_FORMATS[settings.format]) settings.format = DEFAULT_EXPORT_SETTINGS.format;
+    if (!EXPORT_ENCODINGS[settings.encoding]) settings.encoding = DEFAULT_EXPORT_SETTINGS.encoding;
+    if (!['all', 'filtered', 'selected', 'page'].includes(settings.scope)) settings.scope = DEFAULT_EXPORT_SETTINGS.scope;
+    return settings;
+}
+
+/**
+ * Export rows of the table with the choices of the export dialog
+ * This function is called when the user clicks "Download" in the export dialog.
+ * Only the visible columns are exported, in the order they are shown in.
+ */
+async function exportData() {
+    const settings = readExportSettings();
+    try {
+        localStorage.setItem(EXPORT_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.error('Error saving the export settings:', error);
+    }
+
+    const columns = getExportColumns();
+    let rows;
+    try {
+        rows = await getExportRows(settings.scope);
+    } catch (error) {
+        showError(`Export failed: ${escapeHtml(error.message)}`);
+        return;
+    }
+    const values = rows.map(row => {
+        const rowValues = Object.values(row);
+        return columns.map(column => rowValues[column.index] ?? '');
+    });
+
+    const format = EXPORT_FORMATS[settings.format];
+    const content = formatExportData(settings, columns, values);
+    const fileName = `${buildExportFileName(settings.fileName, settings.scope)}.${format.extension}`;
+    if (typeof content === 'string') {
+        downloadFile(encodeExportText(content, settings.encoding), fileName, format.type);
+    } else {
+        downloadFile(new Blob([content], { type: format.type }), fileName, format.type);
+    }
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('exportModal')).hide();
+}
+
+/**
+ * Get the columns to export: the visible ones, in the order they are shown in
+ *
+ * @returns {Array<{index: number, header: string, type: string}>} Each column's index in the row data, header and type
+ */
+function getExportColumns() {
+    return dataTable.columns().indexes().toArray()
+        .filter(column => dataTable.column(column).visible())
+        .map(column => toHeaderIndex(column))
+        .map(index => ({
+            index: index,
+            header: currentHeaders[index],
+            type: columnTypes[index]
+        }));
+}
+
+/**
+ * Get the rows to export, in the table's sort order
+ * In server-side mode the table only holds the current page, so the other scopes are fetched from the server.
+ *
+ * @param {string} scope - 'all', 'filtered', 'selected' or 'page'
+ * @returns {Promise<Array<Object|Array>>} The rows
+ */
+async function getExportRows(scope) {
+    if (scope === 'selected') {
+        return getSelectedRows();
+    }
+    if (scope === 'page') {
+        return dataTable.rows({ search: 'applied', order: 'applied', page: 'current' }).data().toArray();
+    }
+    if (serverSideOptions) {
+        return fetchAllServerRows(scope === 'all');
+    }
+    return dataTable.rows(scope === 'all' ? { order: 'applied' } : { search: 'applied', order: 'applied' }).data().toArray();
+}
+
+/**
+ * Build the content of an export file
+ *
+ * @param {Object} settings - The choices of the export dialog
+ * @param {Array<{index: number, header: string, type: string}>} columns - The exported columns
+ * @param {Array<Array>} rows - The values of each row, one per column
+ * @returns {string|ArrayBuffer} The text of the file, or the XLSX workbook
+ */
+function formatExportData(settings, columns, rows) {
+    const headers = columns.map(column => column.header);
+    switch (settings.format) {
+        case 'tsv':
+        case 'csv':
+            return Papa.unparse({ fields: headers, data: rows }, {
+                delimiter: settings.format === 'tsv' ? '\t' : settings.delimiter,
+                header: settings.header,
+                newline: '\r\n'
+            });
+        case 'json':
+            return JSON.stringify(rows.map(row => createExportRecord(columns, row)), null, 2);
+        case 'ndjson':
+            return rows.map(row => JSON.stringify(createExportRecord(columns, row))).join('\n') + '\n';
+        case 'markdown':
+            return formatMarkdownTable(columns, rows);
+        case 'sql':
+            return formatSqlInserts(settings.tableName || getDefaultTableName(), columns, rows);
+        case 'xlsx':
+            return formatXlsxWorkbook(columns, rows);
+        default:
+            throw new Error(`Unknown export format: ${settings.format}`);
+    }
+}
+
+/**
+ * Get a value as it should appear in JSON and SQL exports
+ * Integers and decimals become numbers; empty cells become null. Everything else stays text,
+ * so barcodes keep their leading zeros and prices their currency symbol.
+ *
+ * @param {*} value - The cell value
+ * @param {string} type - The column type
+ * @returns {string|number|null} The typed value
+ */
+function getTypedExportValue(value, type) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    if (type === 'integer' || type === 'decimal') {
+        const number = parseNumericValue(value);
+        if (!Number.isNaN(number)) return number;
+    }
+    return String(value);
+}
+
+/**
+ * Turn a row into an object keyed by column header, for JSON and NDJSON exports
+ *
+ * @param {Array<{header: string, type: string}>} columns - The exported columns
+ * @param {Array} row - The row's values
+ * @returns {Object} The record
+ */
+function createExportRecord(columns, row) {
+    const record = {};
+    columns.forEach((column, index) => {
+        record[column.header] = getTypedExportValue(row[index], column.type);
+    });
+    return record;
+}
+
+/**
+ * Format rows as a Markdown table; numeric columns are aligned to the right
+ *
+ * @param {Array<{header: string, type: string}>} columns - The exported columns
+ * @param {Array<Array>} rows - The values of each row
+ * @returns {string} The table
+ */
+function formatMarkdownTable(columns, rows) {
+    const cell = value => String(value ?? '').trim().replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+    const line = values => `| ${values.join(' | ')} |`;
+    return [
+        line(columns.map(column => cell(column.header))),
+        line(columns.map(column => (NUMERIC_COLUMN_TYPES.includes(column.type) ? '---:' : '---'))),
+        ...rows.map(row => line(row.map(cell)))
+    ].join('\n') + '\n';
+}
+
+/**
+ * Format rows as SQL INSERT statements, one per row
+ * Names are quoted with double quotes and text with single quotes, as in standard SQL;
+ * integers and decimals are written as numbers and empty cells as NULL.
+ *
+ * @param {string} tableName - The table to insert into
+ * @param {Array<{header: string, type: string}>} columns - The exported columns
+ * @param {Array<Array>} rows - The values of each row
+ * @returns {string} The statements
+ */
+function formatSqlInserts(tableName, columns, rows) {
+    const quoteName = name => `"${String(name).replace(/"/g, '""')}"`;
+    const quoteValue = value => {
+        if (value === null) return 'NULL';
+        if (typeof value === 'number') return String(value);
+        return `'${value.replace(/'/g, "''")}'`;
+    };
+    const prefix = `INSERT INTO ${quoteName(tableName)} (${columns.map(column => quoteName(column.header)).join(', ')}) VALUES `;
+    return rows.map(row =>
+        `${prefix}(${row.map((value, index) => quoteValue(getTypedExportValue(value, columns[index].type))).join(', ')});`
+    ).join('\n') + '\n';
+}
+
+/**
+ * Build an Excel workbook of the rows with SheetJS
+ * Numbers and prices are stored as numbers so they can be added up in Excel;
+ * everything else, including barcodes, is stored as text.
+ *
+ * @param {Array<{header: string, type: string}>} columns - The exported columns
+ * @param {Array<Array>} rows - The values of each row
+ * @returns {ArrayBuffer} The XLSX file
+ */
+function formatXlsxWorkbook(columns, rows) {
+    const sheet = XLSX.utils.aoa_to_sheet([columns.map(column => column.header)]);
+    const data = rows.map(row => row.map((value, index) => {
+        const type = columns[index].type;
+        const number = NUMERIC_COLUMN_TYPES.includes(type) ? parseNumericValue(value) : NaN;
+        if (!Number.isNaN(number)) {
+            return { t: 'n', v: number, z: type === 'currency' ? '#,##0.00' : 'General' };
+        }
+        return { t: 's', v: String(value ?? '') };
+    }));
+    XLSX.utils.sheet_add_aoa(sheet, data, { origin: 'A2' });
+
+    // Sheet names are at most 31 characters and can't contain : \ / ? * [ or ]
+    const sheetName = getExportBaseName().replace(/[:\\/?*[\]]/g, ' ').slice(0, 31).trim() || 'Data';
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, sheetName);
+    return XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+}
+
+/**
+ * Encode the text of an export file
+ *
+ * @param {string} text - The text
+ * @param {string} encoding - A key of EXPORT_ENCODINGS
+ * @returns {Blob} The encoded file content
+ */
+function encodeExportText(text, encoding) {
+    if (encoding === 'utf-8-bom') {
+        return new Blob(['\uFEFF' + text]);
+    }
+    if (encoding === 'utf-16le') {
+        // Little-endian, after its byte order mark, which is what Excel writes as "Unicode text"
+        const bytes = new Uint8Array(2 + text.length * 2);
+        bytes[0] = 0xFF;
+        bytes[1] = 0xFE;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            bytes[2 + i * 2] = code & 0xFF;
+            bytes[3 + i * 2] = code >> 8;
+        }
+        return new Blob([bytes]);
+    }
+    if (encoding === 'windows-1252') {
+        // Browsers can decode Windows-1252 but not encode it, so map the decoded bytes back;
+        // characters it has no byte for become question marks
+        if (!windows1252Bytes) {
+            const decoder = new TextDecoder('windows-1252');
+            windows1252Bytes = new Map();
+            for (let byte = 0; byte < 256; byte++) {
+                windows1252Bytes.set(decoder.decode(new Uint8Array([byte])), byte);
+            }
+        }
+        const bytes = new Uint8Array(text.length);
+        let length = 0;
+        for (const character of text) {
+            bytes[length++] = windows1252Bytes.get(character) ?? 0x3F;
+        }
+        return new Blob([bytes.subarray(0, length)]);
+    }
+    return new Blob([text]);
+}
+
+/**
+ * Build an export's file name, without extension, from a template
+ * {dataset} is the dataset name, {scope} the exported rows ('all', 'filtered', 'selected' or 'page'),
+ * {date} today's date (2024-03-31) and {time} the time (14-05). Characters that file names can't
+ * contain are replaced with dashes.
+ *
+ * @param {string} template - The template, e.g. "{dataset}-{scope}-{date}"
+ * @param {string} scope - The exported rows
+ * @returns {string} The file name
+ */
+function buildExportFileName(template, scope) {
+    const now = new Date();
+    const pad = number => String(number).padStart(2, '0');
+    const values = {
+        dataset: getExportBaseName(),
+        scope: scope,
+        date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+        time: `${pad(now.getHours())}-${pad(now.getMinutes())}`
+    };
+    const name = template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+    return name.replace(/[\\/:*?"<>|\u0000-\u001F]+/g, '-').trim() || 'export';
+}
+
+/**
+ * Get the name of the current dataset without its file extension, for naming exports
+ *
+ * @returns {string} The name, or "data" when the table doesn't come from the dataset library
+ */
+function getExportBaseName() {
+    return currentDataset ? currentDataset.name.replace(/\.[^.]+$/, '') : 'data';
+}
+
+/**
+ * Get the table name SQL exports use unless another is given: the dataset name in letters, digits and underscores
+ *
+ * @returns {string} The table name
+ */
+function getDefaultTableName() {
+    return getExportBaseName().replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '').toLowerCase() || 'data';
+}
+
+/**
+ * Fetch every row matching the current search and sort order from the server
+ * Used in server-side mode, where the table only holds the current page.
+ *
+ * @param {boolean} [ignoreSearch=false] - Fetch every row of the dataset, still in the current sort order
+ * @returns {Promise<Array<Array>>} The rows, as arrays of values in column order
+ */
+async function fetchAllServerRows(ignoreSearch = false) {
+    const params = { ...dataTable.ajax.params(), start: 0, length: -1 };
+    if (ignoreSearch) {
+        params.search = { value: '', regex: false };
+        delete params.filters;
+        delete params.fuzzy;
+    }
+    const response = await apiFetch(`${serverSideOptions.url}?${$.param(params)}`);
+    if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+    }
+    const result = await response.json();
+    return result.data;
+}
+
+/**
+ * Fetch every row of the server-side dataset, whatever the search and filters
+ * The rows are fetched once per dataset and kept for later calls.
+ *
+ * @returns {Promise<Array<Array>>} The rows, as arrays in column order
+ */
+async function getAllServerRows() {
+    if (!allServerRows || allServerRows.datasetId !== serverSideOptions.datasetId) {
+        const response = await apiFetch(`${serverSideOptions.url}?${$.param({ start: 0, length: -1 })}`);
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        const result = await response.json();
+        allServerRows = { datasetId: serverSideOptions.datasetId, rows: result.data };
+    }
+    return allServerRows.rows;
+}
+
+/**
+ * Let the browser download some content as a file
+ *
+ * @param {string|Blob} content - The file content
+ * @param {string} fileName - The default file name for the download
+ * @param {string} type - The MIME type of the content
+ */
+function downloadFile(content, fileName, type) {
+    // Create a Blob containing the data
+    const blob = content instanceof Blob ? content : new Blob([content], { type: type });
+
+    // Create a temporary link element to trigger the download
+    const link = document.createElement('a');
+
+    // Set the link's properties for downloading
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', fileName);
+    link.style.visibility = 'hidden'; // Hide the link
+
+    // Add the link to the document, click it to trigger the download, then remove it
+    document.body.appendChild(link);
+    link.click(); // Trigger the download
+    document.body.removeChild(link); // Clean up
+
+    // Release the URL object to free up memory
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Populates the column toggle list in the column modal
+ * This function is called when the column modal is shown
+ *
+ * It dynamically creates toggle switches for each column in the DataTable
+ * allowing users to show/hide specific columns based on their needs.
+ * The current visibility state is reflected in the toggle switches.
+ * The columns are listed in table order and can be dragged to a new place or pinned to an edge.
+ */
+function populateColumnToggleList() {
+    // Make sure the DataTable exists before proceeding
+    if (!dataTable) {
+        console.error('DataTable not initialized');
+        return;
+    }
+
+    // Get the column toggle list container from the DOM
+    const columnToggleList = document.getElementById('columnToggleList');
+    if (!columnToggleList) {
+        console.error('Column toggle list container not found');
+        return;
+    }
+
+    // Clear any existing toggle switches to prevent duplicates
+    columnToggleList.innerHTML = '';
+
+    // The header row is always frozen with virtual scrolling
+    const frozenHeaderToggle = document.getElementById('frozenHeaderToggle');
+    frozenHeaderToggle.checked = columnLayout.frozenHeader || virtualScrolling;
+    frozenHeaderToggle.disabled = virtualScrolling;
+
+    // Create a toggle switch for each column in the table, in the order they are shown in
+    // The list items are linked to the column's index in currentHeaders, wherever the column was moved to
+    dataTable.colReorder.order().forEach(i => {
+        // Get the column header text to display as the label
+        const columnName = currentHeaders[i];
+
+        // Get the current visibility state to set the initial toggle position
+        const isVisible = dataTable.column(toTableColumn(i)).visible();
+        const pin = columnLayout.pinned[columnName] || '';
+
+        // Build the column type options, marking the detected type
+        // Types can't be changed in server-side mode because the server does the sorting
+        const typeOptions = Object.keys(COLUMN_TYPES).map(type => `
+            <option value="${type}" ${columnTypes[i] === type ? 'selected' : ''}>
+                ${COLUMN_TYPES[type]}${detectedColumnTypes[i] === type ? ' (detected)' : ''}
+            </option>`).join('');
+
+        // Create a draggable list item with a pin select, a column type select and a Bootstrap toggle switch
+        // All are linked to the column index for easy reference
+        const listItem = document.createElement('div');
+        listItem.className = 'list-group-item d-flex justify-content-between align-items-center column-item';
+        listItem.draggable = true;
+        listItem.setAttribute('data-column', i);
+        listItem.innerHTML = `
+            <div class="d-flex align-items-center gap-2">
+                <i class="fas fa-grip-vertical text-muted column-drag-handle" title="Drag to move the column"></i>
+                <button type="button" class="btn btn-link p-0 text-start column-profile-link" data-column="${i}" title="Show the column profile">
+                    ${escapeHtml(columnName)}
+                </button>
+            </div>
+            <div class="d-flex align-items-center gap-2">
+                <select class="form-select form-select-sm column-pin" data-column="${i}" aria-label="Pinning of ${escapeHtml(columnName)}">
+                    <option value="" ${pin === '' ? 'selected' : ''}>Not pinned</option>
+                    <option value="left" ${pin === 'left' ? 'selected' : ''}>Pin left</option>
+                    <option value="right" ${pin === 'right' ? 'selected' : ''}>Pin right</option>
+                </select>
+                <select class="form-select form-select-sm column-type" data-column="${i}"
+                        aria-label="Type of ${escapeHtml(columnName)}" ${serverSideOptions ? 'disabled' : ''}>
+                    ${typeOptions}
+                </select>
+                <div class="form-check form-switch">
+                    <input class="form-check-input column-toggle" type="checkbox"
+                           data-column="${i}" id="column-toggle-${i}" ${isVisible ? 'checked' : ''}>
+                </div>
+            </div>
+        `;
+
+        // Add the list item to the container
+        columnToggleList.appendChild(listItem);
+    });
+
+    // Add event listeners to all toggle switches
+    // This allows immediate visibility changes when a switch is toggled
+    const toggles = document.querySelectorAll('.column-toggle');
+    toggles.forEach(toggle => {
+        toggle.addEventListener('change', function() {
+            // Get the column index and new visibility state
+            const columnIndex = parseInt(this.getAttribute('data-column'), 10);
+            const isVisible = this.checked;
+
+            // Update the DataTable column visibility
+            dataTable.column(toTableColumn(columnIndex)).visible(isVisible);
+
+            // Save the updated preferences to localStorage
+            // This ensures the user's column visibility preferences persist across sessions
+            savePreferences();
+        });
+    });
+
+    // Clicking a column name opens its profile once the column modal has closed
+    document.querySelectorAll('.column-profile-link').forEach(link => {
+        link.addEventListener('click', function() {
+            const columnModal = document.getElementById('columnModal');
+            columnModal.addEventListener('hidden.bs.modal', () => {
+                openColumnProfile(parseInt(this.getAttribute('data-column'), 10));
+            }, { once: true });
+            bootstrap.Modal.getInstance(columnModal).hide();
+        });
+    });
+
+    // Add event listeners to the column type selects
+    // Changing a type rebuilds the table so it's sorted and filtered by the new type
+    document.querySelectorAll('.column-type').forEach(select => {
+        select.addEventListener('change', function() {
+            setColumnType(currentHeaders[parseInt(this.getAttribute('data-column'), 10)], this.value);
+        });
+    });
+
+    // Add event listeners to the pin selects
+    // Pinning rebuilds the table and moves the column to its edge, so the list is filled in again
+    document.querySelectorAll('.column-pin').forEach(select => {
+        select.addEventListener('change', function() {
+            setColumnPin(currentHeaders[parseInt(this.getAttribute('data-column'), 10)], this.value);
+            populateColumnToggleList();
+        });
+    });
+}
+
+/**
+ * Toggle visibility of all columns at once
+ * This is a convenience function that allows users to quickly show or hide all columns
+ * with a single click, rather than toggling each column individually.
+ *
+ * @param {boolean} visible - Whether to show (true) or hide (false) all columns
+ */
+function toggleAllColumns(visible) {
+    // Make sure the DataTable exists before proceeding
+    if (!dataTable) {
+        console.error('DataTable not initialized');
+        return;
+    }
+
+    // Toggle all columns in the DataTable to the specified visibility
+    // This uses DataTables' built-in columns().visible() method
+    dataTable.columns().visible(visible);
+
+    // Update all toggle switches in the modal to match the new visibility state
+    // This ensures the UI stays in sync with the actual column visibility
+    const toggles = document.querySelectorAll('.column-toggle');
+    toggles.forEach(toggle => {
+        toggle.checked = visible;
+    });
+
+    // Save the updated preferences to localStorage
+    // This ensures the user's column visibility preferences persist across sessions
+    savePreferences();
+}
+
+/**
+ * Save user preferences to localStorage
+ * This function stores the user's customizations so they persist across page reloads
+ * and browser sessions. Preferences are kept per header signature (see getViewSettings),
+ * so a CSV file with different columns doesn't pick up settings that don't fit it.
+ *
+ * Saved preferences include:
+ * - The last view: page length, hidden columns, sort order and column filters (by column header)
+ * - Column types chosen in the column modal (keyed by column header)
+ * - The column layout: column order, widths, pinned columns and the frozen header row (by column header)
+ * - Whether virtual scrolling is on, which is kept for every table rather than per set of columns
+ */
+const savePreferences = () => {
+    localStorage.setItem(VIRTUAL_SCROLLING_STORAGE_KEY, JSON.stringify(virtualScrolling));
+
+    // Only proceed if the DataTable has been initialized and isn't halfway through a restore
+    // Comparisons aren't saved either
+    if (!dataTable || restoringViewState || compareState) return;
+
+    updateViewSettings(settings => {
+        // The search box is left out; it is kept when switching between datasets instead
+        settings.lastView = { ...getSavedViewState(), search: '' };
+
+        // Column types chosen in the column modal, keyed by column header
+        settings.columnTypes = columnTypeOverrides;
+
+        // How the columns are arranged, also by column header
+        settings.columnLayout = columnLayout;
+    });
+};
+
+/**
+ * Load user preferences from localStorage
+ * This function applies the last view used with the current table's columns
+ * when the DataTable is initialized. This creates a consistent experience
+ * across sessions. Preferences saved before views are moved over the first time they fit.
+ *
+ * @returns {boolean} True if a saved view was applied, false if default settings are used
+ */
+const loadPreferences = () => {
+    // Only proceed if the DataTable has been initialized
+    if (!dataTable) return false;
+
+    const lastView = getViewSettings().lastView || migrateLegacyPreferences();
+    if (!lastView) return false;
+
+    // Keep whatever is in the search box
+    const searchInput = document.getElementById('searchInput');
+    applyViewState({ ...normalizeViewState(lastView), search: searchInput ? searchInput.value : '' }, !lastUrlState);
+    return true;
+};
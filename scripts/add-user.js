@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * CSV Search Webapp - Add a User
+ *
+ * Adds a user to the user file, or changes the password and role of an existing one:
+ *
+ *   npm run add-user -- alice editor
+ *
+ * The password is asked for twice without being shown. When the input isn't a terminal,
+ * the first line of it is used as the password, so users can be added from scripts:
+ *
+ *   echo "$PASSWORD" | npm run add-user -- alice viewer
+ */
+
+const readline = require('readline');
+const { USERS_FILE, ROLES, USERNAME_PATTERN, MIN_PASSWORD_LENGTH, saveUser } = require('../auth');
+
+/**
+ * Ask for a password on the terminal without echoing what is typed
+ *
+ * @param {string} prompt - The prompt
+ * @returns {Promise<string>} The password
+ */
+function askPassword(prompt) {
+    return new Promise(resolve => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        // Write the prompt, then swallow the echo of everything typed after it
+        rl._writeToOutput = text => {
+            if (text.includes(prompt)) process.stdout.write(prompt);
+        };
+        rl.question(prompt, answer => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+/**
+ * Read the first line of the piped input
+ *
+ * @returns {Promise<string>} The line, without its line ending
+ */
+function readFirstLine() {
+    return new Promise(resolve => {
+        const rl = readline.createInterface({ input: process.stdin });
+        let first = null;
+        rl.on('line', line => {
+            if (first === null) first = line;
+        });
+        rl.on('close', () => resolve(first || ''));
+    });
+}
+
+async function main() {
+    const [username = '', role = 'viewer'] = process.argv.slice(2);
+    const name = username.trim().toLowerCase();
+
+    if (!USERNAME_PATTERN.test(name)) {
+        console.error('Usage: npm run add-user -- <username> [viewer|editor|admin]');
+        console.error('Usernames are 1 to 32 lowercase letters, digits, dots, dashes and underscores.');
+        process.exit(1);
+    }
+    if (!ROLES.includes(role)) {
+        console.error(`The role must be one of: ${ROLES.join(', ')}`);
+        process.exit(1);
+    }
+
+    let password;
+    if (process.stdin.isTTY) {
+        password = await askPassword(`Password for ${name}: `);
+        if (password !== await askPassword('Repeat the password: ')) {
+            console.error('The passwords don\'t match.');
+            process.exit(1);
+        }
+    } else {
+        password = await readFirstLine();
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        console.error(`The password must be at least ${MIN_PASSWORD_LENGTH} characters long.`);
+        process.exit(1);
+    }
+
+    const added = await saveUser(name, password, role);
+    console.log(`${added ? 'Added' : 'Updated'} ${name} (${role}) in ${USERS_FILE}`);
+}
+
+main().catch(error => {
+    console.error('Failed to save the user:', error.message);
+    process.exit(1);
+});
@@ -2,8 +2,15 @@
  * CSV Search Webapp - Server
  *
  * This is a simple Express server that serves the static files for the CSV Search Webapp.
- * The application is primarily client-side, with this server only responsible for
- * delivering the static assets (HTML, CSS, JavaScript) to the client.
+ * The application is primarily client-side, with this server responsible for
+ * delivering the static assets (HTML, CSS, JavaScript) in public/ to the client, for
+ * logging users in, for collecting the bot detection reports sent by the upload form, for
+ * answering paged DataTables requests for datasets too large to load in the browser, and for
+ * telling open pages when a dataset's file changes on disk.
+ *
+ * Every API endpoint needs a login, and the user's role decides what they may do
+ * (see auth.js): viewers browse the datasets, editors also upload them, and admins
+ * also delete any dataset and read the bot attempt log.
  *
  * @author Nicholas G
  * @version 1.0.0
@@ -11,30 +18,1358 @@
 
 // Import required modules
 const express = require('express'); // Express web framework
+const session = require('express-session'); // Cookie sessions for logged-in users
 const path = require('path');       // Node.js path module for working with file paths
+const fs = require('fs');           // Node.js file system module for the bot attempt log and datasets
+const crypto = require('crypto');   // Node.js crypto module for constant-time token comparison
+const Papa = require('papaparse');  // PapaParse: CSV parsing for the dataset API
+const multer = require('multer');   // Multer: multipart file uploads for the dataset library
+const { buildSearchIndex, searchIndex } = require('./public/fuzzy-search'); // Typo-tolerant search, shared with the page
+const { getSafeRedirect } = require('./public/safe-redirect'); // Checks the page to go to after logging in, shared with the login page
+const { findUser, loadUsers, verifyPassword, hashPassword, hasRole } = require('./auth'); // User file and password hashes
 const app = express();              // Create an Express application
 
 // Set the port for the server to listen on
 // Use the PORT environment variable if available, otherwise use port 3000
 const PORT = process.env.PORT || 3000;
 
+// The only directory served as static files: the page, its scripts and styles, and the login page
+// Everything else, such as the datasets, the logs and the user file, is only reachable through the API
+const PUBLIC_DIR = path.join(__dirname, 'public');
+
+/**
+ * Session Configuration
+ *
+ * Logged-in users get a session cookie. SESSION_SECRET signs it; without one a random secret
+ * is made at startup, so every restart logs everyone out. Sessions are kept in memory and
+ * end after SESSION_MAX_AGE_MS without a request.
+ */
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_MAX_AGE_MS = 8 * 60 * 60 * 1000; // 8 hours
+
+/**
+ * Bot Attempt Log Configuration
+ *
+ * Reports from logBotAttempt() in script.js are appended to a JSON lines file
+ * (one JSON object per line). When the file grows past BOT_LOG_MAX_BYTES it is
+ * rotated to bot-attempts.jsonl.1, .2, ... keeping at most BOT_LOG_MAX_FILES old files.
+ */
+const BOT_LOG_DIR = process.env.BOT_LOG_DIR || path.join(__dirname, 'logs');
+const BOT_LOG_FILE = path.join(BOT_LOG_DIR, 'bot-attempts.jsonl');
+const BOT_LOG_MAX_BYTES = 5 * 1024 * 1024; // 5MB per file
+const BOT_LOG_MAX_FILES = 5;                // Number of rotated files to keep
+
+// Token required to read the bot attempt log (sent as "Authorization: Bearer <token>")
+// If it is not set, the read endpoint is disabled
+const BOT_LOG_TOKEN = process.env.BOT_LOG_TOKEN || '';
+
+// The detection types reported by handleFileUpload() in script.js
+const BOT_ATTEMPT_TYPES = ['honeypot', 'timing'];
+
+/**
+ * Dataset Library Configuration
+ *
+ * Datasets that can be queried through the /api/datasets API.
+ * Uploaded CSV files are stored in DATASET_DIR and listed in a JSON manifest, which also
+ * records the default dataset. Built-in datasets ship with the application and can't be deleted.
+ * Each dataset is parsed once and kept in memory until its file changes on disk.
+ */
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const DATASET_DIR = path.join(DATA_DIR, 'datasets');
+const DATASET_MANIFEST_FILE = path.join(DATA_DIR, 'datasets.json');
+
+const BUILT_IN_DATASETS = [
+    {
+        id: 'inventory',
+        name: 'Inventory Listings',
+        file: path.join(__dirname, 'reports_inventory_listings_assets.csv')
+    }
+];
+
+// Dataset id that always refers to the current default dataset
+const DEFAULT_DATASET_ALIAS = 'default';
+
+// Maximum upload size, matching MAX_FILE_SIZE in script.js
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024; // 50MB
+
+// Total size of the CSV files whose parsed rows are kept in memory
+// A parsed dataset takes several times the size of its file, so the least recently used
+// datasets are dropped beyond this; the one in use is always kept, however big it is
+const MAX_CACHED_DATASET_BYTES = 200 * 1024 * 1024; // 200MB
+
+// MIME types browsers and tools send for CSV files
+// Windows reports CSV files as application/vnd.ms-excel when Excel is installed
+const CSV_MIME_TYPES = [
+    'text/csv',
+    'text/plain',
+    'text/x-csv',
+    'text/comma-separated-values',
+    'application/csv',
+    'application/vnd.ms-excel',
+    'application/octet-stream'
+];
+
+/**
+ * Live Reload Configuration
+ *
+ * Dataset files are watched, so that a file overwritten on disk (e.g. by a nightly export)
+ * is announced to open pages as a Server-Sent Event on /api/datasets/events.
+ * Changes are reported once a file has been quiet for DATASET_WATCH_DELAY_MS, so a file
+ * that is written in several steps is only reported when it is complete.
+ */
+const DATASET_WATCH_DELAY_MS = 1000;
+const EVENTS_KEEP_ALIVE_MS = 30 * 1000;     // Comment line sent now and then so proxies keep the stream open
+const EVENTS_RETRY_MS = 5000;               // How long browsers wait before reconnecting a dropped stream
+
+// Largest page a client may request from the rows endpoint (matches the biggest lengthMenu option)
+// A length of -1 still returns every matching row, which the client uses for exports
+const MAX_PAGE_LENGTH = 2000;
+
 /**
  * Middleware Configuration
  */
 
-// Serve static files from the current directory
-// This allows the client to access all files in the project directory
-// including HTML, CSS, JavaScript, and CSV files
-app.use(express.static(__dirname));
+// Trust the X-Forwarded-For header when running behind a reverse proxy
+// so that req.ip reports the visitor's address instead of the proxy's
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', process.env.TRUST_PROXY);
+}
+
+// Keep the logged-in user in a session
+// The cookie can't be read by scripts, isn't sent with requests from other sites,
+// and is only sent over HTTPS when the page is served over HTTPS
+app.use(session({
+    name: 'csv-webapp.sid',
+    secret: SESSION_SECRET,
+    resave: false,
+    saveUninitialized: false,
+    rolling: true,                       // Every request starts the session's time over
+    cookie: {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: 'auto',
+        maxAge: SESSION_MAX_AGE_MS
+    }
+}));
+
+// The page itself needs a login (see the "/" route), so it isn't served as a static file
+app.get('/index.html', (req, res) => {
+    res.redirect('/');
+});
+
+// Serve the static files in the public directory only
+// The project directory also holds package.json, the built-in CSV file and the data directory,
+// none of which may be downloaded
+app.use(express.static(PUBLIC_DIR, { index: false }));
+
+/**
+ * Helper Functions
+ */
+
+/**
+ * Create a simple in-memory rate limiter middleware
+ * Requests are counted per client IP in fixed time windows. Once a client
+ * exceeds the limit, it receives a 429 response until the window resets.
+ *
+ * @param {Object} options - Limiter options
+ * @param {number} options.windowMs - Length of the time window in milliseconds
+ * @param {number} options.max - Maximum number of requests allowed per window
+ * @returns {Function} Express middleware
+ */
+function createRateLimiter({ windowMs, max }) {
+    // Map of IP address -> { count, resetAt }
+    const hits = new Map();
+
+    // Periodically drop expired entries so the map doesn't grow forever
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        hits.forEach((entry, ip) => {
+            if (entry.resetAt <= now) {
+                hits.delete(ip);
+            }
+        });
+    }, windowMs);
+    cleanup.unref(); // Don't keep the process alive just for the cleanup timer
+
+    return (req, res, next) => {
+        const now = Date.now();
+        let entry = hits.get(req.ip);
+
+        // Start a new window for this client if needed
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(req.ip, entry);
+        }
+
+        entry.count++;
+        if (entry.count > max) {
+            res.set('Retry-After', Math.ceil((entry.resetAt - now) / 1000).toString());
+            return res.status(429).json({ error: 'Too many requests' });
+        }
+
+        next();
+    };
+}
+
+/**
+ * Truncate a value to a string of at most maxLength characters
+ * Returns undefined for missing values so they are left out of the log entry
+ *
+ * @param {*} value - The value to clean up
+ * @param {number} maxLength - Maximum length of the resulting string
+ * @returns {string|undefined} The truncated string
+ */
+function cleanString(value, maxLength) {
+    if (value === undefined || value === null) return undefined;
+    return String(value).slice(0, maxLength);
+}
+
+/**
+ * Convert a value to a finite number
+ * Returns undefined if the value is not a valid number
+ *
+ * @param {*} value - The value to convert
+ * @returns {number|undefined} The number
+ */
+function cleanNumber(value) {
+    const number = Number(value);
+    return value !== undefined && value !== null && value !== '' && Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Validate a bot attempt report and build the entry that will be written to the log
+ * Only known fields are kept, and all strings are truncated, so a client
+ * can't fill the log with arbitrary data.
+ *
+ * @param {Object} body - The parsed JSON request body
+ * @param {string} ip - The IP address of the client that sent the report
+ * @returns {{entry: Object}|{error: string}} The log entry or a validation error
+ */
+function buildBotLogEntry(body, ip) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: 'Request body must be a JSON object' };
+    }
+
+    if (!BOT_ATTEMPT_TYPES.includes(body.type)) {
+        return { error: `type must be one of: ${BOT_ATTEMPT_TYPES.join(', ')}` };
+    }
+
+    if (typeof body.reason !== 'string' || !body.reason.trim()) {
+        return { error: 'reason is required' };
+    }
+
+    // The client timestamp is kept for reference, but the server time is authoritative
+    const clientTimestamp = Date.parse(body.timestamp);
+
+    const entry = {
+        timestamp: new Date().toISOString(),
+        type: body.type,
+        reason: cleanString(body.reason, 200),
+        ip: ip,
+        clientTimestamp: Number.isNaN(clientTimestamp) ? undefined : new Date(clientTimestamp).toISOString(),
+        userAgent: cleanString(body.userAgent, 500),
+        url: cleanString(body.url, 500),
+        honeypotValue: cleanString(body.honeypotValue, 200),
+        timeDifference: cleanNumber(body.timeDifference),
+        threshold: cleanNumber(body.threshold)
+    };
+
+    return { entry };
+}
+
+// Writes to the log are chained on this promise so that rotation and appends never overlap
+let botLogQueue = Promise.resolve();
+
+/**
+ * Append an entry to the bot attempt log, rotating the file if it's too large
+ *
+ * @param {Object} entry - The log entry to write
+ * @returns {Promise<void>} Resolves when the entry has been written
+ */
+function appendBotLogEntry(entry) {
+    const line = JSON.stringify(entry) + '\n';
+
+    botLogQueue = botLogQueue
+        .catch(() => {}) // A failed write must not block the ones that follow
+        .then(async () => {
+            await fs.promises.mkdir(BOT_LOG_DIR, { recursive: true });
+
+            // Rotate the log if this line would push it over the size limit
+            const size = await fs.promises.stat(BOT_LOG_FILE).then(stats => stats.size, () => 0);
+            if (size > 0 && size + Buffer.byteLength(line) > BOT_LOG_MAX_BYTES) {
+                await rotateBotLog();
+            }
+
+            await fs.promises.appendFile(BOT_LOG_FILE, line);
+        });
+
+    return botLogQueue;
+}
+
+/**
+ * Rotate the bot attempt log files
+ * bot-attempts.jsonl becomes .1, .1 becomes .2, and so on.
+ * The oldest file is deleted once BOT_LOG_MAX_FILES is reached.
+ */
+async function rotateBotLog() {
+    const ignoreMissing = error => {
+        if (error.code !== 'ENOENT') throw error;
+    };
+
+    await fs.promises.unlink(`${BOT_LOG_FILE}.${BOT_LOG_MAX_FILES}`).catch(ignoreMissing);
+
+    for (let i = BOT_LOG_MAX_FILES - 1; i >= 1; i--) {
+        await fs.promises.rename(`${BOT_LOG_FILE}.${i}`, `${BOT_LOG_FILE}.${i + 1}`).catch(ignoreMissing);
+    }
+
+    await fs.promises.rename(BOT_LOG_FILE, `${BOT_LOG_FILE}.1`).catch(ignoreMissing);
+}
+
+/**
+ * Read all entries from the current and rotated bot attempt log files
+ * Lines that can't be parsed are skipped.
+ *
+ * @returns {Promise<Array<Object>>} The log entries, newest first
+ */
+async function readBotLogEntries() {
+    const files = [BOT_LOG_FILE];
+    for (let i = 1; i <= BOT_LOG_MAX_FILES; i++) {
+        files.push(`${BOT_LOG_FILE}.${i}`);
+    }
+
+    const entries = [];
+    for (const file of files) {
+        let content;
+        try {
+            content = await fs.promises.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') continue;
+            throw error;
+        }
+
+        // Each file is written oldest to newest, so reverse the lines to get newest first
+        content.split('\n').reverse().forEach(line => {
+            if (!line.trim()) return;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                // Skip partial or corrupted lines
+            }
+        });
+    }
+
+    return entries;
+}
+
+/**
+ * Middleware that lets admins read the bot attempt log, and scripts that carry the bot log token
+ * The token is compared in constant time to avoid leaking it through timing differences.
+ */
+function requireBotLogAccess(req, res, next) {
+    const header = req.get('Authorization') || '';
+    if (!header) {
+        return requireRole('admin')(req, res, next);
+    }
+
+    if (!BOT_LOG_TOKEN) {
+        return res.status(503).json({ error: 'Bot log access with a token is disabled. Set BOT_LOG_TOKEN to enable it.' });
+    }
+
+    const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+    const expected = Buffer.from(BOT_LOG_TOKEN);
+    const received = Buffer.from(token);
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+}
+
+// Hash checked when someone logs in with an unknown username, so that takes as long as a wrong password
+const unknownUserHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+/**
+ * Get the user logged in with a request's session
+ * The user is looked up in the user file on every request, so removing a user or changing
+ * their role takes effect right away.
+ *
+ * @param {Object} req - The Express request
+ * @returns {Promise<{username: string, role: string}|null>} The user, or null if nobody is logged in
+ */
+async function getSessionUser(req) {
+    const username = req.session && req.session.username;
+    if (!username) return null;
+
+    const user = await findUser(username);
+    return user ? { username: user.username, role: user.role } : null;
+}
+
+/**
+ * Create middleware that only lets requests through from users with at least the given role
+ * The user is put in req.user. Requests without a login get a 401 response, so the page
+ * can send the user to the login page; users whose role isn't enough get a 403 response.
+ *
+ * @param {string} role - The least privileged role that is allowed: 'viewer', 'editor' or 'admin'
+ * @returns {Function} Express middleware
+ */
+function requireRole(role) {
+    return async (req, res, next) => {
+        try {
+            const user = await getSessionUser(req);
+            if (!user) {
+                return res.status(401).json({ error: 'Please log in' });
+            }
+            if (!hasRole(user.role, role)) {
+                return res.status(403).json({ error: `This needs the ${role} role` });
+            }
+            req.user = user;
+            next();
+        } catch (error) {
+            console.error('Failed to check the session:', error);
+            res.status(500).json({ error: 'Failed to check the session' });
+        }
+    };
+}
+
+/**
+ * Check whether a user may delete a dataset: admins may delete any uploaded dataset,
+ * editors only the ones they uploaded
+ *
+ * @param {Object} dataset - The dataset record
+ * @param {{username: string, role: string}} user - The user
+ * @returns {boolean} True if the user may delete the dataset
+ */
+function canDeleteDataset(dataset, user) {
+    if (dataset.builtIn) return false;
+    return hasRole(user.role, 'admin') || (hasRole(user.role, 'editor') && dataset.uploadedBy === user.username);
+}
+
+// Parsed datasets, keyed by dataset id, from least to most recently used
+// Each entry holds the file's modification time so changes on disk are picked up
+const datasetCache = new Map();
+
+// The version of each dataset that open pages have been told about, keyed by dataset id:
+// { mtimeMs, rows }, where rows are that version's rows while it is parsed, so the next
+// change can be counted, and null otherwise. The file watcher compares against this rather
+// than the cache, which any request may refresh before the watcher gets to a change.
+const announcedDatasets = new Map();
+
+/**
+ * Add a parsed dataset to the cache, or mark it as the most recently used
+ * The least recently used datasets are dropped once the cached files add up to more
+ * than MAX_CACHED_DATASET_BYTES.
+ *
+ * @param {Object} parsed - The parsed dataset from loadDataset()
+ */
+function cacheDataset(parsed) {
+    datasetCache.delete(parsed.id);
+    datasetCache.set(parsed.id, parsed);
+
+    let total = 0;
+    datasetCache.forEach(dataset => { total += dataset.size; });
+    for (const [id, dataset] of datasetCache) {
+        if (total <= MAX_CACHED_DATASET_BYTES || id === parsed.id) break;
+        datasetCache.delete(id);
+        total -= dataset.size;
+
+        // The announced rows would keep the dropped rows in memory
+        const announced = announcedDatasets.get(id);
+        if (announced) announced.rows = null;
+    }
+}
+
+/**
+ * Parse a cell as a number, ignoring currency symbols, thousands separators and spaces
+ * This lets values like "$1,149.99" sort numerically.
+ *
+ * @param {*} value - The cell value
+ * @returns {number} The number, or NaN if the value isn't numeric
+ */
+function parseNumericValue(value) {
+    const text = String(value).replace(/[$,\s]/g, '');
+    return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : NaN;
+}
+
+// The dataset manifest, loaded from disk on first use
+let datasetManifest = null;
+
+// Writes to the manifest are chained on this promise so they never overlap
+let manifestQueue = Promise.resolve();
+
+/**
+ * Get the dataset manifest, reading it from disk the first time
+ *
+ * @returns {Promise<{defaultId: string, datasets: Array<Object>}>} The manifest
+ */
+async function getManifest() {
+    if (!datasetManifest) {
+        try {
+            datasetManifest = JSON.parse(await fs.promises.readFile(DATASET_MANIFEST_FILE, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            // No uploads yet: start with the first built-in dataset as the default
+            datasetManifest = { defaultId: BUILT_IN_DATASETS[0].id, datasets: [] };
+        }
+    }
+    return datasetManifest;
+}
+
+/**
+ * Write the dataset manifest to disk
+ * The manifest is written to a temporary file first so a crash can't leave it half written.
+ *
+ * @returns {Promise<void>} Resolves when the manifest has been written
+ */
+function saveManifest() {
+    const content = JSON.stringify(datasetManifest, null, 2);
+
+    manifestQueue = manifestQueue
+        .catch(() => {}) // A failed write must not block the ones that follow
+        .then(async () => {
+            await fs.promises.mkdir(DATA_DIR, { recursive: true });
+            await fs.promises.writeFile(`${DATASET_MANIFEST_FILE}.tmp`, content);
+            await fs.promises.rename(`${DATASET_MANIFEST_FILE}.tmp`, DATASET_MANIFEST_FILE);
+        });
+
+    return manifestQueue;
+}
+
+/**
+ * List every dataset in the library, built-in datasets first
+ * Each record includes the absolute path of its CSV file.
+ *
+ * @returns {Promise<Array<Object>>} The dataset records
+ */
+async function listDatasets() {
+    const manifest = await getManifest();
+
+    const builtIn = await Promise.all(BUILT_IN_DATASETS.map(async dataset => {
+        const stats = await fs.promises.stat(dataset.file).catch(() => null);
+        return {
+            ...dataset,
+            builtIn: true,
+            originalName: path.basename(dataset.file),
+            size: stats ? stats.size : 0,
+            uploadedAt: stats ? stats.mtime.toISOString() : null
+        };
+    }));
+
+    const uploaded = manifest.datasets.map(dataset => ({
+        ...dataset,
+        builtIn: false,
+        file: path.join(DATASET_DIR, dataset.fileName)
+    }));
+
+    return builtIn.concat(uploaded);
+}
+
+/**
+ * Find a dataset record by id
+ * The "default" alias resolves to the current default dataset.
+ *
+ * @param {string} id - The dataset id
+ * @returns {Promise<Object|null>} The dataset record, or null if there is no such dataset
+ */
+async function findDataset(id) {
+    const manifest = await getManifest();
+    const datasets = await listDatasets();
+    const resolvedId = id === DEFAULT_DATASET_ALIAS ? manifest.defaultId : id;
+
+    // Fall back to the first built-in dataset if the default has gone missing
+    return datasets.find(dataset => dataset.id === resolvedId) ||
+        (id === DEFAULT_DATASET_ALIAS ? datasets[0] : null);
+}
+
+/**
+ * Build the public description of a dataset record
+ * File paths stay on the server.
+ *
+ * @param {Object} dataset - The dataset record
+ * @param {string} defaultId - The id of the current default dataset
+ * @param {{username: string, role: string}} user - The user the description is for
+ * @returns {Object} The dataset description sent to clients
+ */
+function describeDataset(dataset, defaultId, user) {
+    return {
+        id: dataset.id,
+        name: dataset.name,
+        originalName: dataset.originalName,
+        size: dataset.size,
+        uploadedAt: dataset.uploadedAt,
+        builtIn: dataset.builtIn,
+        uploadedBy: dataset.uploadedBy || null,
+        isDefault: dataset.id === defaultId,
+        canDelete: canDeleteDataset(dataset, user)
+    };
+}
+
+/**
+ * Create a readable, unique id for an uploaded dataset from its file name
+ * e.g. "Inventory Week 12.csv" becomes "inventory-week-12-3f9a1c"
+ *
+ * @param {string} fileName - The uploaded file's name
+ * @returns {string} The new dataset id
+ */
+function createDatasetId(fileName) {
+    const slug = path.basename(fileName, path.extname(fileName))
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 40) || 'dataset';
+    return `${slug}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Work out what kind of values a column holds, which decides how it is sorted and filtered
+ * - currency: amounts like "$149.99"
+ * - identifier: barcodes and SKUs made of 8 to 14 digits, e.g. UPC and EAN codes
+ * - number: any other numeric values
+ * - text: everything else
+ *
+ * @param {Array} values - Every value in the column
+ * @returns {string} The column kind
+ */
+function detectColumnKind(values) {
+    const nonEmpty = values.map(value => String(value).trim()).filter(value => value !== '');
+    if (nonEmpty.length === 0) return 'text';
+
+    if (nonEmpty.every(value => value.includes('$') && !Number.isNaN(parseNumericValue(value)))) return 'currency';
+    if (nonEmpty.every(value => /^\d{8,14}$/.test(value))) return 'identifier';
+    if (nonEmpty.every(value => !Number.isNaN(parseNumericValue(value)))) return 'number';
+    return 'text';
+}
+
+/**
+ * Check a cell against a column filter from the client's filter row
+ * Uses the same operators as matchesColumnFilter() in script.js.
+ *
+ * @param {*} value - The cell value
+ * @param {Object} filter - The filter: { operator, value, min, max }
+ * @param {boolean} numeric - Whether the column holds numbers (including currency)
+ * @returns {boolean} True if the cell passes the filter
+ */
+function matchesColumnFilter(value, filter, numeric) {
+    const text = String(value).trim().toLowerCase();
+    const filterValue = String(filter.value === undefined ? '' : filter.value).trim().toLowerCase();
+
+    switch (filter.operator) {
+        case 'empty':
+            return text === '';
+        case 'notEmpty':
+            return text !== '';
+        case 'between': {
+            const number = parseNumericValue(value);
+            const min = parseNumericValue(filter.min);
+            const max = parseNumericValue(filter.max);
+            if (Number.isNaN(number)) return false;
+            return (Number.isNaN(min) || number >= min) && (Number.isNaN(max) || number <= max);
+        }
+        case 'exact':
+            // Numeric columns compare numbers, so "7" matches "7.00" and "$149.99" matches "149.99"
+            return numeric && !Number.isNaN(parseNumericValue(filterValue)) ?
+                parseNumericValue(value) === parseNumericValue(filterValue) :
+                text === filterValue;
+        case 'prefix':
+            return text.startsWith(filterValue);
+        case 'contains':
+            return text.includes(filterValue);
+        default:
+            return true; // Unknown operators don't filter anything
+    }
+}
+
+/**
+ * Load a dataset, parsing its CSV file if it isn't cached or has changed on disk
+ *
+ * @param {string} id - The dataset id (or the "default" alias)
+ * @returns {Promise<Object|null>} The parsed dataset, or null if the id is unknown
+ */
+async function loadDataset(id) {
+    const dataset = await findDataset(id);
+    if (!dataset) return null;
+
+    const stats = await fs.promises.stat(dataset.file);
+    const cached = datasetCache.get(dataset.id);
+    if (cached && cached.mtimeMs === stats.mtimeMs) {
+        cacheDataset(cached);
+        return cached;
+    }
+
+    // Parse without header mode so each row is an array in column order
+    // A byte order mark at the start of the file would otherwise end up in the first header
+    const text = (await fs.promises.readFile(dataset.file, 'utf8')).replace(/^\uFEFF/, '');
+    const results = Papa.parse(text, { skipEmptyLines: true });
+    if (results.errors.length > 0) {
+        console.warn(`Dataset "${dataset.id}" parsed with ${results.errors.length} error(s)`);
+    }
+
+    const [headerRow = [], ...dataRows] = results.data;
+    const fields = headerRow.map(header => String(header).trim());
+
+    // Make every row exactly as long as the header row
+    const rows = dataRows.map(row => fields.map((field, index) => (row[index] === undefined ? '' : row[index])));
+
+    // A column sorts numerically if every non-empty value in it is a number
+    const columnKinds = fields.map((field, index) => detectColumnKind(rows.map(row => row[index])));
+    const numericColumns = columnKinds.map(kind => kind !== 'text');
+
+    const parsed = {
+        id: dataset.id,
+        name: dataset.name,
+        mtimeMs: stats.mtimeMs,
+        size: stats.size,
+        fields: fields,
+        rows: rows,
+        numericColumns: numericColumns,
+        columnKinds: columnKinds,
+        // Lowercase copy of every cell, used for case-insensitive searching
+        searchRows: rows.map(row => row.map(value => String(value).toLowerCase())),
+        // Word index for fuzzy searches, built by the first one (see fuzzy-search.js)
+        searchIndex: null
+    };
+
+    cacheDataset(parsed);
+
+    // The first version parsed is the one pages have, unless the watcher has announced another
+    const announced = announcedDatasets.get(dataset.id);
+    if (!announced || (announced.mtimeMs === parsed.mtimeMs && !announced.rows)) {
+        announcedDatasets.set(dataset.id, { mtimeMs: parsed.mtimeMs, rows: parsed.rows });
+    }
+    return parsed;
+}
+
+/**
+ * Read the header row of a CSV file without parsing the rest of it
+ * Used to check uploads, which aren't parsed until someone opens them.
+ *
+ * @param {string} file - The path of the CSV file
+ * @returns {Promise<Array<string>>} The column names; none if the file is empty
+ */
+function readDatasetHeader(file) {
+    return new Promise((resolve, reject) => {
+        const stream = fs.createReadStream(file, 'utf8');
+        stream.on('error', reject);
+        Papa.parse(stream, {
+            preview: 1,
+            skipEmptyLines: true,
+            complete: results => {
+                stream.destroy();
+                const [headerRow = []] = results.data;
+                resolve(headerRow.map(header => String(header).replace(/^\uFEFF/, '').trim()));
+            },
+            error: reject
+        });
+    });
+}
+
+// Responses of the open /api/datasets/events streams
+const datasetEventClients = new Set();
+
+// Pending checks of changed files, keyed by file path
+const datasetChangeTimers = new Map();
+
+/**
+ * Count how many rows were added to and removed from a dataset
+ * Rows are compared by all of their values, so a changed row counts as one removed and one added.
+ *
+ * @param {Array<Array>} before - The rows before the change
+ * @param {Array<Array>} after - The rows after the change
+ * @returns {{added: number, removed: number}} The counts
+ */
+function countRowChanges(before, after) {
+    const remaining = new Map();
+    before.forEach(row => {
+        const key = JSON.stringify(row);
+        remaining.set(key, (remaining.get(key) || 0) + 1);
+    });
+
+    let added = 0;
+    after.forEach(row => {
+        const key = JSON.stringify(row);
+        const count = remaining.get(key) || 0;
+        if (count > 0) {
+            remaining.set(key, count - 1);
+        } else {
+            added++;
+        }
+    });
+
+    return { added: added, removed: before.length - (after.length - added) };
+}
+
+/**
+ * Send an event to every open /api/datasets/events stream
+ *
+ * @param {string} event - The event name
+ * @param {Object} data - The event data, sent as JSON
+ */
+function sendDatasetEvent(event, data) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    datasetEventClients.forEach(res => res.write(message));
+}
+
+/**
+ * Check a file that changed on disk and, if it belongs to a dataset, tell the open pages
+ * Datasets whose announced rows are still known are parsed again, so the event can say how
+ * many rows were added and removed. Files whose modification time is the one last announced
+ * are ignored, e.g. a new upload.
+ *
+ * @param {string} file - The absolute path of the file
+ * @returns {Promise<void>} Resolves once the change has been announced
+ */
+async function checkDatasetFile(file) {
+    const record = (await listDatasets()).find(dataset => dataset.file === file);
+    if (!record) return;
+
+    // The file may have been deleted, or be in the middle of being replaced
+    const stats = await fs.promises.stat(file).catch(() => null);
+    const previous = announcedDatasets.get(record.id);
+    if (!stats || (previous && previous.mtimeMs === stats.mtimeMs)) return;
+
+    let counts = { added: null, removed: null };
+    let rowCount = null;
+    let rows = null;
+    if (previous && previous.rows) {
+        const dataset = await loadDataset(record.id);
+        counts = countRowChanges(previous.rows, dataset.rows);
+        rowCount = dataset.rows.length;
+        rows = dataset.rows;
+    }
+    announcedDatasets.set(record.id, { mtimeMs: stats.mtimeMs, rows: rows });
+
+    console.log(`Dataset "${record.id}" changed on disk`);
+    sendDatasetEvent('dataset-changed', {
+        id: record.id,
+        name: record.name,
+        modifiedAt: stats.mtime.toISOString(),
+        rowCount: rowCount,
+        added: counts.added,
+        removed: counts.removed
+    });
+}
+
+/**
+ * Watch the directories that hold dataset files for changes
+ * Directories are watched rather than the files themselves, because a file that is replaced
+ * (written to a temporary file and renamed) is a new file that a file watcher wouldn't follow.
+ */
+function watchDatasetFiles() {
+    fs.mkdirSync(DATASET_DIR, { recursive: true });
+    const directories = new Set(BUILT_IN_DATASETS.map(dataset => path.dirname(dataset.file)).concat(DATASET_DIR));
+
+    directories.forEach(directory => {
+        try {
+            fs.watch(directory, (eventType, fileName) => {
+                if (!fileName) return;
+                const file = path.join(directory, fileName.toString());
+
+                // Wait until the file has been quiet for a moment
+                clearTimeout(datasetChangeTimers.get(file));
+                datasetChangeTimers.set(file, setTimeout(() => {
+                    datasetChangeTimers.delete(file);
+                    checkDatasetFile(file).catch(error => console.error(`Failed to check ${file}:`, error));
+                }, DATASET_WATCH_DELAY_MS));
+            }).on('error', error => console.error(`Stopped watching ${directory}:`, error.message));
+        } catch (error) {
+            console.warn(`Can't watch ${directory}, so changed datasets aren't announced:`, error.message);
+        }
+    });
+}
+
+/**
+ * Turn an array-like query parameter into a list of [index, value] pairs
+ * Express parses "columns[0][data]=..." into an array, but switches to an object
+ * with numeric keys once an index is above 20, so both shapes are handled here.
+ *
+ * @param {*} value - The parsed query parameter
+ * @returns {Array<Array>} The [index, value] pairs in index order
+ */
+function indexedEntries(value) {
+    if (!value || typeof value !== 'object') return [];
+    return Object.keys(value)
+        .map(key => [parseInt(key, 10), value[key]])
+        .filter(([index]) => index >= 0)
+        .sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Answer a DataTables server-side processing request against a parsed dataset
+ * See https://datatables.net/manual/server-side for the request and response format.
+ *
+ * @param {Object} dataset - The parsed dataset from loadDataset()
+ * @param {Object} query - The request query parameters sent by DataTables
+ * @returns {Object} The DataTables response object
+ */
+function queryDataset(dataset, query) {
+    const columns = indexedEntries(query.columns);
+    const order = indexedEntries(query.order).map(([, item]) => item);
+    const start = Math.max(parseInt(query.start, 10) || 0, 0);
+    let length = parseInt(query.length, 10);
+    if (Number.isNaN(length)) length = 25;
+    if (length !== -1) length = Math.min(Math.max(length, 0), MAX_PAGE_LENGTH);
+
+    // Global search works like DataTables' smart search:
+    // every word must appear somewhere in the row
+    const globalSearch = query.search && query.search.value ? String(query.search.value).toLowerCase() : '';
+    const words = globalSearch.split(/\s+/).filter(Boolean);
+
+    // A fuzzy search tolerates typos and ranks the rows by relevance instead
+    let fuzzyResult = null;
+    if (query.fuzzy === '1' && words.length > 0) {
+        if (!dataset.searchIndex) {
+            dataset.searchIndex = buildSearchIndex(dataset.rows);
+        }
+        fuzzyResult = searchIndex(dataset.searchIndex, globalSearch);
+    }
+
+    // Per-column searches are plain case-insensitive substring matches
+    const columnSearches = [];
+    columns.forEach(([index, column]) => {
+        const value = column && column.search && column.search.value;
+        if (value && index < dataset.fields.length) {
+            columnSearches.push({ index, value: String(value).toLowerCase() });
+        }
+    });
+
+    // Typed column filters from the client's filter row, sent as a JSON array
+    let filters = [];
+    try {
+        filters = query.filters ? JSON.parse(query.filters) : [];
+    } catch (error) {
+        filters = [];
+    }
+    filters = (Array.isArray(filters) ? filters : []).filter(filter =>
+        filter && Number.isInteger(filter.column) && filter.column >= 0 && filter.column < dataset.fields.length);
+
+    // Collect the indexes of the rows that match all searches, best first for fuzzy searches
+    let matches = [];
+    const candidates = fuzzyResult ? fuzzyResult.matches.map(match => match.row) : dataset.searchRows.keys();
+    for (const rowIndex of candidates) {
+        const row = dataset.searchRows[rowIndex];
+        const matchesWords = fuzzyResult || words.every(word => row.some(cell => cell.includes(word)));
+        const matchesColumns = columnSearches.every(search => row[search.index].includes(search.value));
+        const matchesFilters = filters.every(filter =>
+            matchesColumnFilter(dataset.rows[rowIndex][filter.column], filter, dataset.numericColumns[filter.column]));
+        if (matchesWords && matchesColumns && matchesFilters) {
+            matches.push(rowIndex);
+        }
+    }
+
+    // Sort the matches by each requested column in turn; without one, fuzzy matches stay in order of relevance
+    const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+    const sorters = order
+        .map(item => ({ index: parseInt(item && item.column, 10), desc: item && item.dir === 'desc' }))
+        .filter(item => item.index >= 0 && item.index < dataset.fields.length);
+
+    if (sorters.length > 0) {
+        matches = matches.slice().sort((a, b) => {
+            for (const { index, desc } of sorters) {
+                let result;
+                if (dataset.numericColumns[index]) {
+                    // Empty cells sort before any number, like DataTables does
+                    const x = parseNumericValue(dataset.rows[a][index]);
+                    const y = parseNumericValue(dataset.rows[b][index]);
+                    result = (Number.isNaN(x) ? -Infinity : x) - (Number.isNaN(y) ? -Infinity : y);
+                    if (Number.isNaN(result)) result = 0; // Both empty
+                } else {
+                    result = collator.compare(dataset.rows[a][index], dataset.rows[b][index]);
+                }
+                if (result !== 0) return desc ? -result : result;
+            }
+            return a - b; // Keep the file order for ties
+        });
+    }
+
+    const page = length === -1 ? matches.slice(start) : matches.slice(start, start + length);
+
+    const response = {
+        draw: parseInt(query.draw, 10) || 0,  // Echoed back so DataTables can discard stale responses
+        recordsTotal: dataset.rows.length,
+        recordsFiltered: matches.length,
+        data: page.map(rowIndex => dataset.rows[rowIndex])
+    };
+    if (fuzzyResult) {
+        // The words the search terms matched, so the page can highlight them
+        response.searchWords = fuzzyResult.words;
+    }
+    return response;
+}
+
+// Handles multipart CSV uploads for the dataset library
+// Files are written straight to DATASET_DIR under their new dataset id
+const datasetUpload = multer({
+    storage: multer.diskStorage({
+        destination: DATASET_DIR,
+        filename: (req, file, callback) => {
+            req.datasetId = createDatasetId(file.originalname);
+            callback(null, `${req.datasetId}.csv`);
+        }
+    }),
+    limits: {
+        fileSize: MAX_UPLOAD_BYTES,
+        files: 1
+    },
+    fileFilter: (req, file, callback) => {
+        // Same rule as the upload form: the file must be a CSV file
+        if (!/\.csv$/i.test(file.originalname) || !CSV_MIME_TYPES.includes(file.mimetype)) {
+            return callback(new Error('Invalid file type. Please upload a CSV file'));
+        }
+        callback(null, true);
+    }
+}).single('file');
 
 /**
  * Route Definitions
  */
 
 // Route for the home page
-// When a user navigates to the root URL, send the index.html file
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
+// When a user navigates to the root URL, send the index.html file, or the login page if they aren't logged in
+app.get('/', async (req, res) => {
+    try {
+        if (!await getSessionUser(req)) {
+            return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+        }
+        res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+    } catch (error) {
+        console.error('Failed to check the session:', error);
+        res.sendStatus(500);
+    }
+});
+
+// The login page; users who are logged in already go straight on
+app.get('/login', async (req, res) => {
+    try {
+        if (await getSessionUser(req)) {
+            return res.redirect(getSafeRedirect(req.query.next));
+        }
+        res.sendFile(path.join(PUBLIC_DIR, 'login.html'));
+    } catch (error) {
+        console.error('Failed to check the session:', error);
+        res.sendStatus(500);
+    }
+});
+
+// Log in with a username and password from the user file
+// Expects a JSON body like { "username": "alice", "password": "..." }
+app.post(
+    '/api/login',
+    createRateLimiter({ windowMs: 60 * 1000, max: 10 }), // At most 10 attempts per minute per IP
+    express.json({ limit: '1kb' }),
+    async (req, res) => {
+        const { username, password } = req.body || {};
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ error: 'username and password are required' });
+        }
+
+        try {
+            const user = await findUser(username);
+            const valid = await verifyPassword(password, user ? user.passwordHash : await unknownUserHash);
+            if (!user || !valid) {
+                return res.status(401).json({ error: 'Wrong username or password' });
+            }
+
+            // A new session id on login, so a session id planted before the login is worthless
+            req.session.regenerate(error => {
+                if (error) {
+                    console.error('Failed to start a session:', error);
+                    return res.status(500).json({ error: 'Failed to log in' });
+                }
+                req.session.username = user.username;
+                res.json({ username: user.username, role: user.role });
+            });
+        } catch (error) {
+            console.error('Failed to log in:', error);
+            res.status(500).json({ error: 'Failed to log in' });
+        }
+    }
+);
+
+// Log out and end the session
+app.post('/api/logout', (req, res) => {
+    req.session.destroy(error => {
+        if (error) {
+            console.error('Failed to end a session:', error);
+        }
+        res.clearCookie('csv-webapp.sid');
+        res.sendStatus(204);
+    });
+});
+
+// The logged-in user's name and role, so the page can show what they may do
+app.get('/api/session', requireRole('viewer'), (req, res) => {
+    res.json(req.user);
+});
+
+// Receive a bot attempt report from the upload form
+// Reports are validated, rate limited per IP and appended to the bot attempt log
+// Only editors see the upload form, so only they can send reports
+app.post(
+    '/api/security/log-bot',
+    requireRole('editor'),
+    createRateLimiter({ windowMs: 60 * 1000, max: 10 }), // At most 10 reports per minute per IP
+    express.json({ limit: '10kb' }),
+    async (req, res) => {
+        const { entry, error } = buildBotLogEntry(req.body, req.ip);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        try {
+            await appendBotLogEntry(entry);
+            res.sendStatus(204);
+        } catch (writeError) {
+            console.error('Failed to write bot attempt log:', writeError);
+            res.status(500).json({ error: 'Failed to record bot attempt' });
+        }
+    }
+);
+
+// Read the bot attempt log
+// Supports filtering by type (honeypot or timing), IP address and time range:
+// GET /api/security/log-bot?type=timing&ip=1.2.3.4&from=2024-01-01&to=2024-02-01&limit=100
+app.get('/api/security/log-bot', requireBotLogAccess, async (req, res) => {
+    const { type, ip } = req.query;
+    const from = req.query.from ? Date.parse(req.query.from) : null;
+    const to = req.query.to ? Date.parse(req.query.to) : null;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+
+    // Validate the filters before reading the log
+    if (type && !BOT_ATTEMPT_TYPES.includes(type)) {
+        return res.status(400).json({ error: `type must be one of: ${BOT_ATTEMPT_TYPES.join(', ')}` });
+    }
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+        return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    try {
+        const matches = (await readBotLogEntries()).filter(entry => {
+            const time = Date.parse(entry.timestamp);
+            if (type && entry.type !== type) return false;
+            if (ip && entry.ip !== ip) return false;
+            if (from !== null && time < from) return false;
+            if (to !== null && time > to) return false;
+            return true;
+        });
+
+        res.json({
+            total: matches.length,       // Number of entries that match the filters
+            entries: matches.slice(0, limit) // Newest entries first
+        });
+    } catch (readError) {
+        console.error('Failed to read bot attempt log:', readError);
+        res.status(500).json({ error: 'Failed to read bot attempt log' });
+    }
+});
+
+// List every dataset in the library and which one is the default
+app.get('/api/datasets', requireRole('viewer'), async (req, res) => {
+    try {
+        const manifest = await getManifest();
+        const datasets = await listDatasets();
+        res.json({
+            defaultId: manifest.defaultId,
+            datasets: datasets.map(dataset => describeDataset(dataset, manifest.defaultId, req.user))
+        });
+    } catch (error) {
+        console.error('Failed to list datasets:', error);
+        res.status(500).json({ error: 'Failed to list datasets' });
+    }
+});
+
+// Stream dataset changes as Server-Sent Events
+// A "dataset-changed" event is sent whenever a dataset's file changes on disk, with data like
+// { "id": "inventory", "name": "Inventory Listings", "modifiedAt": "...", "rowCount": 1560, "added": 3, "removed": 1 }
+// rowCount, added and removed are null when the server hadn't loaded the dataset before the change.
+// The stream ends when the session does, and the browser's reconnect is then refused.
+app.get('/api/datasets/events', requireRole('viewer'), (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'             // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${EVENTS_RETRY_MS}\n\n`);
+    datasetEventClients.add(res);
+
+    const keepAlive = setInterval(() => {
+        req.sessionStore.get(req.sessionID, (error, data) => {
+            if (error || !data || !data.username) {
+                res.end();
+            } else {
+                res.write(': keep-alive\n\n');
+            }
+        });
+    }, EVENTS_KEEP_ALIVE_MS);
+
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        datasetEventClients.delete(res);
+    });
+});
+
+// Upload a CSV file to the library
+// Expects a multipart form with a "file" field and an optional "name" field
+app.post('/api/datasets', requireRole('editor'), (req, res) => {
+    datasetUpload(req, res, async uploadError => {
+        if (uploadError) {
+            const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+            return res.status(tooLarge ? 413 : 400).json({
+                error: tooLarge ? 'File size exceeds 50MB limit' : uploadError.message
+            });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file selected' });
+        }
+
+        const record = {
+            id: req.datasetId,
+            name: String(req.body.name || path.basename(req.file.originalname, path.extname(req.file.originalname))).slice(0, 100),
+            fileName: req.file.filename,
+            originalName: req.file.originalname,
+            size: req.file.size,
+            uploadedAt: new Date().toISOString(),
+            uploadedBy: req.user.username
+        };
+
+        let manifest = null;
+        try {
+            // Make sure the file has a header row before keeping it
+            // Only the header is read; the rows are parsed when the dataset is opened
+            const fields = await readDatasetHeader(req.file.path);
+            if (fields.every(field => !field)) {
+                throw new Error('No header row found in the CSV file');
+            }
+            manifest = await getManifest();
+            manifest.datasets.push(record);
+
+            // Nobody has the new dataset open, so the file watcher needn't announce it
+            const stats = await fs.promises.stat(req.file.path);
+            announcedDatasets.set(record.id, { mtimeMs: stats.mtimeMs, rows: null });
+
+            await saveManifest();
+            res.status(201).json(describeDataset({ ...record, builtIn: false }, manifest.defaultId, req.user));
+        } catch (error) {
+            // Roll back the upload
+            if (manifest) {
+                manifest.datasets = manifest.datasets.filter(dataset => dataset.id !== record.id);
+            }
+            announcedDatasets.delete(record.id);
+            await fs.promises.unlink(req.file.path).catch(() => {});
+            console.error('Failed to store dataset:', error);
+            res.status(400).json({ error: `Failed to store dataset: ${error.message}` });
+        }
+    });
+});
+
+// Set the default dataset, which is loaded when the application starts
+// Expects a JSON body like { "id": "inventory-week-12-3f9a1c" }
+app.put('/api/datasets/default', requireRole('editor'), express.json({ limit: '1kb' }), async (req, res) => {
+    try {
+        const id = req.body && req.body.id;
+        const dataset = typeof id === 'string' && id !== DEFAULT_DATASET_ALIAS ? await findDataset(id) : null;
+        if (!dataset) {
+            return res.status(404).json({ error: 'Dataset not found' });
+        }
+
+        const manifest = await getManifest();
+        manifest.defaultId = dataset.id;
+        await saveManifest();
+        res.json(describeDataset(dataset, manifest.defaultId, req.user));
+    } catch (error) {
+        console.error('Failed to set default dataset:', error);
+        res.status(500).json({ error: 'Failed to set default dataset' });
+    }
+});
+
+// Delete an uploaded dataset
+// Editors may delete the datasets they uploaded, admins any uploaded dataset
+// If it was the default, the first built-in dataset becomes the default again
+app.delete('/api/datasets/:id', requireRole('editor'), async (req, res) => {
+    try {
+        const dataset = req.params.id === DEFAULT_DATASET_ALIAS ? null : await findDataset(req.params.id);
+        if (!dataset) {
+            return res.status(404).json({ error: 'Dataset not found' });
+        }
+        if (dataset.builtIn) {
+            return res.status(403).json({ error: 'Built-in datasets can\'t be deleted' });
+        }
+        if (!canDeleteDataset(dataset, req.user)) {
+            return res.status(403).json({ error: 'Only admins can delete datasets uploaded by someone else' });
+        }
+
+        const manifest = await getManifest();
+        manifest.datasets = manifest.datasets.filter(item => item.id !== dataset.id);
+        if (manifest.defaultId === dataset.id) {
+            manifest.defaultId = BUILT_IN_DATASETS[0].id;
+        }
+        await saveManifest();
+
+        datasetCache.delete(dataset.id);
+        announcedDatasets.delete(dataset.id);
+        await fs.promises.unlink(dataset.file).catch(() => {});
+        res.sendStatus(204);
+    } catch (error) {
+        console.error('Failed to delete dataset:', error);
+        res.status(500).json({ error: 'Failed to delete dataset' });
+    }
+});
+
+// Get information about a dataset: its name, column names, column kinds and number of rows
+// Use the id "default" to get the current default dataset
+app.get('/api/datasets/:id', requireRole('viewer'), async (req, res) => {
+    try {
+        const dataset = await loadDataset(req.params.id);
+        if (!dataset) {
+            return res.status(404).json({ error: 'Dataset not found' });
+        }
+
+        res.json({
+            id: dataset.id,
+            name: dataset.name,
+            fields: dataset.fields,
+            columnKinds: dataset.columnKinds,
+            rowCount: dataset.rows.length
+        });
+    } catch (error) {
+        console.error('Failed to load dataset:', error);
+        res.status(500).json({ error: 'Failed to load dataset' });
+    }
+});
+
+// Get one page of a dataset's rows for a DataTables serverSide request
+// Handles paging (start, length), sorting (order), global search, per-column search,
+// fuzzy global search (fuzzy=1) and the typed column filters (filters) from the client's filter row
+app.get('/api/datasets/:id/rows', requireRole('viewer'), async (req, res) => {
+    try {
+        const dataset = await loadDataset(req.params.id);
+        if (!dataset) {
+            return res.status(404).json({ error: 'Dataset not found' });
+        }
+
+        res.json(queryDataset(dataset, req.query));
+    } catch (error) {
+        console.error('Failed to query dataset:', error);
+        res.status(500).json({ error: 'Failed to query dataset' });
+    }
+});
+
+// Download a dataset's original CSV file
+// Used by the client to parse small datasets in the browser
+app.get('/api/datasets/:id/csv', requireRole('viewer'), async (req, res) => {
+    try {
+        const dataset = await findDataset(req.params.id);
+        if (!dataset) {
+            return res.status(404).json({ error: 'Dataset not found' });
+        }
+
+        res.type('text/csv').sendFile(dataset.file);
+    } catch (error) {
+        console.error('Failed to send dataset:', error);
+        res.status(500).json({ error: 'Failed to send dataset' });
+    }
 });
 
 /**
@@ -46,10 +1381,23 @@ app.listen(PORT, () => {
     // Log server startup information to the console
     console.log(`Server is running on http://localhost:${PORT}`);
     console.log(`Open your browser and navigate to http://localhost:${PORT} to use the CSV Search Webapp`);
+
+    // Tell open pages when a dataset's file changes on disk
+    watchDatasetFiles();
+
+    // Nobody can log in without users, so say how to add the first one
+    loadUsers().then(users => {
+        if (users.length === 0) {
+            console.warn('No users yet. Add an admin with: npm run add-user -- <username> admin');
+        }
+    }).catch(error => console.error('Failed to read the user file:', error.message));
+    if (!process.env.SESSION_SECRET) {
+        console.warn('SESSION_SECRET is not set, so everyone is logged out when the server restarts.');
+    }
 });
 
 /**
- * Note: This server does not handle any data processing.
- * All CSV parsing and data manipulation happens on the client-side
- * using JavaScript libraries like PapaParse and DataTables.
+ * Note: Most CSV parsing and data manipulation happens on the client-side
+ * using JavaScript libraries like PapaParse and DataTables. The dataset API
+ * is only used for datasets too large to load comfortably in the browser.
  */